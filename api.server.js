@@ -1,5 +1,6 @@
 import express from 'express'
 import workflowsRoutes from './workflows/index.js'
+import { routeUpgrades } from './workflows/events/ws.js'
 
 const app = express()
 app.use(express.json({ limit: '1mb' }))
@@ -115,7 +116,9 @@ app.use((req, res) => {
 })
 
 const PORT = process.env.PORT || 8080
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`API service listening on port ${PORT}`)
   console.log(`[API] CORS allowlist (normalized): ${ALLOWED_ORIGINS.join(', ')}`)
 })
+// WebSocket upgrades (events relay /workflows/events/ws) go through the same routes and auth
+server.on('upgrade', routeUpgrades(app))
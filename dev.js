@@ -1,6 +1,7 @@
 import express from 'express';
 import jobRoutes from './jobs/index.js';
 import workflowsRoutes from './workflows/index.js';
+import { routeUpgrades } from './workflows/events/ws.js';
 
 const app = express();
 // app.use(cors({ origin: true }));
@@ -29,6 +30,8 @@ app.get('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 5050;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Local dev server running at http://localhost:${PORT}`);
 });
+// WebSocket upgrades (events relay /api/workflows/events/ws, /jobs/events/ws) go through the same routes and auth
+server.on('upgrade', routeUpgrades(app));
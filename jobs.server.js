@@ -1,5 +1,6 @@
 import express from 'express'
 import jobsRoutes from './jobs/index.js'
+import { routeUpgrades } from './workflows/events/ws.js'
 
 const app = express()
 app.use(express.json({ limit: '1mb' }))
@@ -27,6 +28,8 @@ app.use((req, res) => {
 })
 
 const PORT = process.env.PORT || 8080
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Jobs service listening on port ${PORT}`)
 })
+// WebSocket upgrades (events relay /events/ws) go through the same routes
+server.on('upgrade', routeUpgrades(app))
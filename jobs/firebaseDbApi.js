@@ -3,6 +3,9 @@ import { initializeApp, getApps } from 'firebase-admin/app';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
 import express from 'express';
 import { getUserIdFromReq, projectScopedCollectionPath } from './userAuth.js';
+import { indexWrittenDoc } from '../workflows/context/lib/retrieval.js';
+import { trackAppendedDoc } from '../workflows/context/lib/autoCollapse.js';
+import { recordSessionActivity } from '../workflows/context/lib/sessions.js';
 
 // Initialize Firebase Admin SDK
 if (!getApps().length) {
@@ -46,6 +49,13 @@ router.post('/create', async (req, res) => {
     const scoped = projectScopedCollectionPath(userId, req.projectId, collection);
     const docRef = db.collection(scoped).doc(String(id));
     await docRef.create(contents ?? {});
+    // Keep the retrieval index in sync with session messages/summaries (best-effort, never throws)
+    await indexWrittenDoc({ userId, projectId: req.projectId, collection, id: String(id), contents });
+    // Count session message tokens; may start an automatic collapse (best-effort, never throws).
+    // Awaited: work left running after the response gets no CPU on Cloud Run.
+    await trackAppendedDoc({ userId, projectId: req.projectId, collection, contents });
+    // Session last_active, which orders 'sessions' context components (best-effort, never throws)
+    await recordSessionActivity({ userId, projectId: req.projectId, collection, id: String(id), contents });
     res.status(200).json({ id: String(id) });
   } catch (error) {
     // Firestore throws an ALREADY_EXISTS error if the document exists
@@ -106,6 +116,9 @@ router.post('/update', async (req, res) => {
 
     const scoped = projectScopedCollectionPath(userId, req.projectId, collection);
     await db.collection(scoped).doc(id).update(contents, { merge: true });
+    // contents is the partial update: index the merged document
+    await indexWrittenDoc({ userId, projectId: req.projectId, collection, id: String(id), reread: true });
+    await recordSessionActivity({ userId, projectId: req.projectId, collection, id: String(id), contents });
     res.status(200).json({ message: 'Document updated successfully' });
   } catch (error) {
     console.error('Error updating document:', error);
@@ -6,6 +6,14 @@ import llmRoutes from './llm.js';
 import loadConvoHistoryRoutes from './loadConvoHistory.js';
 import topicContextYojRouter from '../workflows/context/topicContextYoj.js'
 import collapseIndexerRouter from '../workflows/context/collapseIndexer.js'
+import collapseGroupsRouter from '../workflows/context/collapseGroups.js'
+import istaRouter from '../workflows/context/ista.js'
+import retrievalIndexerRouter from '../workflows/context/retrievalIndexer.js'
+import presetsRouter from '../workflows/context/presets.js'
+import snapshotsRouter from '../workflows/context/snapshots.js'
+import redactionRouter from '../workflows/context/redaction.js'
+import kalaRouter from '../workflows/context/kala.js'
+import autoCollapseRouter from '../workflows/context/autoCollapse.js'
 import execJobsRouter from './workflows.exec.js'
 import { createTasksRouter } from '../workflows/tasks.js'
 import { workflowsUserInject } from './userAuth.js';
@@ -35,6 +43,14 @@ router.use('/convo-history', loadConvoHistoryRoutes);
 // Context routes
 router.use('/context', topicContextYojRouter);
 router.use('/context', collapseIndexerRouter);
+router.use('/context', collapseGroupsRouter);
+router.use('/context', istaRouter);
+router.use('/context', retrievalIndexerRouter);
+router.use('/context', presetsRouter);
+router.use('/context', snapshotsRouter);
+router.use('/context', redactionRouter);
+router.use('/context', kalaRouter);
+router.use('/context', autoCollapseRouter);
 
 // Tools service (same implementation as client-facing)
 router.use('/tools', toolsRoutes);
@@ -50,7 +50,7 @@ function fixed_temperature(model, temperature) {
   return fixed[model] ?? temperature; // ensure a value is returned
 }
 
-function estimateCost(model, usage) {
+export function estimateCost(model, usage) {
   const m = PRICING[model] || PRICING['gpt-4'];
   if (!usage) return null;
   return (
@@ -63,7 +63,8 @@ function resolveMaxTokens(model, fallback = 16384) {
   return MAX_TOKENS[model] || fallback;
 }
 
-async function getOpenAIKeyForUser(userId) {
+// Shared with server-side callers (e.g. the context rollingSummarizer filter)
+export async function getOpenAIKeyForUser(userId) {
   const docRef = db.collection(userScopedCollectionPath(userId, 'creds')).doc('openai');
   const snap = await docRef.get();
   if (!snap.exists) return null;
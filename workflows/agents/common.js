@@ -42,8 +42,11 @@ export const DEFAULT_TOOLS = [
   'UPDATE_TASK',
 ];
 
+// Session -> agent links (session.map.js): { sessionId, agentId, created, updated }
+export const SESSION_MAP_COLLECTION = 'agentSessions';
+
 export function sessionMapDocPath(userId, projectId, sessionId) {
-  return projectScopedCollectionPath(userId, projectId, `agentSessions/${sessionId}`);
+  return projectScopedCollectionPath(userId, projectId, `${SESSION_MAP_COLLECTION}/${sessionId}`);
 }
 
 // ESM-safe __dirname for this module
@@ -17,16 +17,12 @@ function isHttpUrl(u) {
   }
 }
 
-async function buildForwardHeaders(req) {
+async function buildForwardHeaders({ id, projectId, contentType }) {
   const h = {};
-  const allow = ['content-type'];
-  for (const k of allow) {
-    const v = req.headers[k];
-    if (v) h[k] = v;
-  }
+  if (contentType) h['content-type'] = contentType;
 
-  h['x-callback-id'] = req.params.id;
-  h['x-callback-project-id'] = req.projectId || '';
+  h['x-callback-id'] = id;
+  h['x-callback-project-id'] = projectId || '';
 
   // Add Authorization token for Google Workflows
   const auth = new GoogleAuth({
@@ -39,65 +35,83 @@ async function buildForwardHeaders(req) {
   return h;
 }
 
-// Invoke a stored callback by id; pass the request body to the original callback_url
-// Route supports POST for now; can expand to other verbs if needed.
-router.post('/:id', async (req, res) => {
-  const userId = req.userId;
-  const projectId = req.projectId;
-  const id = String(req.params.id || '').trim();
+function callbackError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Invokes a stored callback: posts body to its callback_url and records the call on the callback doc.
+// Shared by POST /callbacks/:id and the events WebSocket (callback result frames).
+// Returns the upstream { status, body }; throws with err.status when the callback cannot be invoked.
+export async function invokeCallback({ userId, projectId, id, body, contentType = 'application/json' }) {
+  id = String(id || '').trim();
+  if (!userId) throw callbackError(401, 'Unauthorized: missing req.userId');
+  if (!projectId) throw callbackError(400, 'Missing x-project-id header');
+  if (!id) throw callbackError(400, 'Missing callback id');
+
+  const docPath = projectScopedCollectionPath(userId, projectId, `callbacks/${id}`);
+  const ref = db.doc(docPath);
+  const snap = await ref.get();
+  if (!snap.exists) throw callbackError(404, 'Callback not found');
+
+  const data = snap.data() || {};
+  const url = data.callback_url;
+  if (!isHttpUrl(url)) throw callbackError(400, 'Stored callback_url is invalid');
+
+  const timeoutMs = Math.max(Number(process.env.CALLBACK_TIMEOUT_MS || 15000), 1000);
+
+  let status = 500;
+  let respBody = null;
+  let lastError = null;
 
-  if (!userId) return res.status(401).json({ error: 'Unauthorized: missing req.userId' });
-  if (!projectId) return res.status(400).json({ error: 'Missing x-project-id header' });
-  if (!id) return res.status(400).json({ error: 'Missing callback id' });
+  try {
+    const headers = await buildForwardHeaders({ id, projectId, contentType });
+
+    const resp = await axios.post(url, body, {
+      headers,
+      timeout: timeoutMs,
+      validateStatus: () => true,
+    });
+    status = resp.status;
+    respBody = resp.data;
+    lastError = null;
+  } catch (err) {
+    status = err?.response?.status || 500;
+    respBody = err?.response?.data || { error: String(err?.message || err) };
+    lastError = String(err?.message || err);
+  }
 
+  const now = Date.now();
   try {
-    const docPath = projectScopedCollectionPath(userId, projectId, `callbacks/${id}`);
-    const ref = db.doc(docPath);
-    const snap = await ref.get();
-    if (!snap.exists) return res.status(404).json({ error: 'Callback not found' });
-
-    const data = snap.data() || {};
-    const url = data.callback_url;
-    if (!isHttpUrl(url)) return res.status(400).json({ error: 'Stored callback_url is invalid' });
-
-    const timeoutMs = Math.max(Number(process.env.CALLBACK_TIMEOUT_MS || 15000), 1000);
-
-    let status = 500;
-    let respBody = null;
-    let lastError = null;
-
-    try {
-      const headers = await buildForwardHeaders(req);
-
-      const resp = await axios.post(url, req.body, {
-        headers,
-        timeout: timeoutMs,
-        validateStatus: () => true,
-      });
-      status = resp.status;
-      respBody = resp.data;
-      lastError = null;
-    } catch (err) {
-      status = err?.response?.status || 500;
-      respBody = err?.response?.data || { error: String(err?.message || err) };
-      lastError = String(err?.message || err);
-    }
-
-    const now = Date.now();
-    try {
-      await ref.update({
-        called_at: now,
-        last_status: status,
-        last_error: lastError,
-      });
-    } catch (e) {
-      // log and continue
-      console.warn('[callbacks invoke] failed to persist call metadata', String(e?.message || e));
-    }
+    await ref.update({
+      called_at: now,
+      last_status: status,
+      last_error: lastError,
+    });
+  } catch (e) {
+    // log and continue
+    console.warn('[callbacks invoke] failed to persist call metadata', String(e?.message || e));
+  }
+
+  return { status, body: respBody };
+}
 
+// Invoke a stored callback by id; pass the request body to the original callback_url
+// Route supports POST for now; can expand to other verbs if needed.
+router.post('/:id', async (req, res) => {
+  try {
+    const { status, body } = await invokeCallback({
+      userId: req.userId,
+      projectId: req.projectId,
+      id: req.params.id,
+      body: req.body,
+      contentType: req.headers['content-type'],
+    });
     // Mirror the upstream status and payload
-    return res.status(status).json(respBody);
+    return res.status(status).json(body);
   } catch (err) {
+    if (err?.status) return res.status(err.status).json({ error: err.message });
     console.error('[workflows/callbacks:invoke] error', err);
     return res.status(500).json({ error: String(err?.message || err) });
   }
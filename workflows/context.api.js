@@ -2,6 +2,13 @@ import express from 'express';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
 import topicContextYojRouter from './context/topicContextYoj.js';
 import collapseIndexerRouter from './context/collapseIndexer.js';
+import collapseGroupsRouter from './context/collapseGroups.js';
+import istaRouter from './context/ista.js';
+import retrievalIndexerRouter from './context/retrievalIndexer.js';
+import presetsRouter from './context/presets.js';
+import snapshotsRouter from './context/snapshots.js';
+import redactionRouter from './context/redaction.js';
+import kalaRouter from './context/kala.js';
 import { getUserIdFromReq, projectScopedCollectionPath } from './utils.js';
 
 const db = getFirestore();
@@ -14,8 +21,31 @@ router.use('/', topicContextYojRouter);
 // Expose collapse indexer and group state endpoints under /context
 // - POST /api/context/collapse/indexer/run
 // - POST /api/context/collapse/state/set
+// - POST /api/context/collapse/retract
+// - POST /api/context/collapse/indexer/sweep
 router.use('/', collapseIndexerRouter);
 
+// Collapse expansion: GET /api/context/collapse/groups/:name, /api/context/collapse/messages/:docId/groups
+router.use('/', collapseGroupsRouter);
+
+// Ista state snapshots: POST /api/context/ista/write
+router.use('/', istaRouter);
+
+// Retrieval index backfill: POST /api/context/retrieval/reindex
+router.use('/', retrievalIndexerRouter);
+
+// Named presets: /api/context/presets (CRUD, versions, share, validate)
+router.use('/', presetsRouter);
+
+// Context snapshots: GET /api/context/snapshots[/diff|/:snapshotId]
+router.use('/', snapshotsRouter);
+
+// redactSecrets allow list: GET/PUT /api/context/redaction/allowlist
+router.use('/', redactionRouter);
+
+// Kala calendar: GET/PUT /api/context/kala/calendar, POST /api/context/kala/promote
+router.use('/', kalaRouter);
+
 // POST /api/context/sessions/list
 // Lists session documents (default collection: "convo.sessions") between start/end bounds.
 // Body params:
@@ -0,0 +1,36 @@
+// Automatic collapse completion check (Cloud Tasks target)
+// lib/autoCollapse.js schedules one task per check while a triggered ContextCollapser execution
+// runs; each call polls the execution once and either reschedules, or indexes the response and
+// releases the session's claim.
+// POST /context/autoCollapse/check (mounted under /jobs/context only: internal, user via x-user-id)
+
+import express from 'express';
+import { checkAutoCollapse } from './lib/autoCollapse.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+// Body: { sessionId: string, claimId: string }
+router.post('/autoCollapse/check', async (req, res) => {
+  try {
+    const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+    const userId = hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+
+    const { sessionId, claimId } = req.body || {};
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'sessionId (string) is required' });
+    }
+    if (!claimId || typeof claimId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'claimId (string) is required' });
+    }
+    const result = await checkAutoCollapse({ userId, projectId: req.projectId, sessionId, claimId });
+    return res.status(200).json({ ok: true, sessionId, ...result });
+  } catch (err) {
+    // 5xx so Cloud Tasks retries the check
+    console.error('Error in auto-collapse check:', err);
+    return res.status(500).json({ ok: false, error: err?.message || 'Failed to check auto-collapse' });
+  }
+});
+
+export default router;
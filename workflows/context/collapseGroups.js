@@ -0,0 +1,245 @@
+// Collapse expansion endpoints
+// Lets clients expand collapsed groups without knowing the index layout written by collapseIndexer.js.
+// Mounted under /workflows/context and /jobs/context:
+//   GET /context/collapse/groups/:name?sessionId=&resolve=&limit=         -> { ok, sessionId, root, group }
+//   GET /context/collapse/messages/:docId/groups?sessionId=&resolve=&limit= -> { ok, sessionId, root, docId, message, groups }
+// Session roots are tried in order: project-scoped, user-scoped, legacy (non-user-scoped); the first
+// root holding the requested index entry answers. The legacy root (convo.sessions/{sessionId}) is
+// shared by all users, so it is only read when the caller owns the session (its doc's user_id, or its
+// messages' user_id when the doc has none), and only the caller's message bodies are returned from it.
+// Message membership merges messageToGroups/{docId} with the byMessage/{docId}/groups spill.
+
+import express from 'express';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getUserIdFromReq, projectScopedCollectionPath, userScopedCollectionPath } from '../userAuth.js';
+import { sanitizeGroupName, responseGroups, childGroupNames } from './collapseIndexer.js';
+
+const router = express.Router();
+
+const DEFAULT_RESOLVE_LIMIT = 200; // message bodies resolved per request
+const MAX_RESOLVE_LIMIT = 500;
+const GET_ALL_CHUNK = 100;
+
+async function resolveUserId(req) {
+  const hintedUserId = req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sessionRoots(db, { userId, projectId, sessionId }) {
+  const roots = [];
+  if (projectId) roots.push({ scope: 'project', ref: db.collection(projectScopedCollectionPath(userId, projectId, 'convo.sessions')).doc(sessionId) });
+  roots.push({ scope: 'user', ref: db.collection(userScopedCollectionPath(userId, 'convo.sessions')).doc(sessionId) });
+  roots.push({ scope: 'legacy', ref: db.collection('convo.sessions').doc(sessionId), ownerId: userId });
+  return roots;
+}
+
+// Roots the caller may read: a legacy root needs a session owned by root.ownerId
+async function readable(root) {
+  if (!root.ownerId) return true;
+  const snap = await root.ref.get();
+  const owner = snap.exists ? snap.data()?.user_id : undefined;
+  if (owner !== undefined && owner !== null && `${owner}`.length > 0) return String(owner) === root.ownerId;
+  const mine = await root.ref.collection('messages').where('user_id', '==', root.ownerId).limit(1).get();
+  return !mine.empty;
+}
+
+// Message bodies of a root by doc id; on a legacy root, other users' messages are left out
+async function messageBodies(db, root, ids) {
+  const bodies = await getAllData(db, ids.map((id) => root.ref.collection('messages').doc(id)));
+  if (root.ownerId) {
+    for (const [id, datum] of bodies) if (datum?.user_id !== root.ownerId) bodies.delete(id);
+  }
+  return bodies;
+}
+
+const indexOf = (root) => root.ref.collection('indexes').doc('collapsed');
+
+async function getAllData(db, refs) {
+  const out = new Map(); // doc id -> data
+  for (let i = 0; i < refs.length; i += GET_ALL_CHUNK) {
+    const chunk = refs.slice(i, i + GET_ALL_CHUNK);
+    if (chunk.length === 0) continue;
+    const snaps = await db.getAll(...chunk);
+    for (const snap of snaps) if (snap.exists) out.set(snap.id, snap.data() || {});
+  }
+  return out;
+}
+
+// Stored chat messages wrap the payload in { value, create_time, cost?, execId? }
+function messageBody(docId, datum) {
+  const value = datum && typeof datum === 'object' && datum.value != null ? datum.value : datum;
+  if (value && typeof value === 'object') {
+    const msg = { ...value, docId };
+    if (datum.cost !== undefined && msg.cost === undefined) msg.cost = datum.cost;
+    if (datum.execId !== undefined && msg.execId === undefined) msg.execId = datum.execId;
+    return msg;
+  }
+  return { docId, value };
+}
+
+function describeGroupEntry(group) {
+  const description = typeof group?.description === 'string'
+    ? group.description
+    : (typeof group?.params?.description === 'string' ? group.params.description : undefined);
+  const items = Array.isArray(group?.items) ? group.items : (Array.isArray(group?.value?.items) ? group.value.items : []);
+  return { description, items };
+}
+
+// Metadata and items of one group under a root, or null when the root does not index it.
+// budget: { remaining } shared across groups so one request resolves at most `limit` bodies.
+async function loadGroup(db, root, name, { resolve, budget }) {
+  const idx = indexOf(root);
+  const [gtrSnap, parentSnap, stateSnap] = await Promise.all([
+    idx.collection('groupToResponse').doc(name).get(),
+    idx.collection('groupToParent').doc(name).get(),
+    idx.collection('groupState').doc(name).get(),
+  ]);
+  if (!gtrSnap.exists) return null;
+  const gtr = gtrSnap.data() || {};
+  const group = {
+    name,
+    responseId: gtr.responseId || null,
+    size: typeof gtr.size === 'number' ? gtr.size : null,
+    updated_at: gtr.updated_at ?? null,
+    parent: parentSnap.exists ? (parentSnap.data()?.parent || null) : null,
+    children: Array.isArray(gtr.children) ? gtr.children : [],
+    expanded: stateSnap.exists ? stateSnap.data()?.expanded === true : false,
+  };
+
+  const respSnap = gtr.responseId ? await root.ref.collection('collapsed').doc(String(gtr.responseId)).get() : null;
+  if (!respSnap || !respSnap.exists) {
+    group.responseMissing = true;
+    group.items = [];
+    return group;
+  }
+  const groupsArr = responseGroups(respSnap.data() || {});
+  let found = groupsArr.find((g) => sanitizeGroupName(g?.name || g?.group) === name);
+  if (!found && groupsArr.length === 1) found = groupsArr[0];
+  const { description, items } = describeGroupEntry(found);
+  if (description !== undefined) group.description = description;
+  if (!Array.isArray(gtr.children) && found) group.children = childGroupNames(found);
+
+  // Child group references resolve to their own groupToResponse summary
+  const childNames = items.filter((it) => it && it.type === 'collapsed' && it.id).map((it) => sanitizeGroupName(it.id));
+  const childSummaries = await getAllData(db, childNames.map((n) => idx.collection('groupToResponse').doc(n)));
+
+  // Message references resolve to the stored message bodies (bounded by the request budget)
+  const messageIds = [];
+  if (resolve && budget.remaining > 0) {
+    for (const it of items) {
+      if (!it || it.type !== 'message' || !it.id) continue;
+      if (budget.remaining <= 0) break;
+      messageIds.push(String(it.id));
+      budget.remaining--;
+    }
+  }
+  const bodies = await messageBodies(db, root, messageIds);
+  const requested = new Set(messageIds);
+
+  group.items = items.map((it) => {
+    if (!it || !it.id) return it;
+    if (it.type === 'collapsed') {
+      const childName = sanitizeGroupName(it.id);
+      const summary = childSummaries.get(childName);
+      return { ...it, group: summary ? { name: childName, responseId: summary.responseId || null, size: summary.size ?? null, children: summary.children || [] } : null };
+    }
+    if (it.type === 'message' && resolve) {
+      const id = String(it.id);
+      if (bodies.has(id)) return { ...it, message: messageBody(id, bodies.get(id)) };
+      return requested.has(id) ? { ...it, message: null, missing: true } : { ...it, truncated: true };
+    }
+    return it;
+  });
+  return group;
+}
+
+function readOptions(query) {
+  const resolve = query?.resolve !== 'false' && query?.resolve !== '0';
+  const n = Number(query?.limit);
+  const limit = Number.isFinite(n) && n >= 0 ? Math.min(Math.floor(n), MAX_RESOLVE_LIMIT) : DEFAULT_RESOLVE_LIMIT;
+  return { resolve, limit };
+}
+
+export async function expandCollapseGroup({ userId, projectId, sessionId, name, resolve = true, limit = DEFAULT_RESOLVE_LIMIT }) {
+  const groupName = sanitizeGroupName(name);
+  if (!groupName) throw httpError(400, 'group name is empty/invalid');
+  const db = getFirestore();
+  for (const root of sessionRoots(db, { userId, projectId, sessionId })) {
+    if (!(await readable(root))) continue;
+    const group = await loadGroup(db, root, groupName, { resolve, budget: { remaining: limit } });
+    if (group) return { root: root.scope, group };
+  }
+  throw httpError(404, `Collapsed group not found: ${groupName}`);
+}
+
+export async function groupsForMessage({ userId, projectId, sessionId, docId, resolve = true, limit = DEFAULT_RESOLVE_LIMIT }) {
+  const db = getFirestore();
+  for (const root of sessionRoots(db, { userId, projectId, sessionId })) {
+    if (!(await readable(root))) continue;
+    const idx = indexOf(root);
+    const [mtgSnap, spillSnap] = await Promise.all([
+      idx.collection('messageToGroups').doc(docId).get(),
+      idx.collection('byMessage').doc(docId).collection('groups').get(),
+    ]);
+    const membership = new Map(); // NAME -> { responseId, updated_at }
+    for (const [name, entry] of Object.entries(mtgSnap.exists ? (mtgSnap.data()?.groups || {}) : {})) {
+      if (entry && entry.responseId) membership.set(name, entry);
+    }
+    for (const d of spillSnap.docs) {
+      const entry = d.data() || {};
+      const prev = membership.get(d.id);
+      if (entry.responseId && (!prev || (entry.updated_at || 0) > (prev.updated_at || 0))) membership.set(d.id, entry);
+    }
+    if (membership.size === 0) continue;
+
+    const budget = { remaining: limit };
+    const ordered = Array.from(membership.entries()).sort((a, b) => (b[1].updated_at || 0) - (a[1].updated_at || 0));
+    const groups = [];
+    for (const [name, entry] of ordered) {
+      const group = await loadGroup(db, root, name, { resolve, budget });
+      groups.push({ ...(group || { name, items: [] }), membership: { responseId: entry.responseId, updated_at: entry.updated_at ?? null }, indexed: !!group });
+    }
+    const bodies = await messageBodies(db, root, [docId]);
+    return { root: root.scope, message: bodies.has(docId) ? messageBody(docId, bodies.get(docId)) : null, groups };
+  }
+  throw httpError(404, `No collapsed groups indexed for message: ${docId}`);
+}
+
+router.get('/collapse/groups/:name', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const sessionId = req.query?.sessionId;
+    if (!sessionId || typeof sessionId !== 'string') return res.status(400).json({ ok: false, error: 'sessionId (string) is required' });
+    const { resolve, limit } = readOptions(req.query);
+    const result = await expandCollapseGroup({ userId, projectId: req.projectId, sessionId, name: req.params.name, resolve, limit });
+    return res.status(200).json({ ok: true, sessionId, ...result });
+  } catch (err) {
+    if (!err.status) console.error('Error expanding collapsed group:', err);
+    return res.status(err.status || 500).json({ ok: false, error: err.status ? err.message : 'Failed to expand collapsed group' });
+  }
+});
+
+router.get('/collapse/messages/:docId/groups', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const sessionId = req.query?.sessionId;
+    if (!sessionId || typeof sessionId !== 'string') return res.status(400).json({ ok: false, error: 'sessionId (string) is required' });
+    const { resolve, limit } = readOptions(req.query);
+    const docId = String(req.params.docId);
+    const result = await groupsForMessage({ userId, projectId: req.projectId, sessionId, docId, resolve, limit });
+    return res.status(200).json({ ok: true, sessionId, docId, ...result });
+  } catch (err) {
+    if (!err.status) console.error('Error listing groups for message:', err);
+    return res.status(err.status || 500).json({ ok: false, error: err.status ? err.message : 'Failed to list groups for message' });
+  }
+});
+
+export default router;
@@ -3,10 +3,12 @@
 // Also exposes endpoints to manage per-group UI state (e.g., expanded true/false)
 // POST /context/collapse/indexer/run (mounted under /api/context)
 // POST /context/collapse/state/set
+// POST /context/collapse/retract
+// POST /context/collapse/indexer/sweep
 
 import express from 'express';
 import { initializeApp, getApps } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue, FieldPath } from 'firebase-admin/firestore';
 import { getUserIdFromReq, projectScopedCollectionPath } from '../userAuth.js';
 
 // Ensure Firebase Admin is initialized once (in case no other module did)
@@ -18,6 +20,8 @@ const router = express.Router();
 
 const BATCH_WRITE_LIMIT = 400; // stay under Firestore RPC limits
 const MAX_GROUPS_PER_MESSAGE = 200; // safeguard against oversized per-message docs
+const SCAN_PAGE_SIZE = 500; // page size when scanning index collections
+const SWEEP_MAX_SESSIONS = 100; // default sessions per sweep call (scheduler pages with nextCursor)
 
 function nowSeconds() {
   return Math.floor(Date.now() / 1000);
@@ -30,6 +34,49 @@ function sanitizeGroupName(name) {
   return upper.replace(/[^A-Z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_+|_+$/g, '');
 }
 
+// Some writers store groups at the top-level, others under a `value` map.
+function responseGroups(data) {
+  if (Array.isArray(data?.groups)) return data.groups;
+  if (data?.value && Array.isArray(data.value.groups)) return data.value.groups;
+  return [];
+}
+
+// Child groups of a group: items `{ type: 'collapsed', id }` reference other groups by name
+function childGroupNames(group) {
+  const items = Array.isArray(group?.items) ? group.items : [];
+  const names = items.filter((it) => it && it.type === 'collapsed' && it.id).map((it) => sanitizeGroupName(it.id)).filter(Boolean);
+  return Array.from(new Set(names));
+}
+
+// create_time as epoch seconds: numbers, Firestore Timestamps and ISO strings (null otherwise)
+function timeOf(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (value && typeof value.toMillis === 'function') return value.toMillis() / 1000;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return Date.parse(value) / 1000;
+  return null;
+}
+
+function collapsedIndexRefs(db, { userId, projectId, sessionId }) {
+  const sessionDoc = db.collection(projectScopedCollectionPath(userId, projectId, 'convo.sessions')).doc(String(sessionId));
+  return { sessionDoc, collapsedIdxDoc: sessionDoc.collection('indexes').doc('collapsed') };
+}
+
+// Message membership layout, shared by indexing and retraction: the groups one write assigns to a
+// message are merged into messageToGroups/{docId}, or spilled to byMessage/{docId}/groups/{NAME}
+// docs when there are more than MAX_GROUPS_PER_MESSAGE of them
+function spillsMembership(groupsMap) {
+  return Object.keys(groupsMap).length > MAX_GROUPS_PER_MESSAGE;
+}
+
+function spillOps(collapsedIdxDoc, messageDocId, groupsMap) {
+  return Object.entries(groupsMap).map(([gName, entry]) => ({
+    ref: collapsedIdxDoc.collection('byMessage').doc(messageDocId).collection('groups').doc(gName),
+    data: entry,
+    type: 'set',
+    options: { merge: true },
+  }));
+}
+
 async function commitWritesInChunks(db, ops) {
   // ops: Array<{ ref, data, options?: any, type?: 'set'|'update'|'delete' }>
   for (let i = 0; i < ops.length; i += BATCH_WRITE_LIMIT) {
@@ -68,17 +115,7 @@ async function indexCollapseGroups({ userId, projectId, sessionId, responseId, g
     const respRef = sessionDoc.collection('collapsed').doc(String(responseId));
     const snap = await respRef.get();
     if (!snap.exists) throw new Error(`CollapseResponse not found: userId=${userId}, sessionId=${sessionId}, responseId=${responseId}`);
-    const data = snap.data() || {};
-
-    // Some writers store groups at the top-level, others under a `value` map.
-    let resolvedGroups = [];
-    if (Array.isArray(data.groups)) {
-      resolvedGroups = data.groups;
-    } else if (data.value && Array.isArray(data.value.groups)) {
-      resolvedGroups = data.value.groups;
-    }
-
-    groups = resolvedGroups;
+    groups = responseGroups(snap.data() || {});
   }
 
   const ts = nowSeconds();
@@ -97,10 +134,17 @@ async function indexCollapseGroups({ userId, projectId, sessionId, responseId, g
 
     const items = Array.isArray(group?.items) ? group.items : [];
     const messageItems = items.filter((it) => it && it.type === 'message' && it.id);
+    const children = childGroupNames(group).filter((child) => child !== name);
 
     // groupToResponse upsert
     const gtrRef = collapsedIdxDoc.collection('groupToResponse').doc(name);
-    ops.push({ ref: gtrRef, data: { responseId: responseId || 'unknown', updated_at: ts, size: items.length }, type: 'set', options: { merge: true } });
+    ops.push({ ref: gtrRef, data: { responseId: responseId || 'unknown', updated_at: ts, size: items.length, children }, type: 'set', options: { merge: true } });
+
+    // child -> parent links (a group has one parent; the latest defining response wins)
+    for (const child of children) {
+      const gtpRef = collapsedIdxDoc.collection('groupToParent').doc(child);
+      ops.push({ ref: gtpRef, data: { parent: name, responseId: responseId || 'unknown', updated_at: ts }, type: 'set', options: { merge: false } });
+    }
 
     responseGroupNames.push(name);
 
@@ -117,19 +161,12 @@ async function indexCollapseGroups({ userId, projectId, sessionId, responseId, g
     const groupNames = Object.keys(groupsMap);
     if (groupNames.length === 0) continue;
 
-    if (groupNames.length <= MAX_GROUPS_PER_MESSAGE) {
+    if (!spillsMembership(groupsMap)) {
       const mtgRef = collapsedIdxDoc.collection('messageToGroups').doc(messageDocId);
       ops.push({ ref: mtgRef, data: { groups: groupsMap }, type: 'set', options: { merge: true } });
     } else {
       // Fallback: split per-message keys into child docs to avoid large document
-      for (const gName of groupNames) {
-        const byMsgRef = collapsedIdxDoc
-          .collection('byMessage')
-          .doc(messageDocId)
-          .collection('groups')
-          .doc(gName);
-        ops.push({ ref: byMsgRef, data: groupsMap[gName], type: 'set', options: { merge: true } });
-      }
+      ops.push(...spillOps(collapsedIdxDoc, messageDocId, groupsMap));
     }
   }
 
@@ -144,6 +181,309 @@ async function indexCollapseGroups({ userId, projectId, sessionId, responseId, g
   return { indexed_groups: responseGroupNames.length, indexed_messages: perMessageGroupsMap.size, batches: Math.ceil(ops.length / BATCH_WRITE_LIMIT) };
 }
 
+// Loads every CollapseResponse of a session as [{ responseId, create_time, groups: Map(NAME -> group) }]
+async function loadSessionResponses(sessionDoc) {
+  const snap = await sessionDoc.collection('collapsed').get();
+  return snap.docs.map((d) => {
+    const data = d.data() || {};
+    const groups = new Map();
+    for (const g of responseGroups(data)) {
+      const name = sanitizeGroupName(g?.name);
+      if (name) groups.set(name, g);
+    }
+    return { responseId: d.id, create_time: timeOf(data.create_time), groups };
+  });
+}
+
+// Retract the index entries a CollapseResponse created. Every groupToResponse, messageToGroups and
+// byMessage entry pointing at `responseId` is repointed to the previous response that defined the
+// same group (latest create_time not after the retracted one), or removed when there is none.
+// Membership entries are repointed where they are stored; the previous response's other member
+// messages are written with the indexer's layout (messageToGroups merge map or byMessage spill).
+// The CollapseResponse document itself is left alone; retraction only touches indexes/collapsed.
+// `groupNames` adds group names known to reference the response (used by the sweep, which finds
+// them while scanning messageToGroups). Spill entries are looked up for the retracted response's
+// member messages plus `spilledMessageIds` (the sweep passes the ones it found); only when the
+// response document is gone and no ids are given is every byMessage parent scanned.
+async function retractCollapseResponse({ userId, projectId, sessionId, responseId, groupNames = [], spilledMessageIds, dryRun = false }) {
+  if (!userId) throw new Error('userId is required');
+  if (!sessionId) throw new Error('sessionId is required');
+  if (!responseId) throw new Error('responseId is required');
+
+  const db = getFirestore();
+  const rid = String(responseId);
+  const { sessionDoc, collapsedIdxDoc } = collapsedIndexRefs(db, { userId, projectId, sessionId });
+
+  const responses = await loadSessionResponses(sessionDoc);
+  const retracted = responses.find((r) => r.responseId === rid);
+  const others = responses.filter((r) => r.responseId !== rid);
+
+  // Groups the response may have written: reverse mapping, its own document, current owners, hints
+  const names = new Set(groupNames.map(sanitizeGroupName).filter(Boolean));
+  const r2gRef = collapsedIdxDoc.collection('responseToGroups').doc(rid);
+  const r2gSnap = await r2gRef.get();
+  for (const n of (r2gSnap.exists ? r2gSnap.data()?.groups : null) || []) names.add(sanitizeGroupName(n));
+  if (retracted) for (const n of retracted.groups.keys()) names.add(n);
+  const ownedSnap = await collapsedIdxDoc.collection('groupToResponse').where('responseId', '==', rid).get();
+  const owned = new Set(ownedSnap.docs.map((d) => d.id));
+  for (const n of owned) names.add(n);
+  names.delete('');
+
+  // Previous definition of each group, newest first
+  const cutoff = retracted?.create_time ?? null;
+  const fallbackOf = new Map(); // NAME -> { responseId, group }
+  const ordered = others
+    .filter((r) => cutoff === null || r.create_time === null || r.create_time <= cutoff)
+    .sort((a, b) => (b.create_time ?? 0) - (a.create_time ?? 0));
+  for (const name of names) {
+    const prev = ordered.find((r) => r.groups.has(name));
+    if (prev) fallbackOf.set(name, { responseId: prev.responseId, group: prev.groups.get(name) });
+  }
+
+  const ts = nowSeconds();
+  const ops = [];
+  const result = { responseId: rid, groups_repointed: [], groups_removed: [], links_updated: 0, messages_updated: 0, spill_repointed: 0, spill_removed: 0 };
+
+  // groupToResponse: only entries still owned by the retracted response change
+  for (const name of owned) {
+    const ref = collapsedIdxDoc.collection('groupToResponse').doc(name);
+    const fb = fallbackOf.get(name);
+    if (fb) {
+      const size = Array.isArray(fb.group?.items) ? fb.group.items.length : 0;
+      const children = childGroupNames(fb.group).filter((child) => child !== name);
+      ops.push({ ref, data: { responseId: fb.responseId, updated_at: ts, size, children }, type: 'set', options: { merge: false } });
+      ops.push({ ref: collapsedIdxDoc.collection('responseToGroups').doc(fb.responseId), data: { groups: FieldValue.arrayUnion(name), updated_at: ts }, type: 'set' });
+      result.groups_repointed.push({ group: name, responseId: fb.responseId });
+    } else {
+      ops.push({ ref, type: 'delete' });
+      result.groups_removed.push(name);
+    }
+  }
+
+  // groupToParent: links written by the retracted response fall back to the latest previous
+  // response in which some group lists the child, or are removed
+  const linksSnap = await collapsedIdxDoc.collection('groupToParent').where('responseId', '==', rid).get();
+  for (const d of linksSnap.docs) {
+    let link = null;
+    for (const r of ordered) {
+      for (const [name, g] of r.groups) {
+        if (name !== d.id && childGroupNames(g).includes(d.id)) { link = { parent: name, responseId: r.responseId }; break; }
+      }
+      if (link) break;
+    }
+    if (link) ops.push({ ref: d.ref, data: { ...link, updated_at: ts }, type: 'set', options: { merge: false } });
+    else ops.push({ ref: d.ref, type: 'delete' });
+  }
+  result.links_updated = linksSnap.size;
+
+  // Membership the fallback responses restore, for groups whose ownership moves back:
+  // docId -> { NAME: { responseId, updated_at } }
+  const restored = new Map();
+  for (const name of owned) {
+    const fb = fallbackOf.get(name);
+    if (!fb) continue;
+    const items = Array.isArray(fb.group?.items) ? fb.group.items : [];
+    for (const it of items) {
+      if (!it || it.type !== 'message' || !it.id) continue;
+      const docId = String(it.id);
+      if (!restored.has(docId)) restored.set(docId, {});
+      restored.get(docId)[name] = { responseId: fb.responseId, updated_at: ts };
+    }
+  }
+  const takeRestored = (docId, name) => {
+    const entry = restored.get(docId)?.[name];
+    if (entry) delete restored.get(docId)[name];
+    return entry || null;
+  };
+
+  // messageToGroups: per message doc, entries of the retracted response are repointed in place to
+  // the restored membership, or dropped
+  const perMessage = new Map(); // docId -> { ref, current: groups map, changes: { NAME: entry | null } }
+  const change = (ref, current, name, entry) => {
+    if (!perMessage.has(ref.id)) perMessage.set(ref.id, { ref, current, changes: {} });
+    perMessage.get(ref.id).changes[name] = entry;
+  };
+  const mtg = collapsedIdxDoc.collection('messageToGroups');
+  for (const name of names) {
+    const snap = await mtg.where(new FieldPath('groups', name, 'responseId'), '==', rid).get();
+    for (const d of snap.docs) change(d.ref, d.data()?.groups || {}, name, takeRestored(d.id, name));
+  }
+
+  // byMessage spill: query the groups of the messages the response covers. Parents are never
+  // written, so without the response document they can only be found by listing them.
+  const byMessage = collapsedIdxDoc.collection('byMessage');
+  let spillParents;
+  if (retracted || Array.isArray(spilledMessageIds)) {
+    const ids = new Set((spilledMessageIds || []).map(String));
+    for (const group of retracted ? retracted.groups.values() : []) {
+      for (const it of Array.isArray(group?.items) ? group.items : []) {
+        if (it && it.type === 'message' && it.id) ids.add(String(it.id));
+      }
+    }
+    spillParents = Array.from(ids, (id) => byMessage.doc(id));
+  } else {
+    spillParents = await byMessage.listDocuments();
+  }
+  for (const parent of spillParents) {
+    const snap = await parent.collection('groups').where('responseId', '==', rid).get();
+    for (const d of snap.docs) {
+      const entry = takeRestored(parent.id, d.id);
+      if (entry) {
+        ops.push({ ref: d.ref, data: entry, type: 'set', options: { merge: false } });
+        result.spill_repointed++;
+      } else {
+        ops.push({ ref: d.ref, type: 'delete' });
+        result.spill_removed++;
+      }
+    }
+  }
+
+  // Remaining restored membership is written like the indexer writes it
+  for (const [docId, groupsMap] of restored.entries()) {
+    if (Object.keys(groupsMap).length === 0) continue;
+    if (spillsMembership(groupsMap)) {
+      ops.push(...spillOps(collapsedIdxDoc, docId, groupsMap));
+      result.spill_repointed += Object.keys(groupsMap).length;
+    } else {
+      for (const [name, entry] of Object.entries(groupsMap)) change(mtg.doc(docId), perMessage.get(docId)?.current || null, name, entry);
+    }
+  }
+  for (const { ref, current, changes } of perMessage.values()) {
+    const removesAll = current && Object.values(changes).every((e) => e === null)
+      && Object.keys(current).every((n) => n in changes);
+    if (removesAll) {
+      ops.push({ ref, type: 'delete' });
+    } else {
+      const groups = {};
+      for (const [name, entry] of Object.entries(changes)) groups[name] = entry || FieldValue.delete();
+      ops.push({ ref, data: { groups }, type: 'set', options: { merge: true } });
+    }
+  }
+  result.messages_updated = perMessage.size;
+
+  if (r2gSnap.exists) ops.push({ ref: r2gRef, type: 'delete' });
+
+  if (!dryRun) await commitWritesInChunks(db, ops);
+  return { ...result, dryRun: !!dryRun, writes: ops.length, batches: Math.ceil(ops.length / BATCH_WRITE_LIMIT) };
+}
+
+// Response ids referenced by a session's collapse indexes, with the group names and the spilled
+// message ids seen for each
+async function collectIndexedResponses(collapsedIdxDoc) {
+  const refs = new Map(); // responseId -> { names: Set(NAME), spilled: Set(docId) }
+  const add = (rid, name, spilledId) => {
+    if (!rid || rid === 'unknown') return; // written for explicitly provided groups; no document to check
+    if (!refs.has(rid)) refs.set(rid, { names: new Set(), spilled: new Set() });
+    if (name) refs.get(rid).names.add(name);
+    if (spilledId) refs.get(rid).spilled.add(spilledId);
+  };
+  const scan = async (coll, onDoc) => {
+    let last = null;
+    for (;;) {
+      let q = coll.orderBy(FieldPath.documentId()).limit(SCAN_PAGE_SIZE);
+      if (last) q = q.startAfter(last);
+      const snap = await q.get();
+      snap.docs.forEach(onDoc);
+      if (snap.size < SCAN_PAGE_SIZE) break;
+      last = snap.docs[snap.docs.length - 1];
+    }
+  };
+  await scan(collapsedIdxDoc.collection('groupToResponse'), (d) => add(d.data()?.responseId, d.id));
+  await scan(collapsedIdxDoc.collection('responseToGroups'), (d) => add(d.id));
+  await scan(collapsedIdxDoc.collection('groupToParent'), (d) => add(d.data()?.responseId, d.data()?.parent));
+  await scan(collapsedIdxDoc.collection('messageToGroups'), (d) => {
+    for (const [name, entry] of Object.entries(d.data()?.groups || {})) add(entry?.responseId, name);
+  });
+  for (const parent of await collapsedIdxDoc.collection('byMessage').listDocuments()) {
+    await scan(parent.collection('groups'), (d) => add(d.data()?.responseId, d.id, parent.id));
+  }
+  return refs;
+}
+
+// Garbage-collect index entries whose CollapseResponse no longer exists. Sweeps the given
+// sessions, or pages through the project's sessions (ordered by id, `limit` per call) so a
+// scheduler can call it repeatedly with the returned `nextCursor` until it is null.
+async function sweepCollapseIndexes({ userId, projectId, sessionId, sessionIds, cursor, limit = SWEEP_MAX_SESSIONS, dryRun = false }) {
+  if (!userId) throw new Error('userId is required');
+  const db = getFirestore();
+
+  let ids = Array.isArray(sessionIds) ? sessionIds.map(String) : (sessionId ? [String(sessionId)] : null);
+  let nextCursor = null;
+  if (!ids) {
+    const max = Math.min(Math.max(Number(limit) || SWEEP_MAX_SESSIONS, 1), 500);
+    let q = db.collection(projectScopedCollectionPath(userId, projectId, 'convo.sessions')).orderBy(FieldPath.documentId()).limit(max);
+    if (cursor) q = q.startAfter(String(cursor));
+    const snap = await q.select().get();
+    ids = snap.docs.map((d) => d.id);
+    nextCursor = snap.size === max ? ids[ids.length - 1] : null;
+  }
+
+  const sessions = [];
+  for (const sid of ids) {
+    const { sessionDoc, collapsedIdxDoc } = collapsedIndexRefs(db, { userId, projectId, sessionId: sid });
+    const referenced = await collectIndexedResponses(collapsedIdxDoc);
+    if (referenced.size === 0) continue;
+    const existing = await sessionDoc.collection('collapsed').select().get();
+    const present = new Set(existing.docs.map((d) => d.id));
+    const orphans = [];
+    for (const [rid, { names, spilled }] of referenced) {
+      if (present.has(rid)) continue;
+      orphans.push(await retractCollapseResponse({ userId, projectId, sessionId: sid, responseId: rid, groupNames: Array.from(names), spilledMessageIds: Array.from(spilled), dryRun }));
+    }
+    if (orphans.length) sessions.push({ sessionId: sid, orphans });
+  }
+
+  return { dryRun: !!dryRun, sessions_scanned: ids.length, sessions, nextCursor };
+}
+
+function resolveHintedUserId(req) {
+  const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : getUserIdFromReq(req);
+}
+
+// Retract one CollapseResponse from the session indexes
+// Body: { sessionId: string, responseId: string, dryRun?: boolean }
+router.post('/collapse/retract', async (req, res) => {
+  try {
+    const userId = await resolveHintedUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+
+    const { sessionId, responseId, dryRun } = req.body || {};
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'sessionId (string) is required' });
+    }
+    if (!responseId || typeof responseId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'responseId (string) is required' });
+    }
+
+    const result = await retractCollapseResponse({ userId, projectId: req.projectId, sessionId, responseId, dryRun: dryRun === true });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Error in collapse retract:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to retract collapsed response' });
+  }
+});
+
+// Sweep orphaned index entries (intended for a scheduler)
+// Body: { sessionId?: string, sessionIds?: string[], cursor?: string, limit?: number, dryRun?: boolean }
+router.post('/collapse/indexer/sweep', async (req, res) => {
+  try {
+    const userId = await resolveHintedUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+
+    const { sessionId, sessionIds, cursor, limit, dryRun } = req.body || {};
+    if (sessionIds !== undefined && (!Array.isArray(sessionIds) || sessionIds.some((s) => !s || typeof s !== 'string'))) {
+      return res.status(400).json({ ok: false, error: 'sessionIds must be an array of strings' });
+    }
+
+    const result = await sweepCollapseIndexes({ userId, projectId: req.projectId, sessionId, sessionIds, cursor, limit, dryRun: dryRun === true });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Error in collapse indexer sweep:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to sweep collapse indexes' });
+  }
+});
+
 // Set the UI-expanded state for a collapsed group (idempotent)
 // Body: { sessionId: string, group: string, expanded: boolean, responseId?: string }
 router.post('/collapse/state/set', async (req, res) => {
@@ -208,4 +548,4 @@ router.post('/collapse/indexer/run', async (req, res) => {
 });
 
 export default router;
-export { indexCollapseGroups };
+export { indexCollapseGroups, retractCollapseResponse, sweepCollapseIndexes, sanitizeGroupName, responseGroups, childGroupNames, timeOf };
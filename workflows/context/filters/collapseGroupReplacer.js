@@ -30,9 +30,22 @@
 //   If a group's state.expanded === true, do NOT collapse that group; pass through
 //   the original messages and annotate each message with { collapsedGroupId, collapsedGroup }
 //   so the UI can offer a re-collapse toggle and differentiate rendering.
+//
+// Hierarchical groups:
+// - CollapseResponse items `{ type: 'collapsed', id }` reference child groups by name; the indexer
+//   records child -> parent links at indexes/collapsed/groupToParent/{CHILD} = { parent, responseId }.
+// - A message is rendered as the outermost group of its chain (leaf group -> parent -> ...) that is
+//   not expanded. Collapsed parents therefore emit one placeholder (with `children` listing the
+//   child group names); expanding a parent reveals its child placeholders (with `parent` set), and
+//   only when every level is expanded do the raw messages pass through (annotated with the leaf
+//   group and `collapsedGroup.parent`).
+//
+// Index reads go through the data access in ctx.data (lib/dataAccess.js), Firestore by default.
 
-import { getFirestore } from 'firebase-admin/firestore';
 import { projectScopedCollectionPath } from '../../userAuth.js';
+import { dataAccessOf } from '../lib/dataAccess.js';
+
+const MAX_GROUP_DEPTH = 8; // bound on parent links followed per group (also guards against cycles)
 
 function isAlreadyCollapsedGroup(msg) {
   if (!msg || typeof msg.content !== 'string') return false;
@@ -69,97 +82,78 @@ function makeLogger(options = {}, ctx = {}) {
   };
 }
 
-function sessionRootRef(db, { userId, projectId, sessionId }) {
+function sessionPath({ userId, projectId, sessionId }) {
   if (!sessionId) return null;
-  return db.collection(projectScopedCollectionPath(userId, projectId, 'convo.sessions')).doc(String(sessionId));
+  return `${projectScopedCollectionPath(userId, projectId, 'convo.sessions')}/${sessionId}`;
 }
 
-async function fetchMessageGroupMappings(userId, projectId, sessionId, docIds) {
+async function fetchMessageGroupMappings(data, userId, projectId, sessionId, docIds) {
   if (!sessionId || !Array.isArray(docIds) || docIds.length === 0) return new Map();
-  const db = getFirestore();
-  const root = sessionRootRef(db, { userId, projectId, sessionId });
+  const root = sessionPath({ userId, projectId, sessionId });
   if (!root) return new Map();
-  const base = root
-    .collection('indexes')
-    .doc('collapsed')
-    .collection('messageToGroups');
 
-  // Fetch per-message mapping docs
+  // Per-message mapping docs
+  const docs = await data.readCollapseIndex(root, 'messageToGroups', docIds);
   const mappings = new Map(); // docId -> { groupName, responseId, updated_at }
-
-  // Firestore has no batch get by IDs API in admin SDK; perform parallel gets in chunks
-  const CHUNK = 300; // conservative parallelism
-  for (let i = 0; i < docIds.length; i += CHUNK) {
-    const chunk = docIds.slice(i, i + CHUNK);
-    const reads = chunk.map(id => base.doc(String(id)).get());
-    const snaps = await Promise.all(reads);
-    for (let idx = 0; idx < snaps.length; idx++) {
-      const snap = snaps[idx];
-      if (!snap.exists) continue;
-      const data = snap.data() || {};
-      const groupsMap = data.groups && typeof data.groups === 'object' ? data.groups : {};
-      // Choose the group entry with the most recent updated_at
-      let chosen = null;
-      for (const [gName, entry] of Object.entries(groupsMap)) {
-        if (!entry || !entry.responseId) continue;
-        const updated_at = typeof entry.updated_at === 'number' ? entry.updated_at : 0;
-        if (!chosen || updated_at > chosen.updated_at) {
-          chosen = { groupName: gName, responseId: entry.responseId, updated_at };
-        }
+  for (const [docId, doc] of docs.entries()) {
+    const groupsMap = doc.groups && typeof doc.groups === 'object' ? doc.groups : {};
+    // Choose the group entry with the most recent updated_at
+    let chosen = null;
+    for (const [gName, entry] of Object.entries(groupsMap)) {
+      if (!entry || !entry.responseId) continue;
+      const updated_at = typeof entry.updated_at === 'number' ? entry.updated_at : 0;
+      if (!chosen || updated_at > chosen.updated_at) {
+        chosen = { groupName: gName, responseId: entry.responseId, updated_at };
       }
-      if (chosen) mappings.set(String(chunk[idx]), chosen);
     }
+    if (chosen) mappings.set(String(docId), chosen);
   }
   return mappings;
 }
 
-async function fetchResponseGroups(userId, projectId, sessionId, responseIds) {
+async function fetchResponseGroups(data, userId, projectId, sessionId, responseIds) {
   if (!sessionId || responseIds.length === 0) return new Map();
-  const db = getFirestore();
-  const root = sessionRootRef(db, { userId, projectId, sessionId });
+  const root = sessionPath({ userId, projectId, sessionId });
+  if (!root) return new Map();
+  // responseId -> CollapseResponse data
+  return data.readCollapseResponses(root, Array.from(new Set(responseIds)));
+}
+
+async function fetchGroupAncestors(data, userId, projectId, sessionId, groupNames) {
+  // Read indexes/collapsed/groupToParent/{GROUP} level by level, starting at groupNames
+  if (!sessionId || !Array.isArray(groupNames) || groupNames.length === 0) return new Map();
+  const root = sessionPath({ userId, projectId, sessionId });
   if (!root) return new Map();
-  const base = root.collection('collapsed');
-  const unique = Array.from(new Set(responseIds));
-  const CHUNK = 50;
-  const result = new Map(); // responseId -> CollapseResponse data
-  for (let i = 0; i < unique.length; i += CHUNK) {
-    const chunk = unique.slice(i, i + CHUNK);
-    const reads = chunk.map(id => base.doc(String(id)).get());
-    const snaps = await Promise.all(reads);
-    for (let j = 0; j < snaps.length; j++) {
-      const snap = snaps[j];
-      if (!snap.exists) continue;
-      const data = snap.data() || {};
-      result.set(String(chunk[j]), data);
+
+  const parents = new Map(); // groupName -> { parent, responseId }
+  const visited = new Set();
+  let frontier = Array.from(new Set(groupNames));
+  for (let depth = 0; depth < MAX_GROUP_DEPTH && frontier.length > 0; depth++) {
+    frontier.forEach(name => visited.add(name));
+    const links = await data.readCollapseIndex(root, 'groupToParent', frontier);
+    const next = [];
+    for (const name of frontier) {
+      const link = links.get(String(name));
+      if (!link?.parent) continue;
+      const parent = String(link.parent);
+      parents.set(String(name), { parent, responseId: link.responseId ? String(link.responseId) : '' });
+      if (!visited.has(parent)) next.push(parent);
     }
+    frontier = Array.from(new Set(next));
   }
-  return result;
+  return parents;
 }
 
-async function fetchGroupStates(userId, projectId, sessionId, groupNames) {
+async function fetchGroupStates(data, userId, projectId, sessionId, groupNames) {
   // Read indexes/collapsed/groupState/{GROUP} for provided groupNames
   if (!sessionId || !Array.isArray(groupNames) || groupNames.length === 0) return new Map();
-  const db = getFirestore();
-  const root = sessionRootRef(db, { userId, projectId, sessionId });
+  const root = sessionPath({ userId, projectId, sessionId });
   if (!root) return new Map();
-  const base = root
-    .collection('indexes')
-    .doc('collapsed')
-    .collection('groupState');
 
-  const unique = Array.from(new Set(groupNames));
-  const CHUNK = 200;
+  const docs = await data.readCollapseIndex(root, 'groupState', Array.from(new Set(groupNames)));
   const states = new Map(); // groupName -> { expanded?: boolean, responseId?: string, updated_at?: number }
-  for (let i = 0; i < unique.length; i += CHUNK) {
-    const chunk = unique.slice(i, i + CHUNK);
-    const reads = chunk.map(name => base.doc(String(name)).get());
-    const snaps = await Promise.all(reads);
-    for (let j = 0; j < snaps.length; j++) {
-      const snap = snaps[j];
-      if (!snap.exists) continue;
-      const data = snap.data() || {};
-      states.set(String(chunk[j]), { expanded: !!data.expanded, responseId: data.responseId ? String(data.responseId) : undefined, updated_at: typeof data.updated_at === 'number' ? data.updated_at : undefined });
-    }
+  for (const [name, doc] of docs.entries()) {
+    states.set(String(name), { expanded: !!doc.expanded, responseId: doc.responseId ? String(doc.responseId) : undefined, updated_at: typeof doc.updated_at === 'number' ? doc.updated_at : undefined });
   }
   return states;
 }
@@ -174,6 +168,7 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
       return messages;
     }
     const projectId = ctx?.projectId;
+    const data = dataAccessOf(ctx);
 
     log.info('Start', { sessionIdPresent: !!sessionId, userScoped: !!userId, messageCount: Array.isArray(messages) ? messages.length : 0 });
 
@@ -200,23 +195,58 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
     }
 
     // Build docId -> { groupName, responseId }
-    const idToGroup = await fetchMessageGroupMappings(userId, projectId, sessionId, uniqueDocIds);
+    const idToGroup = await fetchMessageGroupMappings(data, userId, projectId, sessionId, uniqueDocIds);
     log.info('Loaded message->group mappings', { mappedCount: idToGroup.size });
     if (idToGroup.size === 0) {
       log.info('No mappings found for provided docIds; pass-through.');
       return messages;
     }
 
-    // Determine which responseIds we need to load for optional description/items enrichment
-    const neededResponseIds = Array.from(new Set(Array.from(idToGroup.values()).map(v => v.responseId).filter(Boolean)));
-    log.debug('Needed responseIds', { count: neededResponseIds.length, sample: neededResponseIds.slice(0, log.sample) });
+    // Walk child -> parent links up from the groups the messages belong to
+    const leafNames = Array.from(new Set(Array.from(idToGroup.values()).map(v => v.groupName)));
+    const parentOf = await fetchGroupAncestors(data, userId, projectId, sessionId, leafNames);
+    log.debug('Loaded group parents', { links: parentOf.size });
+
+    // Chain of group names from a leaf group up to its root (cycle-safe, bounded depth)
+    const chainOf = (leaf) => {
+      const chain = [leaf];
+      const seen = new Set(chain);
+      let cur = leaf;
+      while (parentOf.has(cur) && chain.length < MAX_GROUP_DEPTH) {
+        const next = parentOf.get(cur).parent;
+        if (seen.has(next)) break;
+        chain.push(next);
+        seen.add(next);
+        cur = next;
+      }
+      return chain;
+    };
+    const chains = new Map(leafNames.map(name => [name, chainOf(name)]));
+    const allGroupNames = Array.from(new Set(Array.from(chains.values()).flat()));
 
-    const responseDataMap = await fetchResponseGroups(userId, projectId, sessionId, neededResponseIds);
-    log.debug('Loaded response data for enrichment', { responseCount: responseDataMap.size });
+    // Fetch per-group UI states (expanded true/false) for every level
+    const groupStates = await fetchGroupStates(data, userId, projectId, sessionId, allGroupNames);
+    const expandedGroups = new Set(Array.from(groupStates.entries()).filter(([, st]) => st && st.expanded === true).map(([name]) => name));
+    log.info('Loaded group states', { states: groupStates.size, expandedCount: expandedGroups.size, expandedSample: Array.from(expandedGroups).slice(0, log.sample) });
+
+    // Each message renders as its outermost group that is not expanded; children of an expanded
+    // parent show as their own placeholders. A message whose whole chain is expanded passes through.
+    const renderOf = (mapping) => {
+      const chain = chains.get(mapping.groupName) || [mapping.groupName];
+      const responseAt = (k) => (k === 0 ? mapping.responseId : parentOf.get(chain[k - 1])?.responseId);
+      for (let k = chain.length - 1; k >= 0; k--) {
+        if (!expandedGroups.has(chain[k])) {
+          return { groupName: chain[k], responseId: responseAt(k), parent: chain[k + 1], expanded: false };
+        }
+      }
+      return { groupName: chain[0], responseId: mapping.responseId, parent: chain[1], expanded: true };
+    };
+    const idToRender = new Map();
+    for (const [id, mapping] of idToGroup.entries()) idToRender.set(id, renderOf(mapping));
 
     // First pass: collect grouping and track first-occurrence index
     const groupOrder = [];
-    const groupToInfo = new Map(); // groupName -> { responseId, messageIds: [], description?, items? }
+    const groupToInfo = new Map(); // groupName -> { responseId, parent?, messageIds: [], description?, items?, children? }
     const firstIndexOfGroup = new Map(); // groupName -> index in messages where first occurred
 
     for (let i = 0; i < messages.length; i++) {
@@ -224,11 +254,11 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
       if (!m || isAlreadyCollapsedGroup(m)) continue;
       const id = m.docId || m.docID || m.id;
       if (!id) continue;
-      const mapping = idToGroup.get(String(id));
-      if (!mapping) continue;
-      const { groupName, responseId } = mapping;
+      const render = idToRender.get(String(id));
+      if (!render || render.expanded) continue;
+      const { groupName, responseId, parent } = render;
       if (!groupToInfo.has(groupName)) {
-        groupToInfo.set(groupName, { responseId, messageIds: [] });
+        groupToInfo.set(groupName, { responseId, parent, messageIds: [] });
         groupOrder.push(groupName);
         firstIndexOfGroup.set(groupName, i);
       }
@@ -236,21 +266,18 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
       info.messageIds.push(String(id));
     }
 
-    if (groupOrder.length === 0) {
-      log.info('No groups matched among messages with IDs; pass-through.');
-      return messages;
-    }
-
     if (log.sample > 0) {
       log.info('Discovered groups', { groupCount: groupOrder.length, groupsSample: groupOrder.slice(0, log.sample) });
     } else {
       log.info('Discovered groups', { groupCount: groupOrder.length });
     }
 
-    // Fetch per-group UI states (expanded true/false)
-    const groupStates = await fetchGroupStates(userId, projectId, sessionId, groupOrder);
-    const expandedGroups = new Set(Array.from(groupStates.entries()).filter(([, st]) => st && st.expanded === true).map(([name]) => name));
-    log.info('Loaded group states', { states: groupStates.size, expandedCount: expandedGroups.size, expandedSample: Array.from(expandedGroups).slice(0, log.sample) });
+    // Determine which responseIds we need to load for optional description/items enrichment
+    const neededResponseIds = Array.from(new Set(Array.from(groupToInfo.values()).map(v => v.responseId).filter(Boolean)));
+    log.debug('Needed responseIds', { count: neededResponseIds.length, sample: neededResponseIds.slice(0, log.sample) });
+
+    const responseDataMap = await fetchResponseGroups(data, userId, projectId, sessionId, neededResponseIds);
+    log.debug('Loaded response data for enrichment', { responseCount: responseDataMap.size });
 
     // Optional enrichment: fill description/items from CollapseResponse
     for (const groupName of groupOrder) {
@@ -272,7 +299,12 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
         if (typeof description === 'string') info.description = description;
 
         const items = Array.isArray(found.items) ? found.items : (Array.isArray(found?.value?.items) ? found.value.items : undefined);
-        if (items) info.items = items;
+        if (items) {
+          info.items = items;
+          // Items { type: 'collapsed', id } reference child groups by name
+          const children = items.filter(it => it && it.type === 'collapsed' && it.id).map(it => String(it.id));
+          if (children.length) info.children = children;
+        }
       }
     }
 
@@ -290,27 +322,26 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
         continue;
       }
 
-      const mapping = idToGroup.get(String(id));
-      if (!mapping) {
+      const render = idToRender.get(String(id));
+      if (!render) {
         newMessages.push(m);
         continue;
       }
 
-      const { groupName } = mapping;
-      const groupIsExpanded = expandedGroups.has(groupName);
+      const { groupName } = render;
 
-      if (groupIsExpanded) {
+      if (render.expanded) {
         // Respect expanded state: pass through original, annotated for UI controls
-        const info = groupToInfo.get(groupName) || {};
         const annotated = {
           ...m,
           collapsedGroupId: groupName,
           collapsedGroup: {
             name: groupName,
             expanded: true,
-            responseId: info.responseId || mapping.responseId || undefined,
+            responseId: render.responseId || undefined,
           },
         };
+        if (render.parent) annotated.collapsedGroup.parent = render.parent;
         newMessages.push(annotated);
         continue;
       }
@@ -318,6 +349,7 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
       // Otherwise, collapse: skip originals and insert a single placeholder at first occurrence
       const isFirst = firstIndexOfGroup.get(groupName) === i;
       removedCount++;
+      ctx?.explain?.note({ message: m, docId: id, action: 'removed', reason: `collapsed into group ${groupName}` });
       if (isFirst && !emittedGroups.has(groupName)) {
         const info = groupToInfo.get(groupName) || {};
         const payload = {
@@ -327,6 +359,8 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
         };
         if (info.description) payload.description = info.description;
         if (info.items) payload.items = info.items;
+        if (info.children) payload.children = info.children;
+        if (info.parent) payload.parent = info.parent;
 
         newMessages.push({ role: 'system', content: JSON.stringify(payload) });
         emittedGroups.add(groupName);
@@ -351,6 +385,7 @@ export async function collapseGroupReplacer(messages, options = {}, ctx = {}) {
   } catch (err) {
     const log = makeLogger(options, ctx);
     log.error('collapseGroupReplacer error', { message: err?.message, stack: err?.stack });
+    ctx?.explain?.error(err);
     // Fail open: return original messages on any error
     return messages;
   }
@@ -0,0 +1,154 @@
+// dedupe filter
+// Removes exact and near-duplicate messages from the assembled window. With promoteUpstream the
+// same facts are often repeated by Session/Week/Term context on top of Seg context (topicInfos,
+// summaries); this keeps one copy of each.
+//
+// Behavior summary:
+// - Only messages whose role is in `roles` (default: system) and whose normalized text has at
+//   least `minChars` characters are considered. Tool calls/replies are never touched.
+// - Normalization: drops the Kala label ("(Session) ", "(Week) ", ...) and a short leading framing
+//   line ending in ':', lowercases, strips JSON punctuation and collapses whitespace.
+// - Exact duplicates share the sha1 of the normalized text. Near duplicates have a Jaccard
+//   similarity of word shingles (`shingleSize` words) >= `threshold`. Duplicates are clustered
+//   transitively and one message per cluster is kept in place:
+//     keep: 'recent'   — the copy from the finest Kala level (Convo > Session > Week > Sprint > Term),
+//                        then the latest position (default)
+//     keep: 'specific' — the copy with the most normalized text, then as 'recent'
+// - Every dropped copy is reported to explain as action 'merged' with the kept copy and the
+//   similarity.
+//
+// Options (all optional):
+// - roles: string[] (default ['system'])
+// - threshold: number in (0, 1] (default 0.85)
+// - shingleSize: number (default 3)
+// - minChars: number (default 40)
+// - keep: 'recent' | 'specific' (default 'recent')
+// - maxCandidates: number (default 500) — near-duplicate comparison is quadratic; beyond this only
+//   the most recent candidates are compared (exact matching still covers all)
+
+import crypto from 'crypto';
+import { textOf } from '../lib/contentParts.js';
+
+const KALA_RANK = { Convo: 0, Session: 1, Week: 2, Sprint: 3, Term: 4 }; // lower = finer, more recent
+const LABEL_RE = /^\((Convo|Session|Week|Sprint|Term)\)\s*/;
+const FRAMING_RE = /^[^\r\n]{0,160}:[ \t]*[\r\n]+/;
+
+function kalaRank(raw) {
+  const m = LABEL_RE.exec(raw);
+  return m ? KALA_RANK[m[1]] : 0;
+}
+
+export function normalizeText(raw) {
+  return String(raw || '')
+    .replace(LABEL_RE, '')
+    .replace(FRAMING_RE, '')
+    .toLowerCase()
+    .replace(/\\[nrt]/g, ' ')
+    .replace(/[{}\[\]",:]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shingles(text, size) {
+  const words = text.split(' ').filter(Boolean);
+  const out = new Set();
+  if (words.length <= size) {
+    out.add(words.join(' '));
+    return out;
+  }
+  for (let i = 0; i + size <= words.length; i++) out.add(words.slice(i, i + size).join(' '));
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let inter = 0;
+  for (const s of small) if (large.has(s)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+export function dedupe(messages, options = {}, ctx = {}) {
+  if (!Array.isArray(messages) || messages.length < 2) return messages;
+
+  const roles = new Set(Array.isArray(options.roles) ? options.roles : ['system']);
+  const threshold = Number.isFinite(options.threshold) && options.threshold > 0 && options.threshold <= 1 ? options.threshold : 0.85;
+  const shingleSize = Number.isInteger(options.shingleSize) && options.shingleSize > 0 ? options.shingleSize : 3;
+  const minChars = Number.isFinite(options.minChars) ? options.minChars : 40;
+  const keep = options.keep === 'specific' ? 'specific' : 'recent';
+  const maxCandidates = Number.isInteger(options.maxCandidates) && options.maxCandidates > 0 ? options.maxCandidates : 500;
+
+  const candidates = [];
+  messages.forEach((m, i) => {
+    if (!m || typeof m !== 'object' || !roles.has(m.role)) return;
+    if (m.role === 'tool' || (Array.isArray(m.tool_calls) && m.tool_calls.length)) return;
+    const raw = textOf(m.content);
+    const norm = normalizeText(raw);
+    if (norm.length < minChars) return;
+    candidates.push({ i, rank: kalaRank(raw), norm, hash: crypto.createHash('sha1').update(norm).digest('hex') });
+  });
+  if (candidates.length < 2) return messages;
+
+  // Union-find over candidates
+  const parent = candidates.map((_, k) => k);
+  const find = (k) => (parent[k] === k ? k : (parent[k] = find(parent[k])));
+  const link = (a, b) => { parent[find(a)] = find(b); };
+
+  const byHash = new Map();
+  candidates.forEach((c, k) => {
+    if (byHash.has(c.hash)) link(k, byHash.get(c.hash));
+    else byHash.set(c.hash, k);
+  });
+
+  const sets = new Map();
+  const shinglesOf = (k) => {
+    if (!sets.has(k)) sets.set(k, shingles(candidates[k].norm, shingleSize));
+    return sets.get(k);
+  };
+  const near = candidates.map((_, k) => k).slice(-maxCandidates);
+  for (let x = 0; x < near.length; x++) {
+    for (let y = x + 1; y < near.length; y++) {
+      const a = near[x];
+      const b = near[y];
+      if (find(a) === find(b)) continue;
+      if (jaccard(shinglesOf(a), shinglesOf(b)) >= threshold) link(a, b);
+    }
+  }
+
+  const clusters = new Map();
+  candidates.forEach((_, k) => {
+    const root = find(k);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(k);
+  });
+
+  const better = (a, b) => {
+    const ca = candidates[a];
+    const cb = candidates[b];
+    if (keep === 'specific' && ca.norm.length !== cb.norm.length) return ca.norm.length > cb.norm.length ? a : b;
+    if (ca.rank !== cb.rank) return ca.rank < cb.rank ? a : b;
+    return ca.i > cb.i ? a : b;
+  };
+
+  const dropped = new Set();
+  for (const members of clusters.values()) {
+    if (members.length < 2) continue;
+    const keeper = members.reduce(better);
+    const kept = messages[candidates[keeper].i];
+    for (const k of members) {
+      if (k === keeper) continue;
+      const m = messages[candidates[k].i];
+      dropped.add(candidates[k].i);
+      const exact = candidates[k].hash === candidates[keeper].hash;
+      // Clusters are transitive, so a member may be less similar to the keeper than the threshold
+      const how = exact ? 'exact duplicate' : `near duplicate (similarity ${jaccard(shinglesOf(k), shinglesOf(keeper)).toFixed(2)}, threshold ${threshold})`;
+      const of = kept?.docId ? `docId ${kept.docId}` : `message #${candidates[keeper].i}`;
+      ctx?.explain?.note({ message: m, docId: m?.docId, action: 'merged', reason: `${how} of ${of} (kept ${keep === 'specific' ? 'most specific' : 'most recent'} copy)` });
+    }
+  }
+
+  if (!dropped.size) return messages;
+  return messages.filter((_, i) => !dropped.has(i));
+}
+
+export default { dedupe };
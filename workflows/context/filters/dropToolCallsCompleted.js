@@ -8,7 +8,9 @@
 // - caseSensitive: boolean (default true)
 // - trim: boolean (default true)
 
-export function dropToolCallsCompleted(messages, opts = {}, _ctx = {}) {
+import { textOf } from '../lib/contentParts.js';
+
+export function dropToolCallsCompleted(messages, opts = {}, ctx = {}) {
   if (!Array.isArray(messages) || messages.length === 0) return Array.isArray(messages) ? messages : [];
 
   const phrase = typeof opts.phrase === 'string' ? opts.phrase : 'Tool calls completed';
@@ -19,7 +21,8 @@ export function dropToolCallsCompleted(messages, opts = {}, _ctx = {}) {
     try {
       if (!msg || typeof msg !== 'object') return false;
       if (msg.role !== 'user') return false;
-      const c = msg.content;
+      // A parts array matches when it is text only (images/files make it a real message)
+      const c = Array.isArray(msg.content) && msg.content.every(p => p?.type === 'text') ? textOf(msg.content) : msg.content;
       if (typeof c !== 'string') return false;
       const s = trim ? c.trim() : c;
       if (caseSensitive) return s === phrase;
@@ -43,6 +46,7 @@ export function dropToolCallsCompleted(messages, opts = {}, _ctx = {}) {
       } else {
         // Drop older matching user messages
         keptOrNull[i] = null;
+        ctx?.explain?.note({ message: m, docId: m.docId, action: 'removed', reason: `superseded by a newer "${phrase}" message` });
       }
     } else {
       keptOrNull[i] = m;
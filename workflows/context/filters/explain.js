@@ -0,0 +1,155 @@
+// Explain recorder for the filter pipeline
+// Collects a per-filter trace when a caller opts in (POST /context/topicContextYoj/run with explain: true).
+//
+// applyFilters drives the recorder: it snapshots counts/tokens before and after each filter, times it,
+// and diffs message keys to find messages that were removed, redacted (content changed) or reordered.
+// A message's key is its docId, or a position key assigned when it first enters a filter, so explain
+// works without includeDocId. Keys live under a symbol private to the recorder: copies made with
+// spread keep them, JSON output never shows them, and the returned window is unchanged.
+// Filters may add precise reasons through ctx.explain (all calls are optional and cheap no-ops when
+// explain is off, because ctx.explain is undefined):
+//   ctx.explain?.note({ message, docId?, action: 'removed' | 'redacted' | 'merged' | 'added', reason })
+//   ctx.explain?.error(err, { where })   // for failures swallowed under fail-open behavior
+//
+// Trace entry shape:
+// {
+//   index, name, options?,
+//   before: { messages, tokens }, after: { messages, tokens },
+//   ms, skipped?: string, error?: string,
+//   removed: [{ docId, reason }], redacted: [{ docId, reason }], reordered: boolean,
+//   notes: [{ docId?, action, reason }], errors: [{ message, where? }]
+// }
+// Messages without a docId are reported as { position, role } (index in that filter's input).
+
+import { countMessagesTokens } from '../lib/tokenizers.js';
+
+function docIdOf(m) {
+  if (!m || typeof m !== 'object') return null;
+  const id = m.docId || m.docID;
+  return id ? String(id) : null;
+}
+
+function fingerprint(m) {
+  try {
+    return JSON.stringify(m);
+  } catch (_) {
+    return String(m);
+  }
+}
+
+export function createExplainRecorder({ tokenizer } = {}) {
+  const entries = [];
+  let current = null;
+  const KEY = Symbol('explainKey');
+  let seq = 0;
+
+  // Tags messages entering a filter for the first time (docId, else a position key)
+  const keyOf = (m, assign = false) => {
+    if (!m || typeof m !== 'object') return null;
+    if (m[KEY]) return m[KEY];
+    const key = docIdOf(m) || (assign ? `#${seq++}` : null);
+    if (assign && key) {
+      try { m[KEY] = key; } catch (_) {}
+    }
+    return key;
+  };
+
+  const indexByKey = (messages, assign) => {
+    const byKey = new Map(); // key -> { pos, fp, docId, role }
+    messages.forEach((m, pos) => {
+      const key = keyOf(m, assign);
+      if (key && !byKey.has(key)) byKey.set(key, { pos, fp: fingerprint(m), docId: docIdOf(m), role: m?.role });
+    });
+    return byKey;
+  };
+
+  // docId when the message has one, else where it was in the filter's input
+  const describe = (info) => (info.docId ? { docId: info.docId } : { position: info.pos, ...(info.role ? { role: info.role } : {}) });
+
+  const measure = (messages) => ({
+    messages: Array.isArray(messages) ? messages.length : 0,
+    tokens: tokenizer ? countMessagesTokens(messages, tokenizer) : undefined,
+  });
+
+  return {
+    tokenizer: tokenizer?.name,
+    entries,
+
+    begin(index, name, options, messages) {
+      current = {
+        index,
+        name,
+        options: options && Object.keys(options).length ? options : undefined,
+        before: measure(messages),
+        notes: [],
+        errors: [],
+        _startedAt: process.hrtime.bigint(),
+        _before: indexByKey(Array.isArray(messages) ? messages : [], true),
+      };
+    },
+
+    note(entry = {}) {
+      if (!current || !entry) return;
+      const key = keyOf(entry.message) || (entry.docId ? String(entry.docId) : null);
+      const info = key ? current._before.get(key) : null;
+      current.notes.push({
+        ...(info ? describe(info) : { docId: entry.docId ? String(entry.docId) : undefined }),
+        action: entry.action || 'removed',
+        reason: entry.reason || undefined,
+        _key: key,
+      });
+    },
+
+    error(err, extra = {}) {
+      if (!current) return;
+      current.errors.push({ message: String(err?.message || err), ...extra });
+    },
+
+    end(messages, extra = {}) {
+      if (!current) return;
+      const entry = current;
+      current = null;
+
+      const out = Array.isArray(messages) ? messages : [];
+      const afterKeys = indexByKey(out, false);
+      const reasonFor = (key, action) => {
+        const n = entry.notes.find(x => x._key === key && (x.action === action || (action === 'removed' && x.action === 'merged')));
+        return n?.reason || `${action} by ${entry.name}`;
+      };
+
+      const removed = [];
+      const redacted = [];
+      let lastPos = -1;
+      let reordered = false;
+      for (const [key, before] of entry._before.entries()) {
+        const after = afterKeys.get(key);
+        if (!after) {
+          removed.push({ ...describe(before), reason: reasonFor(key, 'removed') });
+          continue;
+        }
+        if (after.fp !== before.fp) redacted.push({ ...describe(before), reason: reasonFor(key, 'redacted') });
+        if (after.pos < lastPos) reordered = true;
+        lastPos = after.pos;
+      }
+
+      const ms = Number(process.hrtime.bigint() - entry._startedAt) / 1e6;
+
+      entries.push({
+        index: entry.index,
+        name: entry.name,
+        options: entry.options,
+        before: entry.before,
+        after: measure(out),
+        ms: Math.round(ms * 1000) / 1000,
+        ...extra,
+        removed,
+        redacted,
+        reordered,
+        notes: entry.notes.map(({ _key, ...n }) => n),
+        errors: entry.errors,
+      });
+    },
+  };
+}
+
+export default { createExplainRecorder };
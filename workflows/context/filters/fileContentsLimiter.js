@@ -12,11 +12,17 @@
 // - tool messages (role: 'tool') whose JSON content contains { filepath, content }
 //   and that have a tool_call_id (to ensure they are tool responses)
 // - assistant messages with tool_calls[].function.arguments JSON containing { filepath, content }
+// - multi-part contents (see ../lib/contentParts.js): tool messages whose text parts hold such JSON,
+//   and file parts ({ type: 'file', file: { filename, file_data } }) of any message, keyed by filename
 //
 // Notes:
 // - Recency is determined by scanning the window from newest to oldest (array end to start).
 // - Only the `content` field is redacted; other metadata (e.g., filepath) is preserved.
 // - Placeholder defaults to the user-provided phrase: '(file contents ommited for space)'.
+// - In parts arrays only the affected part changes: a text part keeps its JSON with `content`
+//   redacted, a file part becomes a text part '[file name] placeholder'; other parts are untouched.
+
+import { isFilePart, fileNameOf } from '../lib/contentParts.js';
 
 function safeParseJSON(str) {
   if (typeof str !== 'string') return { ok: false };
@@ -29,7 +35,7 @@ function safeParseJSON(str) {
   }
 }
 
-export function fileContentsLimiter(messages, options = {}) {
+export function fileContentsLimiter(messages, options = {}, ctx = {}) {
   if (!Array.isArray(messages) || messages.length === 0) return messages;
 
   const filesLimit = Number.isInteger(options.filesLimit) ? options.filesLimit : 7;
@@ -37,6 +43,7 @@ export function fileContentsLimiter(messages, options = {}) {
   const placeholder = typeof options.placeholder === 'string' ? options.placeholder : '(File contents ommited to save context. You can only see that last seven read/updated file contents.)';
   const detectAssistantToolCalls = options.detectAssistantToolCalls !== false; // default true
   const detectToolMessages = options.detectToolMessages !== false; // default true
+  const detectFileParts = options.detectFileParts !== false; // default true
 
   const withinLimitFiles = new Set();
   const beyondLimitFiles = new Set();
@@ -64,11 +71,46 @@ export function fileContentsLimiter(messages, options = {}) {
   // Create a shallow copy to avoid mutating the original array reference
   const out = messages.map(m => m);
 
+  // Redacted copy of one text part's JSON file payload, or null when it is kept / not a payload
+  function redactTextPart(part, msg) {
+    const parsed = safeParseJSON(part?.text);
+    if (!parsed.ok) return null;
+    const obj = parsed.value;
+    if (!Object.prototype.hasOwnProperty.call(obj, 'filepath') || !Object.prototype.hasOwnProperty.call(obj, 'content')) return null;
+    if (shouldKeepContents(obj.filepath)) return null;
+    ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older contents of ${obj.filepath} beyond filesLimit/versionsPerFile` });
+    return { ...part, text: JSON.stringify({ ...obj, content: placeholder }) };
+  }
+
   // Iterate from newest to oldest
   for (let i = out.length - 1; i >= 0; i--) {
     const msg = out[i];
     if (!msg || typeof msg !== 'object') continue;
 
+    // Case C: parts arrays (newest part first, like messages)
+    if (Array.isArray(msg.content)) {
+      const parts = msg.content.slice();
+      let modified = false;
+      for (let k = parts.length - 1; k >= 0; k--) {
+        const part = parts[k];
+        if (detectFileParts && isFilePart(part)) {
+          const name = fileNameOf(part);
+          if (!shouldKeepContents(name)) {
+            ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older contents of ${name} beyond filesLimit/versionsPerFile` });
+            parts[k] = { type: 'text', text: `[file ${name}] ${placeholder}` };
+            modified = true;
+          }
+        } else if (detectToolMessages && msg.role === 'tool' && msg.tool_call_id && part?.type === 'text') {
+          const redacted = redactTextPart(part, msg);
+          if (redacted) {
+            parts[k] = redacted;
+            modified = true;
+          }
+        }
+      }
+      if (modified) out[i] = { ...msg, content: parts };
+    }
+
     // Case A: tool messages with JSON content containing filepath + content
     if (detectToolMessages && msg.role === 'tool' && msg.tool_call_id && typeof msg.content === 'string') {
       const parsed = safeParseJSON(msg.content);
@@ -79,6 +121,7 @@ export function fileContentsLimiter(messages, options = {}) {
           const keep = shouldKeepContents(fp);
           if (!keep) {
             // Redact content
+            ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older contents of ${fp} beyond filesLimit/versionsPerFile` });
             const clone = { ...msg };
             const newObj = { ...obj, content: placeholder };
             clone.content = JSON.stringify(newObj);
@@ -101,6 +144,7 @@ export function fileContentsLimiter(messages, options = {}) {
           const fp = args.filepath;
           const keep = shouldKeepContents(fp);
           if (!keep) {
+            ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older contents of ${fp} beyond filesLimit/versionsPerFile` });
             const newArgs = { ...args, content: placeholder };
             const newFn = { ...tc.function, arguments: JSON.stringify(newArgs) };
             modified = true;
@@ -110,7 +154,7 @@ export function fileContentsLimiter(messages, options = {}) {
         return tc;
       });
       if (modified) {
-        out[i] = { ...msg, tool_calls: newToolCalls };
+        out[i] = { ...out[i], tool_calls: newToolCalls };
       }
     }
   }
@@ -2,43 +2,62 @@
 // Enables composing multiple context filters in a deterministic pipeline.
 // Each filter can be sync or async:
 //   (messages: ChatMessage[], options?: any, ctx?: any) => ChatMessage[] | Promise<ChatMessage[]>
+// When ctx.explain is an explain recorder (see ./explain.js), each stage is traced.
 
 import { sizeLimiter as sizeLimiterFilter } from './sizeLimiter.js';
 import { toolCallBackfill as toolCallBackfillFilter } from './toolCallBackfill.js';
 import { fileContentsLimiter as fileContentsLimiterFilter } from './fileContentsLimiter.js';
+import { toolOutputCompactor as toolOutputCompactorFilter } from './toolOutputCompactor.js';
 import { collapseGroupReplacer as collapseGroupReplacerFilter } from './collapseGroupReplacer.js';
 import { dropToolCallsCompleted as dropToolCallsCompletedFilter } from './dropToolCallsCompleted.js';
+import { rollingSummarizer as rollingSummarizerFilter } from './rollingSummarizer.js';
+import { dedupe as dedupeFilter } from './dedupe.js';
+import { redactSecrets as redactSecretsFilter } from './redactSecrets.js';
 
 const registry = new Map([
   ['sizeLimiter', sizeLimiterFilter],
   ['toolCallBackfill', toolCallBackfillFilter],
   ['fileContentsLimiter', fileContentsLimiterFilter],
+  // Reduces older large command/tool outputs to command, exit code, head/tail and error lines
+  ['toolOutputCompactor', toolOutputCompactorFilter],
   ['collapseGroupReplacer', collapseGroupReplacerFilter],
   // Keeps only the latest user message whose content equals the phrase (default: "Tool calls completed")
   ['dropToolCallsCompleted', dropToolCallsCompletedFilter],
+  // Replaces the overflow beyond the token budget with a cached LLM summary (run before sizeLimiter)
+  ['rollingSummarizer', rollingSummarizerFilter],
+  // Drops exact/near-duplicate messages (e.g. facts repeated across promoted Kala levels)
+  ['dedupe', dedupeFilter],
+  // Replaces credentials and PII with stable placeholders (per-project allow list)
+  ['redactSecrets', redactSecretsFilter],
 ]);
 
 export async function applyFilters(messages, filtersSpec = [], ctx = {}) {
   if (!Array.isArray(filtersSpec) || filtersSpec.length === 0) return Array.isArray(messages) ? messages : [];
 
+  const explain = ctx?.explain;
   let acc = Array.isArray(messages) ? messages : [];
   for (let idx = 0; idx < filtersSpec.length; idx++) {
     const spec = filtersSpec[idx];
+    if (!spec) continue;
+    const name = typeof spec === 'string' ? spec : spec.name;
+    const options = typeof spec === 'object' && spec !== null ? (spec.options || {}) : {};
+    explain?.begin(idx, name, options, acc);
     try {
-      if (!spec) continue;
-      const name = typeof spec === 'string' ? spec : spec.name;
-      const options = typeof spec === 'object' && spec !== null ? (spec.options || {}) : {};
       const fn = registry.get(name);
       if (!fn) {
         console.warn(`Unknown filter '${name}' at index ${idx}; skipping.`);
+        explain?.end(acc, { skipped: 'unknown filter' });
         continue;
       }
       const out = await Promise.resolve(fn(acc, options, ctx));
       // Ensure array of messages is returned; if not, fallback to previous acc
+      if (!Array.isArray(out)) explain?.error(new Error('filter did not return an array; output ignored'));
       acc = Array.isArray(out) ? out : acc;
+      explain?.end(acc);
     } catch (e) {
       console.error(`Error applying filter at index ${idx}:`, e);
       // Fail open: keep current acc and continue
+      explain?.end(acc, { error: String(e?.message || e) });
     }
   }
   return acc;
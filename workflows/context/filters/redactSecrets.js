@@ -0,0 +1,269 @@
+// redactSecrets filter
+// Replaces credentials and personal data in the context window before it is sent to an LLM
+// provider. Tool output (RUN_COMMAND, READ_FILE, ...) is the usual source.
+//
+// Behavior summary:
+// - Scans string content, text parts of multi-part content and assistant tool call arguments of
+//   messages whose role is in `roles` (default: all).
+// - Each match is replaced by a stable placeholder: the same value always yields the same
+//   placeholder within a project, so the model can still tell two different keys apart:
+//     [REDACTED:<rule>:<first 8 hex of sha256(projectId:value)>]
+// - Rules with a capture group only redact the group (e.g. the value of `password=...`). Values never
+//   include backslashes or quotes, so tool call arguments (JSON strings) stay valid JSON.
+// - high_entropy tests path-like tokens (projects/p1/.../executions/<id>, /etc/keys/<key>) one '/'
+//   segment at a time, so only a secret segment is redacted and the path around it stays readable.
+// - Overlapping matches are resolved in favor of the earliest match, then rule order, then length.
+// - Allow list: exact values or regex sources from `options.allow` plus the project's stored allow
+//   list (lib/redaction.js) are never redacted.
+// - Redacted messages are reported to explain with the rule names that fired.
+//
+// Built-in rules (DEFAULT_RULES are enabled unless `rules` says otherwise):
+//   credentials: aws_access_key, aws_secret_key, gcp_api_key, azure_storage_key, github_token,
+//                anthropic_key, openai_key, slack_token, slack_webhook, stripe_key, jwt, private_key,
+//                bearer_token, url_credentials, generic_secret, high_entropy
+//   PII:         email, credit_card (Luhn-checked), us_ssn, phone (off by default), ipv4 (off by default)
+//
+// Options (all optional):
+// - rules: string[] — built-in rules to run (default DEFAULT_RULES)
+// - disable: string[] — built-in rules to skip
+// - extraRules: [{ name, pattern, flags?, group? }] — custom regex rules (pattern is a regex source)
+// - allow: string[] — exact values, or '/regex/flags' strings, that must not be redacted
+// - projectAllowlist: boolean (default true) — also apply the project's stored allow list
+// - roles: string[] (default ['system', 'user', 'assistant', 'tool'])
+// - entropyThreshold: number (default 4.2 bits/char) and minEntropyLength: number (default 32)
+
+import crypto from 'crypto';
+import { readAllowlist } from '../lib/redaction.js';
+import { dataAccessOf } from '../lib/dataAccess.js';
+
+const RULES = {
+  aws_access_key: { pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g },
+  aws_secret_key: { pattern: /aws.{0,20}?(?:secret|private)?.{0,10}?(?:key)["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi, group: 1 },
+  gcp_api_key: { pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g },
+  azure_storage_key: { pattern: /AccountKey=([A-Za-z0-9+/=]{60,})/g, group: 1 },
+  github_token: { pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  anthropic_key: { pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  openai_key: { pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  slack_token: { pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  slack_webhook: { pattern: /\bhooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/([A-Za-z0-9]{20,})/g, group: 1 },
+  stripe_key: { pattern: /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  jwt: { pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  private_key: { pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+  bearer_token: { pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 },
+  url_credentials: { pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s@/\\]+)@/gi, group: 1 },
+  generic_secret: { pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)\b["']?\s*[:=]\s*["']?([^\s"'\\,;]{8,})/gi, group: 1 },
+  high_entropy: { pattern: /[A-Za-z0-9+/_-]{32,}={0,2}/g, entropy: true },
+  email: { pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  credit_card: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, luhn: true },
+  us_ssn: { pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  phone: { pattern: /(?<![\w+])\+?\d{1,3}[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\w)/g },
+  ipv4: { pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+};
+
+export const BUILTIN_RULES = Object.keys(RULES);
+export const DEFAULT_RULES = BUILTIN_RULES.filter(r => r !== 'phone' && r !== 'ipv4');
+
+function shannonEntropy(s) {
+  const freq = new Map();
+  for (const ch of s) freq.set(ch, (freq.get(ch) || 0) + 1);
+  let h = 0;
+  for (const n of freq.values()) {
+    const p = n / s.length;
+    h -= p * Math.log2(p);
+  }
+  return h;
+}
+
+// At least two '/' segments, one of them a lowercase word (projects, api, etc, ...)
+function isPathLike(value) {
+  const segments = value.split('/').filter(Boolean);
+  return segments.length >= 2 && segments.some(s => /^[a-z][a-z_-]{2,}$/.test(s));
+}
+
+// [{ start, value }] pieces of a high_entropy candidate to test: its '/' segments when it is path-like
+function entropyPieces(value, start) {
+  if (!isPathLike(value)) return [{ start, value }];
+  const pieces = [];
+  let offset = 0;
+  for (const segment of value.split('/')) {
+    if (segment) pieces.push({ start: start + offset, value: segment });
+    offset += segment.length + 1;
+  }
+  return pieces;
+}
+
+function looksRandom(value, { entropyThreshold, minEntropyLength }) {
+  if (value.length < minEntropyLength || /^[0-9a-f]+$/i.test(value) || !/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+  return shannonEntropy(value) >= entropyThreshold;
+}
+
+function luhnValid(raw) {
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function parseAllowEntry(entry) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(entry);
+  if (!m) return null;
+  try {
+    return new RegExp(m[1], m[2].replace(/[gy]/g, ''));
+  } catch (_) {
+    return null;
+  }
+}
+
+function compileRules(options) {
+  const enabled = new Set(Array.isArray(options.rules) ? options.rules.filter(r => RULES[r]) : DEFAULT_RULES);
+  for (const r of Array.isArray(options.disable) ? options.disable : []) enabled.delete(r);
+  const rules = [...enabled].map(name => ({ name, ...RULES[name] }));
+  for (const r of Array.isArray(options.extraRules) ? options.extraRules : []) {
+    if (!r || typeof r.name !== 'string' || typeof r.pattern !== 'string' || r.pattern.length > 500) continue;
+    try {
+      const flags = `${String(r.flags || '').replace(/[gyd]/g, '')}g`;
+      rules.push({ name: r.name, pattern: new RegExp(r.pattern, flags), group: Number.isInteger(r.group) ? r.group : undefined });
+    } catch (e) {
+      console.warn('[redactSecrets] ignoring invalid extra rule', { name: r.name, error: e.message });
+    }
+  }
+  // Group offsets need the 'd' (indices) flag
+  return rules.map(r => ({ ...r, pattern: r.group ? new RegExp(r.pattern.source, `${r.pattern.flags.replace('d', '')}d`) : new RegExp(r.pattern.source, r.pattern.flags) }));
+}
+
+function findMatches(text, rules, isAllowed, { entropyThreshold, minEntropyLength }) {
+  const found = [];
+  rules.forEach((rule, priority) => {
+    rule.pattern.lastIndex = 0;
+    let m;
+    while ((m = rule.pattern.exec(text)) !== null) {
+      if (m[0].length === 0) { rule.pattern.lastIndex++; continue; }
+      let start = m.index;
+      let value = m[0];
+      if (rule.group) {
+        const span = m.indices?.[rule.group];
+        if (!span) continue;
+        [start] = span;
+        value = m[rule.group];
+      }
+      if (rule.entropy) {
+        for (const piece of entropyPieces(value, start)) {
+          if (!looksRandom(piece.value, { entropyThreshold, minEntropyLength }) || isAllowed(piece.value)) continue;
+          found.push({ start: piece.start, end: piece.start + piece.value.length, rule: rule.name, value: piece.value, priority });
+        }
+        continue;
+      }
+      if (rule.luhn && !luhnValid(value)) continue;
+      if (isAllowed(value)) continue;
+      found.push({ start, end: start + value.length, rule: rule.name, value, priority });
+    }
+  });
+  // Earliest first, then rule order (credentials before PII), then longest; drop overlaps
+  found.sort((a, b) => a.start - b.start || a.priority - b.priority || (b.end - b.start) - (a.end - a.start));
+  const out = [];
+  let lastEnd = -1;
+  for (const f of found) {
+    if (f.start < lastEnd) continue;
+    out.push(f);
+    lastEnd = f.end;
+  }
+  return out;
+}
+
+export async function redactSecrets(messages, options = {}, ctx = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+  const roles = new Set(Array.isArray(options.roles) ? options.roles : ['system', 'user', 'assistant', 'tool']);
+  const entropyThreshold = Number.isFinite(options.entropyThreshold) ? options.entropyThreshold : 4.2;
+  const minEntropyLength = Number.isInteger(options.minEntropyLength) ? options.minEntropyLength : 32;
+  const rules = compileRules(options);
+  if (!rules.length) return messages;
+
+  const allowValues = new Set();
+  const allowPatterns = [];
+  const addAllow = (entry, asPattern) => {
+    if (typeof entry !== 'string' || !entry) return;
+    const re = asPattern ? parseAllowEntry(`/${entry}/`) : parseAllowEntry(entry);
+    if (re) allowPatterns.push(re);
+    else allowValues.add(entry);
+  };
+  for (const a of Array.isArray(options.allow) ? options.allow : []) addAllow(a, false);
+  if (options.projectAllowlist !== false && ctx?.userId && ctx?.projectId) {
+    try {
+      const stored = await readAllowlist({ userId: ctx.userId, projectId: ctx.projectId, data: dataAccessOf(ctx) });
+      stored.values.forEach(v => allowValues.add(v));
+      stored.patterns.forEach(p => addAllow(p, true));
+    } catch (err) {
+      // Redaction still runs without the stored allow list (it only ever redacts more)
+      ctx?.explain?.error(err, { where: 'project allow list' });
+    }
+  }
+  const isAllowed = (value) => allowValues.has(value) || allowPatterns.some(re => re.test(value));
+
+  const salt = String(ctx?.projectId || '');
+  const placeholder = (rule, value) => `[REDACTED:${rule}:${crypto.createHash('sha256').update(`${salt}:${value}`).digest('hex').slice(0, 8)}]`;
+
+  const redactText = (text, fired) => {
+    if (typeof text !== 'string' || !text) return text;
+    const matches = findMatches(text, rules, isAllowed, { entropyThreshold, minEntropyLength });
+    if (!matches.length) return text;
+    let out = '';
+    let pos = 0;
+    for (const m of matches) {
+      out += text.slice(pos, m.start) + placeholder(m.rule, m.value);
+      pos = m.end;
+      fired.set(m.rule, (fired.get(m.rule) || 0) + 1);
+    }
+    return out + text.slice(pos);
+  };
+
+  return messages.map((m) => {
+    if (!m || typeof m !== 'object' || !roles.has(m.role)) return m;
+    const fired = new Map();
+    let next = m;
+
+    if (typeof m.content === 'string') {
+      const content = redactText(m.content, fired);
+      if (content !== m.content) next = { ...next, content };
+    } else if (Array.isArray(m.content)) {
+      let changed = false;
+      const parts = m.content.map((p) => {
+        if (!p || typeof p !== 'object' || typeof p.text !== 'string') return p;
+        const text = redactText(p.text, fired);
+        if (text === p.text) return p;
+        changed = true;
+        return { ...p, text };
+      });
+      if (changed) next = { ...next, content: parts };
+    }
+
+    if (Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      let changed = false;
+      const calls = m.tool_calls.map((tc) => {
+        const args = tc?.function?.arguments;
+        if (typeof args !== 'string') return tc;
+        const redacted = redactText(args, fired);
+        if (redacted === args) return tc;
+        changed = true;
+        return { ...tc, function: { ...tc.function, arguments: redacted } };
+      });
+      if (changed) next = { ...next, tool_calls: calls };
+    }
+
+    if (next !== m && ctx?.explain) {
+      const summary = [...fired.entries()].map(([rule, n]) => (n > 1 ? `${rule} x${n}` : rule)).join(', ');
+      ctx.explain.note({ message: m, docId: m.docId, action: 'redacted', reason: `redacted ${summary}` });
+    }
+    return next;
+  });
+}
+
+export default { redactSecrets, BUILTIN_RULES, DEFAULT_RULES };
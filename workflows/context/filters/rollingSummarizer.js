@@ -0,0 +1,183 @@
+// rollingSummarizer filter
+// Summarize-instead-of-drop overflow strategy for the context window.
+//
+// Behavior summary:
+// - Walks the window from newest to oldest, keeping messages while they fit in
+//   (maxTokens - summaryMaxTokens). Everything older is the overflow.
+// - The overflow (only roles listed in `summarizeRoles`) is replaced by ONE synthetic system
+//   message holding an LLM-generated summary, placed where the overflow began. Messages of
+//   other roles (by default: system, e.g. the intro/topicInfos) are left in place.
+// - Summaries are cached in Firestore under the project scope, keyed by the sha256 of the
+//   summarized docIds (messages without docId contribute a content hash), so repeat builds
+//   over the same overflow do not pay again:
+//     users/{userId}/projects/{projectId}/context.summaryCache/{hash}
+//     { summary, docIds, model, usage, cost, create_time }
+// - Uses the same OpenAI credential path as jobs/llm.js (per-user encrypted creds/openai).
+// - Fail open: with no overflow, no userId/projectId, no stored credential, or any LLM/Firestore
+//   error, the original messages are returned (a later sizeLimiter still enforces the cap).
+//
+// Recommended order: run BEFORE sizeLimiter (and toolCallBackfill), with the same maxTokens.
+//
+// Options (all optional):
+// - maxTokens: number (default 17000) — budget the kept window plus summary should fit in
+// - summaryMaxTokens: number (default 800) — completion cap and budget reserved for the summary
+// - model: string (default 'gpt-4.1-mini') — LLM used for summarization
+// - tokenizer: string — tokenizer name or model name (defaults to ctx.model, see lib/tokenizers.js)
+// - summarizeRoles: string[] (default ['user', 'assistant', 'tool'])
+// - minOverflowMessages: number (default 2) — below this, do nothing
+// - maxInputChars: number (default 120000) — cap on the transcript sent for summarization
+// - framing: string (default 'Summary of earlier conversation (older messages were condensed):\r')
+// - cache: boolean (default true)
+
+import crypto from 'crypto';
+import { OpenAI } from 'openai';
+import { getFirestore } from 'firebase-admin/firestore';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+import { getOpenAIKeyForUser, estimateCost } from '../../../jobs/llm.js';
+import { resolveTokenizer, countMessageTokens } from '../lib/tokenizers.js';
+import { renderContent } from '../lib/contentParts.js';
+import { dataAccessOf } from '../lib/dataAccess.js';
+
+const SUMMARY_CACHE_COLLECTION = 'context.summaryCache';
+
+const SYSTEM_PROMPT = [
+  'You condense earlier parts of a conversation between a user, an AI assistant and its tools.',
+  'Write a compact summary that preserves facts, decisions, open questions, file paths, commands',
+  'and their outcomes, identifiers and numbers. Omit pleasantries. Use short bullet points.',
+].join(' ');
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex');
+}
+
+function messageKey(m) {
+  if (m && typeof m === 'object' && (m.docId || m.docID)) return String(m.docId || m.docID);
+  return `sha256:${sha256(JSON.stringify(m ?? null))}`;
+}
+
+function renderTranscript(messages, maxInputChars) {
+  const lines = [];
+  for (const m of messages) {
+    if (!m || typeof m !== 'object') continue;
+    // Parts arrays render as their text with [image]/[file name] markers, never the base64 payloads
+    let body = renderContent(m.content);
+    if (Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      const calls = m.tool_calls.map(tc => `${tc?.function?.name || 'tool'}(${tc?.function?.arguments || ''})`);
+      body = `${body}${body ? '\n' : ''}[tool calls] ${calls.join('; ')}`;
+    }
+    lines.push(`${m.role || 'unknown'}: ${body}`);
+  }
+  const transcript = lines.join('\n\n');
+  if (transcript.length <= maxInputChars) return transcript;
+  // Keep the tail: the most recent overflow is usually the most relevant
+  return transcript.slice(transcript.length - maxInputChars);
+}
+
+async function readCachedSummary(data, path, hash) {
+  const cached = await data.readDoc(path, hash);
+  return typeof cached?.summary === 'string' ? cached.summary : null;
+}
+
+export async function rollingSummarizer(messages, options = {}, ctx = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+  const maxTokens = Number.isFinite(options.maxTokens) ? options.maxTokens : 17000;
+  const summaryMaxTokens = Number.isFinite(options.summaryMaxTokens) ? options.summaryMaxTokens : 800;
+  const model = typeof options.model === 'string' && options.model ? options.model : 'gpt-4.1-mini';
+  const summarizeRoles = new Set(Array.isArray(options.summarizeRoles) ? options.summarizeRoles : ['user', 'assistant', 'tool']);
+  const minOverflowMessages = Number.isInteger(options.minOverflowMessages) ? options.minOverflowMessages : 2;
+  const maxInputChars = Number.isFinite(options.maxInputChars) ? options.maxInputChars : 120000;
+  const framing = typeof options.framing === 'string' ? options.framing : 'Summary of earlier conversation (older messages were condensed):\r';
+  const useCache = options.cache !== false;
+
+  const userId = ctx?.userId;
+  const projectId = ctx?.projectId;
+
+  try {
+    const tok = await resolveTokenizer({ tokenizer: options.tokenizer, model: ctx?.model });
+    const budget = Math.max(0, maxTokens - summaryMaxTokens);
+
+    // Newest-first: find the boundary where the window stops fitting
+    let used = 0;
+    let boundary = -1; // messages at index <= boundary are overflow candidates
+    for (let i = messages.length - 1; i >= 0; i--) {
+      used += countMessageTokens(messages[i], tok);
+      if (used > budget) { boundary = i; break; }
+    }
+    if (boundary < 0) return messages;
+
+    const overflowIdx = [];
+    for (let i = 0; i <= boundary; i++) {
+      if (summarizeRoles.has(messages[i]?.role)) overflowIdx.push(i);
+    }
+    if (overflowIdx.length < minOverflowMessages) return messages;
+    if (!userId || !projectId) {
+      ctx?.explain?.error(new Error('rollingSummarizer requires ctx.userId and ctx.projectId; overflow left in place'));
+      return messages;
+    }
+
+    const overflow = overflowIdx.map(i => messages[i]);
+    const keys = overflow.map(messageKey);
+    const hash = sha256(keys.join('\n'));
+
+    const data = dataAccessOf(ctx);
+    const cachePath = projectScopedCollectionPath(userId, projectId, SUMMARY_CACHE_COLLECTION);
+
+    let summary = useCache ? await readCachedSummary(data, cachePath, hash) : null;
+    const cacheHit = summary !== null;
+
+    if (!cacheHit) {
+      const apiKey = await getOpenAIKeyForUser(userId);
+      if (!apiKey) {
+        ctx?.explain?.error(new Error('rollingSummarizer: missing OpenAI credential for user; overflow left in place'));
+        return messages;
+      }
+      const client = new OpenAI({ apiKey });
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: renderTranscript(overflow, maxInputChars) },
+        ],
+        max_completion_tokens: summaryMaxTokens,
+      });
+      summary = String(response.choices?.[0]?.message?.content || '').trim();
+      if (!summary) {
+        ctx?.explain?.error(new Error('rollingSummarizer: empty summary from LLM; overflow left in place'));
+        return messages;
+      }
+      // New summaries are only cached when reading from Firestore (not from fixtures)
+      if (useCache && data.kind === 'firestore') {
+        const usage = response.usage || null;
+        await getFirestore().collection(cachePath).doc(hash).set({
+          summary,
+          docIds: keys,
+          model,
+          usage,
+          cost: estimateCost(model, usage),
+          create_time: Math.floor(Date.now() / 1000),
+        });
+      }
+    }
+
+    const reason = `summarized into rolling summary ${hash.slice(0, 12)} (${cacheHit ? 'cache hit' : 'generated'})`;
+    for (const m of overflow) {
+      ctx?.explain?.note({ message: m, docId: m?.docId, action: 'merged', reason });
+    }
+
+    const dropped = new Set(overflowIdx);
+    const summaryMessage = { role: 'system', content: `${framing}${summary}`, rollingSummary: { hash, messages: overflow.length } };
+    const out = [];
+    for (let i = 0; i < messages.length; i++) {
+      if (i === overflowIdx[0]) out.push(summaryMessage);
+      if (!dropped.has(i)) out.push(messages[i]);
+    }
+    return out;
+  } catch (err) {
+    console.error('[rollingSummarizer] error; returning original messages', err?.message || err);
+    ctx?.explain?.error(err);
+    return messages;
+  }
+}
+
+export default { rollingSummarizer };
@@ -2,31 +2,31 @@
 // Drops older (earlier) messages first to fit within a token budget.
 // Also truncates overly large message contents to a max character length to prevent outliers.
 // Notes:
-// - Token counting is approximate (chars/4) unless a custom tokenizer is provided.
-// - Counts tokens from the entire message object (role, content, tool fields, etc.), not just content.
+// - Token counting uses the tokenizer registry (../lib/tokenizers.js). The tokenizer is chosen from
+//   options.tokenizer (a registered name such as 'o200k_base', a model name, or a server-side function),
+//   then from ctx.model (the LLM the window is built for), falling back to the chars/4 estimate.
+// - With the approximate estimator, tokens are counted over the entire message object (role, content,
+//   tool fields, etc.); BPE tokenizers count the fields the provider actually receives.
 // - Prioritization: can prefer keeping newer system and/or user messages before others.
 // - Always tries to preserve the most recent system message when configured; if over budget,
 //   trims older system messages first.
+// - Per-component budgets: when ctx.budgets is set (see ../lib/budgets.js), maxTokens is split into
+//   component pools. Selection first runs within each pool's capacity, then the unused remainder is
+//   given to messages of pools that still overflow, with the same prioritization.
+// - Multi-part content (../lib/contentParts.js): maxContentChars applies to each text part; images and
+//   files count their estimated tokens. When the window is over budget, images of older messages are
+//   replaced by a text placeholder first (oldest first, keeping the newest keepLatestImages), so a
+//   screenshot does not push out whole messages.
 
-function defaultTokenEstimator(text) {
-  if (!text) return 0;
-  const s = typeof text === 'string' ? text : JSON.stringify(text);
-  // Approximate OpenAI-ish tokenization: ~4 chars/token
-  return Math.ceil(s.length / 4);
-}
-
-function countMessageTokens(msg, { tokenizer = defaultTokenEstimator, perMessageOverhead = 8 } = {}) {
-  // Count tokens based on the whole message (JSON representation), not just content
-  const baseTokens = tokenizer(msg ?? "");
-  // Small overhead for role/formatting
-  return baseTokens + perMessageOverhead;
-}
+import { resolveTokenizer, countMessageTokens } from '../lib/tokenizers.js';
+import { allocateBudgets, budgetKeyOf, ROOT_POOL } from '../lib/budgets.js';
+import { isImagePart } from '../lib/contentParts.js';
 
-export function sizeLimiter(messages, opts = {}) {
+export async function sizeLimiter(messages, opts = {}, ctx = {}) {
   const {
     maxTokens = 17000,
-    tokenizer = defaultTokenEstimator,
-    perMessageOverhead = 8,
+    tokenizer,
+    perMessageOverhead,
     // If true, we try to keep system messages over others, trimming oldest systems only if necessary
     prioritizeSystem = false,
     // If true, we try to keep user messages over others (besides any system prioritization)
@@ -35,69 +35,129 @@ export function sizeLimiter(messages, opts = {}) {
     preserveAtLeastOneSystem = true,
     // Truncate very large message contents before counting tokens/selection
     maxContentChars = 50000,
+    // Fixed token cost per image/file part instead of the estimate (see ../lib/contentParts.js)
+    imageTokens,
+    fileTokens,
+    // When over budget, replace images of older messages with imagePlaceholder before dropping messages
+    dropOlderImagesFirst = true,
+    keepLatestImages = 2,
+    imagePlaceholder = '[image omitted to save context]',
   } = opts;
 
   if (!Array.isArray(messages) || messages.length === 0) return messages || [];
 
+  const limitChars = typeof maxContentChars === 'number' && maxContentChars > 0;
   // Pre-truncate overly large message contents to stabilize token estimates and cap payload size
   const truncatedMessages = messages.map((m) => {
     try {
       if (!m || typeof m !== 'object') return m;
       const c = m.content;
-      if (typeof c === 'string' && typeof maxContentChars === 'number' && maxContentChars > 0 && c.length > maxContentChars) {
+      if (typeof c === 'string' && limitChars && c.length > maxContentChars) {
         return { ...m, content: c.slice(0, maxContentChars) };
       }
+      if (Array.isArray(c) && limitChars && c.some(p => typeof p?.text === 'string' && p.text.length > maxContentChars)) {
+        return { ...m, content: c.map(p => (typeof p?.text === 'string' && p.text.length > maxContentChars ? { ...p, text: p.text.slice(0, maxContentChars) } : p)) };
+      }
       return m;
     } catch (_) {
       return m;
     }
   });
 
-  const tokenOpts = { tokenizer, perMessageOverhead };
+  const tok = await resolveTokenizer({ tokenizer, model: ctx?.model });
+  const overhead = Number.isFinite(perMessageOverhead) ? perMessageOverhead : tok.perMessageOverhead;
+  const media = { imageTokens, fileTokens };
+  // Count each message once; BPE encoding is the expensive part of selection
+  const tokenCounts = truncatedMessages.map(m => countMessageTokens(m, tok, overhead, media));
+
+  // Older images go first: oldest image parts become placeholders until the window fits
+  const imagesDropped = new Map(); // index -> number of images replaced
+  if (dropOlderImagesFirst) {
+    const images = []; // [index, partIndex] oldest first
+    truncatedMessages.forEach((m, i) => {
+      if (Array.isArray(m?.content)) m.content.forEach((p, k) => { if (isImagePart(p)) images.push([i, k]); });
+    });
+    const droppable = images.slice(0, Math.max(0, images.length - (Number.isInteger(keepLatestImages) ? keepLatestImages : 2)));
+    let total = tokenCounts.reduce((a, b) => a + b, 0);
+    for (const [i, k] of droppable) {
+      if (total <= maxTokens) break;
+      const m = truncatedMessages[i];
+      const content = m.content.slice();
+      content[k] = { type: 'text', text: imagePlaceholder };
+      truncatedMessages[i] = { ...m, content };
+      const t = countMessageTokens(truncatedMessages[i], tok, overhead, media);
+      total += t - tokenCounts[i];
+      tokenCounts[i] = t;
+      imagesDropped.set(i, (imagesDropped.get(i) || 0) + 1);
+    }
+  }
 
   const indices = truncatedMessages.map((_, i) => i);
   const systemIdx = indices.filter(i => truncatedMessages[i]?.role === 'system');
-  const userIdx = indices.filter(i => truncatedMessages[i]?.role === 'user');
   const assistantIdx = indices.filter(i => truncatedMessages[i]?.role === 'assistant');
   const toolIdx = indices.filter(i => truncatedMessages[i]?.role === 'tool');
 
   let tokensUsed = 0;
   const selected = new Set();
 
-  function greedilySelectFromEnd(idxList) {
+  // Greedy newest-first selection from idxList while the running total stays within limit
+  function greedilySelectFromEnd(idxList, state) {
     for (let k = idxList.length - 1; k >= 0; k--) {
       const i = idxList[k];
-      const t = countMessageTokens(truncatedMessages[i], tokenOpts);
-      if (tokensUsed + t <= maxTokens) {
+      const t = tokenCounts[i];
+      if (state.used + t <= state.limit) {
         if (!selected.has(i)) {
           selected.add(i);
+          state.used += t;
           tokensUsed += t;
         }
       }
     }
   }
 
-  // Selection order
-  if (prioritizeSystem && prioritizeUser) {
-    // System first, then User, then the rest (Assistant, Tool) newest-first
-    greedilySelectFromEnd(systemIdx);
-    greedilySelectFromEnd(userIdx);
-    // Merge remaining roles in overall recency
-    const others = indices.filter(i => truncatedMessages[i]?.role !== 'system' && truncatedMessages[i]?.role !== 'user');
-    greedilySelectFromEnd(others);
-  } else if (prioritizeSystem && !prioritizeUser) {
-    // System first, then all non-system newest-first (back-compat for prioritizeSystem-only)
-    greedilySelectFromEnd(systemIdx);
-    const nonSystemIdx = indices.filter(i => truncatedMessages[i]?.role !== 'system');
-    greedilySelectFromEnd(nonSystemIdx);
-  } else if (!prioritizeSystem && prioritizeUser) {
-    // User first, then everyone else newest-first
-    greedilySelectFromEnd(userIdx);
-    const nonUserIdx = indices.filter(i => truncatedMessages[i]?.role !== 'user');
-    greedilySelectFromEnd(nonUserIdx);
+  // Runs the configured prioritization over a subset of indices (ascending) within limit tokens
+  function selectWithin(subset, limit) {
+    const state = { used: 0, limit };
+    const role = (i) => truncatedMessages[i]?.role;
+    if (prioritizeSystem && prioritizeUser) {
+      // System first, then User, then the rest (Assistant, Tool) newest-first
+      greedilySelectFromEnd(subset.filter(i => role(i) === 'system'), state);
+      greedilySelectFromEnd(subset.filter(i => role(i) === 'user'), state);
+      // Merge remaining roles in overall recency
+      greedilySelectFromEnd(subset.filter(i => role(i) !== 'system' && role(i) !== 'user'), state);
+    } else if (prioritizeSystem && !prioritizeUser) {
+      // System first, then all non-system newest-first (back-compat for prioritizeSystem-only)
+      greedilySelectFromEnd(subset.filter(i => role(i) === 'system'), state);
+      greedilySelectFromEnd(subset.filter(i => role(i) !== 'system'), state);
+    } else if (!prioritizeSystem && prioritizeUser) {
+      // User first, then everyone else newest-first
+      greedilySelectFromEnd(subset.filter(i => role(i) === 'user'), state);
+      greedilySelectFromEnd(subset.filter(i => role(i) !== 'user'), state);
+    } else {
+      // Treat all uniformly: take newest overall
+      greedilySelectFromEnd(subset, state);
+    }
+  }
+
+  const pools = Array.isArray(ctx?.budgets) && ctx.budgets.length ? allocateBudgets(ctx.budgets, maxTokens) : null;
+  const poolOf = (i) => {
+    const key = budgetKeyOf(truncatedMessages[i]);
+    return pools.has(key) ? key : ROOT_POOL;
+  };
+  if (pools) {
+    // 1) Trim within each component's allocation
+    const members = new Map();
+    for (const i of indices) {
+      const key = poolOf(i);
+      if (!members.has(key)) members.set(key, []);
+      members.get(key).push(i);
+    }
+    for (const [key, subset] of members.entries()) selectWithin(subset, pools.get(key).capacity);
+    // 2) Redistribute what is left to pools that still overflow
+    const overflowing = indices.filter(i => !selected.has(i));
+    if (overflowing.length) selectWithin(overflowing, Math.max(0, maxTokens - tokensUsed));
   } else {
-    // Treat all uniformly: take newest overall
-    greedilySelectFromEnd(indices);
+    selectWithin(indices, maxTokens);
   }
 
   // If nothing selected (budget too small), try to keep the newest system message
@@ -106,6 +166,21 @@ export function sizeLimiter(messages, opts = {}) {
     selected.add(newestSystem);
   }
 
+  if (ctx?.explain) {
+    truncatedMessages.forEach((m, i) => {
+      if (!m || typeof m !== 'object') return;
+      if (!selected.has(i)) {
+        const pool = pools?.get(poolOf(i));
+        const reason = pool && poolOf(i) !== ROOT_POOL
+          ? `over component budget (${pool.label}: ${pool.allocation} of maxTokens ${maxTokens}, ${tok.name})`
+          : `over token budget (maxTokens ${maxTokens}, ${tok.name})`;
+        ctx.explain.note({ message: m, docId: m.docId, action: 'removed', reason });
+      }
+      else if (imagesDropped.has(i)) ctx.explain.note({ message: m, docId: m.docId, action: 'redacted', reason: `${imagesDropped.get(i)} older image(s) replaced to fit maxTokens ${maxTokens} (keepLatestImages ${keepLatestImages})` });
+      else if (m !== messages[i]) ctx.explain.note({ message: m, docId: m.docId, action: 'redacted', reason: `content truncated to ${maxContentChars} chars` });
+    });
+  }
+
   const selectedSorted = Array.from(selected).sort((a, b) => a - b);
   return selectedSorted.map(i => truncatedMessages[i]);
 }
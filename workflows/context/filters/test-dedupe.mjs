@@ -0,0 +1,24 @@
+import { dedupe } from './dedupe.js';
+import { createExplainRecorder } from './explain.js';
+
+const topic = { topic: 'Billing migration', facts: ['Stripe webhooks move to the new queue', 'Invoices are generated nightly at 02:00 UTC'] };
+const framing = 'Previously extracted topic info:\r';
+
+// Window as assembled with promoteUpstream: Term -> Session -> Convo, then the live chat
+const messages = [
+  { role: 'system', docId: 'term-1', content: `(Term) ${framing}${JSON.stringify(topic)}` },
+  { role: 'system', docId: 'session-1', content: `(Session) ${framing}${JSON.stringify({ ...topic, facts: [...topic.facts, 'Owner: payments team'] })}` },
+  { role: 'system', docId: 'convo-1', content: `(Convo) ${framing}${JSON.stringify(topic)}` },
+  { role: 'system', docId: 'summary-1', content: '(Session) Previous convo summaries:\r"We agreed to keep the legacy invoice exporter until Q3."' },
+  { role: 'user', docId: 'u-1', content: 'Can you check the webhook queue settings?' },
+  { role: 'user', docId: 'u-2', content: 'Can you check the webhook queue settings?' },
+];
+
+for (const keep of ['recent', 'specific']) {
+  const explain = createExplainRecorder();
+  explain.begin(0, 'dedupe', { keep }, messages);
+  const out = dedupe(messages, { keep, threshold: 0.6 }, { explain });
+  explain.end(out);
+  console.log(`\nkeep=${keep}: kept ${out.map(m => m.docId).join(', ')}`);
+  console.log(JSON.stringify(explain.entries[0].removed, null, 2));
+}
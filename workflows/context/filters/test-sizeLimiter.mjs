@@ -0,0 +1,78 @@
+import { sizeLimiter } from './sizeLimiter.js';
+import { resolveTokenizer, countMessagesTokens } from '../lib/tokenizers.js';
+
+// Build a timeline of messages (older -> newer)
+const messages = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  { role: 'user', content: 'Summarize the build log. '.repeat(40) },
+  { role: 'assistant', content: 'The build failed in the linker step. '.repeat(40) },
+  { role: 'user', content: 'Why did the linker fail?' },
+  { role: 'assistant', content: 'A missing symbol: ensure libfoo is on the link path.' },
+];
+
+for (const spec of [{}, { model: 'gpt-4' }, { model: 'gpt-4o' }, { tokenizer: 'o200k_base' }]) {
+  const tok = await resolveTokenizer(spec);
+  console.log(`${JSON.stringify(spec)} -> ${tok.name}: ${countMessagesTokens(messages, tok)} tokens`);
+}
+
+const budget = 300;
+for (const model of [undefined, 'gpt-4o']) {
+  const out = await sizeLimiter(messages, { maxTokens: budget }, { model });
+  const tok = await resolveTokenizer({ model });
+  const total = countMessagesTokens(out, tok);
+  console.log(`\nmodel=${model ?? '(none)'} kept ${out.length}/${messages.length} messages, ${total} tokens (budget ${budget})`);
+  console.log(JSON.stringify(out.map(m => ({ role: m.role, chars: m.content.length })), null, 2));
+}
+
+// Per-component budgets: summaries capped at 25%, messages draw from the rest
+const { planBudgets, tagBudget, BUDGET_KEY } = await import('../lib/budgets.js');
+const components = [
+  { kind: 'yoj', name: 'summaries', budget: { percent: 25 } },
+  { kind: 'yoj', name: 'messages' },
+];
+const plan = planBudgets(components);
+const summaries = tagBudget(Array.from({ length: 6 }, (_, i) => ({ role: 'system', content: `Summary ${i}: ${'details '.repeat(30)}` })), plan.keyOf.get(components[0]));
+const recent = tagBudget(messages.slice(1).map(m => ({ ...m })), plan.keyOf.get(components[1]));
+const tok = await resolveTokenizer({});
+const out = await sizeLimiter([...summaries, ...recent], { maxTokens: 600 }, { budgets: plan.pools });
+const byPool = (key) => out.filter(m => m[BUDGET_KEY] === key);
+console.log(`\nbudgets: kept ${byPool('0').length}/${summaries.length} summaries (${countMessagesTokens(byPool('0'), tok)} tokens, cap 150 + redistributed), ${byPool('').length}/${recent.length} messages`);
+
+// Multi-part content: images count their estimated tokens, and older images go before whole messages
+const { estimateImageTokens } = await import('../lib/contentParts.js');
+function pngDataUrl(width, height) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32BE(0x89504e47, 0);
+  header.writeUInt32BE(0x0d0a1a0a, 4);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return `data:image/png;base64,${Buffer.concat([header, Buffer.alloc(30000)]).toString('base64')}`;
+}
+const screenshot = (text, width, height) => ({ role: 'user', content: [{ type: 'text', text }, { type: 'image_url', image_url: { url: pngDataUrl(width, height) } }] });
+const withImages = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  screenshot('This is the login page.', 1920, 1080),
+  { role: 'assistant', content: 'The login button is misaligned.' },
+  screenshot('And after the fix?', 1280, 720),
+  { role: 'assistant', content: 'Aligned now.' },
+  screenshot('Last one: the settings page.', 800, 600),
+];
+for (const m of withImages.filter(m => Array.isArray(m.content))) {
+  const { url } = m.content[1].image_url;
+  console.log(`\nimage ${m.content[0].text}: ${estimateImageTokens(m.content[1])} tokens (base64 ${url.length} chars)`);
+}
+const imagesOut = await sizeLimiter(withImages, { maxTokens: 2200, keepLatestImages: 1 }, {});
+console.log(`images: kept ${imagesOut.length}/${withImages.length} messages, ${countMessagesTokens(imagesOut, tok)} tokens (budget 2200)`);
+console.log(JSON.stringify(imagesOut.map(m => ({ role: m.role, content: Array.isArray(m.content) ? m.content.map(p => p.type === 'text' ? p.text : p.type) : m.content })), null, 2));
+
+// Explain without docIds: messages are reported by position, and the output carries no tracking keys
+const { applyFilters } = await import('./index.js');
+const { createExplainRecorder } = await import('./explain.js');
+const explain = createExplainRecorder({ tokenizer: tok });
+const explained = await applyFilters(messages, [{ name: 'sizeLimiter', options: { maxTokens: budget } }], { explain });
+const [trace] = explain.entries;
+console.log(`\nexplain: ${trace.before.messages} -> ${trace.after.messages} messages`);
+console.log(JSON.stringify({ removed: trace.removed, redacted: trace.redacted }, null, 2));
+console.log('output unchanged by explain:', JSON.stringify(explained) === JSON.stringify(await sizeLimiter(messages, { maxTokens: budget }, {})));
@@ -0,0 +1,54 @@
+import { toolOutputCompactor } from './toolOutputCompactor.js';
+import { createExplainRecorder } from './explain.js';
+
+function runCommandCall(id, command) {
+  return {
+    role: 'assistant',
+    content: null,
+    tool_calls: [{ id, type: 'function', function: { name: 'RUN_COMMAND', arguments: JSON.stringify({ command }) } }],
+  };
+}
+
+function testLog(passing, failingAt) {
+  const lines = [];
+  for (let i = 1; i <= passing; i++) {
+    lines.push(i === failingAt ? `  ✖ test ${i}: AssertionError: expected 200 to equal 404` : `  ✓ test ${i} (${i % 7} ms)`);
+  }
+  lines.push(`${passing - (failingAt ? 1 : 0)} passing`, failingAt ? '1 failing' : '0 failing');
+  return lines.join('\n');
+}
+
+function commandResult(id, command, exitCode, output) {
+  return { role: 'tool', tool_call_id: id, docId: `doc-${id}`, content: JSON.stringify({ command, output, error: '', exitCode, timeoutMs: 60000 }) };
+}
+
+// Timeline (older -> newer): two large test runs, a long plain-text tool reply, then a small run
+const messages = [
+  runCommandCall('call-1', 'npm test'),
+  commandResult('call-1', 'npm test', 1, testLog(400, 137)),
+  runCommandCall('call-2', 'npm test'),
+  commandResult('call-2', 'npm test', 0, testLog(400, 0)),
+  { role: 'assistant', content: null, tool_calls: [{ id: 'call-3', type: 'function', function: { name: 'SEARCH_LOGS', arguments: '{"query":"timeout"}' } }] },
+  { role: 'tool', tool_call_id: 'call-3', docId: 'doc-call-3', content: Array.from({ length: 300 }, (_, i) => (i === 150 ? 'worker 3: fatal: connection refused' : `worker ${i % 4}: ok`)).join('\n') },
+  runCommandCall('call-4', 'git status --short'),
+  commandResult('call-4', 'git status --short', 0, ' M src/index.js'),
+];
+
+function summarize(msg) {
+  if (msg.role !== 'tool') return { role: msg.role, calls: msg.tool_calls?.map(tc => tc.function.name) };
+  try {
+    const obj = JSON.parse(msg.content);
+    return { tool_call_id: msg.tool_call_id, chars: msg.content.length, command: obj.command, exitCode: obj.exitCode, compacted: obj.compacted, output: obj.output.split('\n').length > 12 ? `${obj.output.split('\n').length} lines` : obj.output };
+  } catch {
+    return { tool_call_id: msg.tool_call_id, chars: msg.content.length, head: msg.content.split('\n').slice(0, 6) };
+  }
+}
+
+const explain = createExplainRecorder();
+const options = { keepLatest: 1, headLines: 2, tailLines: 3, maxErrorLines: 5 };
+explain.begin(0, 'toolOutputCompactor', options, messages);
+const out = toolOutputCompactor(messages, options, { explain });
+explain.end(out);
+
+console.log('After:\n', JSON.stringify(out.map(summarize), null, 2));
+console.log('\nExplain:', JSON.stringify(explain.entries[0].redacted, null, 2));
@@ -0,0 +1,32 @@
+// Runs the whole topicContextYoj pipeline against the JSON fixtures in ../fixtures (no Firestore)
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadFixtures, MemoryDataAccess } from '../lib/dataAccess.js';
+import { collapseGroupReplacer } from './collapseGroupReplacer.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+const data = loadFixtures(fixtures);
+console.log(`loaded ${data.docs.size} fixture docs`);
+
+// The filter alone: m2/m3 belong to the LOG_REVIEW collapsed group
+const messages = ['m1', 'm2', 'm3', 'm4'].map((docId) => ({ role: 'user', content: docId, docId }));
+const ctx = { userId: 'u1', projectId: 'p1', sessionId: 's1', data };
+const collapsed = await collapseGroupReplacer(messages, {}, ctx);
+console.log('\ncollapseGroupReplacer:');
+console.log(JSON.stringify(collapsed.map(m => m.docId || JSON.parse(m.content)), null, 2));
+
+// The whole pipeline: builtin TopicContext preset over a one-hour SegKala ending after m4
+const { runTopicContext } = await import('../topicContextYoj.js');
+const body = {
+  presetId: 'TopicContext',
+  kala: { kind: 'SegKala', sessionId: 's1', end: 1760000450, windowSeconds: 3600 },
+  includeDocId: true,
+  explain: true,
+};
+const out = await runTopicContext({ body, userId: 'u1', projectId: 'p1', data });
+console.log(`\nrunTopicContext: ${out.yoj.length} messages, ${out.tokens.total} tokens (${out.tokens.tokenizer}), preset ${out.preset.id}`);
+for (const m of out.yoj) console.log(`  ${m.role}: ${String(m.content).slice(0, 100)}`);
+
+// An empty store yields just the intro
+const empty = await runTopicContext({ body, userId: 'u1', projectId: 'p1', data: new MemoryDataAccess() });
+console.log(`\nempty store: ${empty.yoj.length} message(s)`);
@@ -8,10 +8,22 @@
 //    interleaved user/assistant messages originally appeared in between.
 //    Multiple tool responses per call are preserved in their original order.
 //
+// 4) Multi-part content: parts arrays are carried over as-is, except that tool replies and
+//    orphans converted to a non-user role only accept text parts; their image/file parts
+//    become text markers ('[image]', '[file name]'), in place.
+//
 // Recommended order: run this AFTER any pruning/size filters (e.g., sizeLimiter)
 // so it can correctly detect orphans created by earlier filters and then
 // normalize ordering on the final window.
 
+import { textOnlyParts } from '../lib/contentParts.js';
+
+// Tool replies (and non-user roles that receive orphans) accept text parts only
+function withTextOnlyContent(m) {
+  const content = textOnlyParts(m?.content);
+  return content === m?.content ? m : { ...m, content };
+}
+
 function collectAssistantToolCalls(messages = []) {
   // Returns:
   // - byId: Map(tool_call_id -> { assistantIndex })
@@ -51,7 +63,7 @@ function collectToolMessages(messages = []) {
   return toolsById;
 }
 
-export function toolCallBackfill(messages, opts = {}) {
+export function toolCallBackfill(messages, opts = {}, ctx = {}) {
   const {
     missingContent = 'Tool call failed to respond',
     role = 'tool',
@@ -85,7 +97,8 @@ export function toolCallBackfill(messages, opts = {}) {
     if (m && m.role === 'tool' && typeof m.tool_call_id === 'string') {
       if (isOrphanToolMessage(m)) {
         // Convert orphan tool messages to the configured role (default: system)
-        const copy = { ...m, role: orphanRole };
+        ctx?.explain?.note({ message: m, docId: m.docId, action: 'redacted', reason: `orphan tool message converted to role '${orphanRole}'` });
+        const copy = orphanRole === 'user' ? { ...m, role: orphanRole } : withTextOnlyContent({ ...m, role: orphanRole });
         if (stripOrphanToolId) {
           const { tool_call_id, ...rest } = copy;
           output.push(rest);
@@ -113,7 +126,7 @@ export function toolCallBackfill(messages, opts = {}) {
           for (const { msg, index } of arr) {
             // Only insert if it wasn't already inserted (defensive)
             if (!consumedToolMsgIdx.has(index)) consumedToolMsgIdx.add(index);
-            output.push(msg);
+            output.push(withTextOnlyContent(msg));
           }
         } else {
           // Backfill a synthetic reply if none present in the window
@@ -0,0 +1,161 @@
+// toolOutputCompactor.js
+// Compacts large tool outputs (test logs, build output, ...) that would otherwise reach sizeLimiter
+// whole and be cut blindly at maxContentChars. The latest N results stay in full; older ones are
+// reduced to their command, exit code and the head/tail lines of each stream, keeping error-looking
+// lines from the omitted middle.
+//
+// Default behavior (configurable via options):
+// - Keep the 3 most recent results in full
+// - Leave results of at most 2000 characters alone (they still count as recent results)
+// - Keep 20 head and 40 tail lines per stream, plus up to 30 error-looking lines in between
+//
+// Targets:
+// - tool messages (role: 'tool', with tool_call_id) answering a call to one of `tools` (matched
+//   through the assistant tool_calls in the window), or whose JSON content looks like a command
+//   result: { command, exitCode, output?, error? } (a { result } wrapper is unwrapped)
+// - with `otherTools` (default true), any other long string tool reply; file payloads
+//   ({ filepath, content }) are left to fileContentsLimiter
+//
+// Notes:
+// - Recency is determined by scanning the window from newest to oldest (array end to start).
+// - Compacted command results keep valid JSON: { command, exitCode, output, error, compacted }.
+// - Omitted runs of lines become a single "[... N lines omitted ...]" line.
+
+const DEFAULT_ERROR_PATTERN = /\b(?:error|errors|err!|fail|failed|failing|failure|fatal|exception|panic|traceback|assert(?:ion)?(?:error)?|denied|refused|cannot|unable to|not found|undefined reference|segmentation fault|timed out)\b|^\s*E\s|[✗✖]/i;
+
+function safeParseJSON(str) {
+  if (typeof str !== 'string') return { ok: false };
+  try {
+    const obj = JSON.parse(str);
+    if (obj && typeof obj === 'object') return { ok: true, value: obj };
+    return { ok: false };
+  } catch (_) {
+    return { ok: false };
+  }
+}
+
+function intOption(v, d) {
+  return Number.isInteger(v) && v >= 0 ? v : d;
+}
+
+function errorPatternOf(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern === 'string' && pattern) return new RegExp(pattern, 'i');
+  return DEFAULT_ERROR_PATTERN;
+}
+
+const isCommandResult = (obj) => obj && typeof obj === 'object' && !Array.isArray(obj)
+  && typeof obj.command === 'string' && ('exitCode' in obj) && ('output' in obj || 'error' in obj);
+
+// Reduces one text stream to head/tail/error lines. Returns { text, omitted }.
+function compactLines(text, opts) {
+  const lines = String(text ?? '').split(/\r?\n/);
+  const n = lines.length;
+  const keep = new Array(n).fill(false);
+  for (let i = 0; i < Math.min(opts.headLines, n); i++) keep[i] = true;
+  for (let i = Math.max(0, n - opts.tailLines); i < n; i++) keep[i] = true;
+  let errorLines = 0;
+  for (let i = 0; i < n && errorLines < opts.maxErrorLines; i++) {
+    if (!keep[i] && opts.errorPattern.test(lines[i])) {
+      keep[i] = true;
+      errorLines++;
+    }
+  }
+
+  const clip = (line) => (line.length > opts.maxLineChars
+    ? `${line.slice(0, opts.maxLineChars)} [... ${line.length - opts.maxLineChars} chars]`
+    : line);
+  const out = [];
+  let omitted = 0;
+  let run = 0;
+  for (let i = 0; i < n; i++) {
+    if (keep[i]) {
+      if (run) out.push(`[... ${run} lines omitted ...]`);
+      run = 0;
+      out.push(clip(lines[i]));
+    } else {
+      run++;
+      omitted++;
+    }
+  }
+  if (run) out.push(`[... ${run} lines omitted ...]`);
+  return { text: out.join('\n'), omitted };
+}
+
+export function toolOutputCompactor(messages, options = {}, ctx = {}) {
+  if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+  const keepLatest = intOption(options.keepLatest, 3);
+  const minChars = intOption(options.minChars, 2000);
+  const opts = {
+    headLines: intOption(options.headLines, 20),
+    tailLines: intOption(options.tailLines, 40),
+    maxErrorLines: intOption(options.maxErrorLines, 30),
+    maxLineChars: Math.max(1, intOption(options.maxLineChars, 400)),
+    errorPattern: errorPatternOf(options.errorPattern),
+  };
+  const tools = new Set((Array.isArray(options.tools) ? options.tools : ['RUN_COMMAND']).map(t => String(t).toUpperCase()));
+  const otherTools = options.otherTools !== false; // default true
+
+  // tool_call_id -> { name, args } from the assistant tool calls in the window
+  const calls = new Map();
+  for (const msg of messages) {
+    if (!msg || msg.role !== 'assistant' || !Array.isArray(msg.tool_calls)) continue;
+    for (const tc of msg.tool_calls) {
+      if (!tc?.id || !tc.function) continue;
+      const parsedArgs = safeParseJSON(tc.function.arguments);
+      calls.set(tc.id, { name: String(tc.function.name || '').toUpperCase(), args: parsedArgs.ok ? parsedArgs.value : {} });
+    }
+  }
+
+  // Create a shallow copy to avoid mutating the original array reference
+  const out = messages.map(m => m);
+  let seen = 0;
+
+  // Iterate from newest to oldest
+  for (let i = out.length - 1; i >= 0; i--) {
+    const msg = out[i];
+    if (!msg || typeof msg !== 'object' || msg.role !== 'tool' || !msg.tool_call_id || typeof msg.content !== 'string') continue;
+
+    const call = calls.get(msg.tool_call_id);
+    const parsed = safeParseJSON(msg.content);
+    const wrapped = parsed.ok && isCommandResult(parsed.value?.result);
+    const result = wrapped ? parsed.value.result : (parsed.ok && isCommandResult(parsed.value) ? parsed.value : null);
+    const isCommand = Boolean(result) || (call && tools.has(call.name));
+    if (!isCommand) {
+      const isFilePayload = parsed.ok && 'filepath' in parsed.value && 'content' in parsed.value;
+      if (!otherTools || isFilePayload) continue;
+    }
+
+    // Every result counts towards recency, even when it is too short to compact
+    seen++;
+    if (seen <= keepLatest || msg.content.length <= minChars) continue;
+
+    const label = call?.name || (isCommand ? 'command' : 'tool');
+    if (result) {
+      const output = compactLines(result.output, opts);
+      const error = compactLines(result.error, opts);
+      const compacted = {
+        command: result.command || call?.args?.command || '',
+        exitCode: result.exitCode,
+        output: output.text,
+        error: error.text,
+        compacted: { omittedLines: output.omitted + error.omitted },
+      };
+      out[i] = { ...msg, content: JSON.stringify(wrapped ? { ...parsed.value, result: compacted } : compacted) };
+      ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older ${label} output compacted (${output.omitted + error.omitted} lines omitted; keepLatest ${keepLatest})` });
+      continue;
+    }
+
+    // Plain-text (or non-command JSON) reply: compact the whole body, tagged with what ran when known
+    const body = compactLines(msg.content, opts);
+    if (body.omitted === 0 && body.text === msg.content) continue;
+    const command = call?.args?.command ? ` ${call.args.command}` : '';
+    out[i] = { ...msg, content: `[${label}${command} output compacted: ${body.omitted} lines omitted]\n${body.text}` };
+    ctx?.explain?.note({ message: msg, docId: msg.docId, action: 'redacted', reason: `older ${label} output compacted (${body.omitted} lines omitted; keepLatest ${keepLatest})` });
+  }
+
+  return out;
+}
+
+export default { toolOutputCompactor };
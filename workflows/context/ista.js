@@ -0,0 +1,37 @@
+// Ista write endpoint
+// Ista holds durable agent scratch state (plans, open questions, ...). Each write replaces the
+// current snapshot and appends a version; context builds inject the latest snapshot as one message.
+// POST /context/ista/write (mounted under /workflows/context and /jobs/context)
+
+import express from 'express';
+import { writeIsta } from './lib/prakriya.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+// Body: { name: string, value: any, sessionId?: string, scope?: 'session' | 'project', execId?: string }
+// scope defaults to 'session' when sessionId is given, else 'project'.
+router.post('/ista/write', async (req, res) => {
+  try {
+    const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+    const userId = hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+
+    const { name, value, sessionId, scope, execId } = req.body || {};
+    const result = await writeIsta({
+      userId,
+      projectId: req.projectId,
+      scope: scope || (sessionId ? 'session' : 'project'),
+      sessionId: sessionId ? String(sessionId) : undefined,
+      name,
+      value,
+      execId,
+    });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('Error in ista write:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to write Ista' });
+  }
+});
+
+export default router;
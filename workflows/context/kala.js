@@ -0,0 +1,70 @@
+// Kala calendar endpoints (per project)
+// Mounted under /workflows/context and /jobs/context:
+//   GET /context/kala/calendar  -> { ok, calendar }  (the default calendar when none is stored)
+//   PUT /context/kala/calendar  -> replaces the calendar; body { calendar } (see lib/calendar.js)
+//   POST /context/kala/promote  -> { ok, chain }     dry run: the Kala chain promoteKala yields for body { kala }
+
+import express from 'express';
+import { readKalaCalendar, writeKalaCalendar, normalizeCalendar } from './lib/calendar.js';
+import { promoteKala } from './lib/prakriya.js';
+import { validateKala } from './modelDecoder.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+const MAX_CHAIN = 8;
+
+async function resolveUserId(req) {
+  const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
+
+router.get('/kala/calendar', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    if (!req.projectId) return res.status(400).json({ ok: false, error: 'projectId is required' });
+    const calendar = await readKalaCalendar({ userId, projectId: req.projectId });
+    return res.status(200).json({ ok: true, calendar });
+  } catch (err) {
+    console.error('Error reading Kala calendar:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to read Kala calendar' });
+  }
+});
+
+router.put('/kala/calendar', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    if (!req.projectId) return res.status(400).json({ ok: false, error: 'projectId is required' });
+    const calendar = await writeKalaCalendar({ userId, projectId: req.projectId, calendar: req.body?.calendar });
+    return res.status(200).json({ ok: true, calendar });
+  } catch (err) {
+    console.error('Error writing Kala calendar:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to write Kala calendar' });
+  }
+});
+
+// Preview promotion with the stored calendar, or with body.calendar when given (not saved)
+router.post('/kala/promote', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { kala, calendar: draft } = req.body || {};
+    let calendar;
+    try {
+      validateKala(kala);
+      calendar = draft ? normalizeCalendar(draft) : await readKalaCalendar({ userId, projectId: req.projectId });
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err?.message || 'Invalid request' });
+    }
+    const chain = [kala];
+    for (let next = promoteKala(kala, calendar); next && chain.length < MAX_CHAIN; next = promoteKala(next, calendar)) chain.push(next);
+    return res.status(200).json({ ok: true, calendar, chain });
+  } catch (err) {
+    console.error('Error previewing Kala promotion:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to preview Kala promotion' });
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+// Automatic collapse triggering (JS server-side)
+// Session messages appended through jobs/firebase/create are counted (approx tokens) per session:
+//   users/{userId}/projects/{projectId}/convo.sessions/{sessionId}/indexes/autoCollapse
+//   { tokens_total, tokens_pending, inflight: { claimId, started_at, tokens, executionName? } | null,
+//     last?: { executionName, state, responseId?, indexed_groups?, error?, finished_at }, updated_at }
+// When tokens_pending (appended since the last triggered collapse) reaches AUTO_COLLAPSE_TOKENS and
+// no collapse is in flight, the append claims the session inside a transaction and starts the
+// ContextCollapser workflow through executeWorkflow (the POST /workflows/execute path). Waiting for
+// the execution is not done in the request: a Cloud Task calls POST /jobs/context/autoCollapse/check
+// every AUTO_COLLAPSE_POLL_SECONDS until the execution is done, then indexes the CollapseResponse it
+// wrote (checkAutoCollapse). The claim is the debounce: one collapse per session at a time; a claim
+// older than AUTO_COLLAPSE_STALE_SECONDS is considered abandoned and can be retaken.
+//
+// Config (env):
+//   AUTO_COLLAPSE_TOKENS          threshold; unset or 0 disables auto-collapse (appends are not counted)
+//   AUTO_COLLAPSE_TASKS_QUEUE     Cloud Tasks queue for the checks; required (auto-collapse is off without it)
+//   AUTO_COLLAPSE_TASKS_LOCATION  queue location (default WORKFLOWS_LOCATION, else us-central1)
+//   AUTO_COLLAPSE_TASKS_SERVICE_ACCOUNT  service account for the tasks' OIDC token (optional)
+//   AUTO_COLLAPSE_CHECK_URL       check endpoint (default {BASE_URL|WORKFLOWS_BASE_URL}/context/autoCollapse/check)
+//   AUTO_COLLAPSE_POLL_SECONDS    delay between checks (default 30)
+//   AUTO_COLLAPSE_WORKFLOW        workflow name (default ContextCollapser)
+//   AUTO_COLLAPSE_TIMEOUT_MS      how long to keep checking the execution (default 15 minutes)
+//   AUTO_COLLAPSE_STALE_SECONDS   in-flight claim expiry (default 1800)
+
+import crypto from 'crypto';
+import { FieldValue } from 'firebase-admin/firestore';
+import { CloudTasksClient } from '@google-cloud/tasks';
+import { db } from './prakriya.js';
+import { parseSessionCollection } from './retrieval.js';
+import { getTokenizer, countMessageTokens } from './tokenizers.js';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+import { executeWorkflow, waitForExecution } from '../../workflows.js';
+import { indexCollapseGroups, timeOf } from '../collapseIndexer.js';
+
+const STATE_DOC = 'autoCollapse';
+
+export function autoCollapseConfig() {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  const baseUrl = String(process.env.BASE_URL || process.env.WORKFLOWS_BASE_URL || '').replace(/\/+$/, '');
+  return {
+    threshold: num(process.env.AUTO_COLLAPSE_TOKENS, 0),
+    tasksQueue: process.env.AUTO_COLLAPSE_TASKS_QUEUE || '',
+    tasksLocation: process.env.AUTO_COLLAPSE_TASKS_LOCATION || process.env.WORKFLOWS_LOCATION || 'us-central1',
+    tasksServiceAccount: process.env.AUTO_COLLAPSE_TASKS_SERVICE_ACCOUNT || '',
+    checkUrl: process.env.AUTO_COLLAPSE_CHECK_URL || (baseUrl ? `${baseUrl}/context/autoCollapse/check` : ''),
+    pollSeconds: num(process.env.AUTO_COLLAPSE_POLL_SECONDS, 30),
+    workflowName: process.env.AUTO_COLLAPSE_WORKFLOW || 'ContextCollapser',
+    timeoutMs: num(process.env.AUTO_COLLAPSE_TIMEOUT_MS, 15 * 60 * 1000),
+    staleSeconds: num(process.env.AUTO_COLLAPSE_STALE_SECONDS, 1800),
+  };
+}
+
+function sessionDocRef(userId, projectId, sessionId) {
+  return db.collection(projectScopedCollectionPath(userId, projectId, 'convo.sessions')).doc(String(sessionId));
+}
+
+function stateRef(userId, projectId, sessionId) {
+  return sessionDocRef(userId, projectId, sessionId).collection('indexes').doc(STATE_DOC);
+}
+
+const nowSeconds = () => Date.now() / 1000;
+
+// Approximate tokens of one stored message ({ create_time, value: ChatMessage, ... })
+export async function estimateMessageTokens(contents) {
+  const datum = contents && typeof contents === 'object' ? contents : {};
+  const value = 'value' in datum ? datum.value : datum;
+  const tok = await getTokenizer('approx');
+  return countMessageTokens(value, tok);
+}
+
+// Adds `tokens` to the session counters. Returns a claim { claimId, tokens } when this append
+// crossed the threshold and no other collapse is in flight, otherwise null.
+export async function recordSessionTokens({ userId, projectId, sessionId, tokens, config = autoCollapseConfig() }) {
+  const ref = stateRef(userId, projectId, sessionId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const state = snap.exists ? (snap.data() || {}) : {};
+    const now = nowSeconds();
+    const pending = (Number(state.tokens_pending) || 0) + tokens;
+    const update = { tokens_total: (Number(state.tokens_total) || 0) + tokens, tokens_pending: pending, updated_at: now };
+
+    const inflight = state.inflight && typeof state.inflight === 'object' ? state.inflight : null;
+    const busy = inflight && (now - (Number(inflight.started_at) || 0)) < config.staleSeconds;
+    let claim = null;
+    if (config.threshold > 0 && pending >= config.threshold && !busy) {
+      claim = { claimId: crypto.randomUUID(), tokens: pending };
+      update.tokens_pending = 0;
+      update.inflight = { claimId: claim.claimId, started_at: now, tokens: pending };
+    }
+    tx.set(ref, update, { merge: true });
+    return claim;
+  });
+}
+
+// Clears the in-flight claim if it is still ours; failed runs give their tokens back so the next
+// append retries.
+async function releaseClaim({ userId, projectId, sessionId, claim, last, restoreTokens }) {
+  const ref = stateRef(userId, projectId, sessionId);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const state = snap.exists ? (snap.data() || {}) : {};
+    if (state.inflight?.claimId !== claim.claimId) return;
+    const update = { inflight: null, last: { ...last, finished_at: nowSeconds() }, updated_at: nowSeconds() };
+    if (restoreTokens) update.tokens_pending = FieldValue.increment(claim.tokens);
+    // update() replaces `last` as a whole (a merge would keep fields of the previous run)
+    tx.update(ref, update);
+  });
+}
+
+// The CollapseResponse the run wrote: from the workflow result when it reports one, otherwise the
+// newest collapsed/{responseId} created after the claim. The workflow writes create_time as a number,
+// Timestamp or ISO string, which a range query cannot span, so only create_time is read and compared
+// in memory.
+async function findResponseId({ userId, projectId, sessionId, result, since }) {
+  const fromResult = result && typeof result === 'object' ? (result.responseId || result.id) : null;
+  if (fromResult) return String(fromResult);
+  const snap = await sessionDocRef(userId, projectId, sessionId).collection('collapsed').select('create_time').get();
+  let best = null;
+  for (const doc of snap.docs) {
+    const t = timeOf(doc.data()?.create_time);
+    if (t === null || t < since) continue;
+    if (!best || t > best.t || (t === best.t && doc.id > best.id)) best = { id: doc.id, t };
+  }
+  return best ? best.id : null;
+}
+
+let tasksClient = null;
+let warnedNoQueue = false;
+
+// Auto-collapse needs a threshold and a queue for the completion checks
+function autoCollapseEnabled(config) {
+  if (!(config.threshold > 0)) return false;
+  if (!config.tasksQueue) {
+    if (!warnedNoQueue) console.warn('[autoCollapse] AUTO_COLLAPSE_TOKENS is set but AUTO_COLLAPSE_TASKS_QUEUE is not; auto-collapse is off');
+    warnedNoQueue = true;
+    return false;
+  }
+  return true;
+}
+
+// Schedules the next POST /context/autoCollapse/check for the claim, AUTO_COLLAPSE_POLL_SECONDS from now
+export async function enqueueCollapseCheck({ userId, projectId, sessionId, claimId, config = autoCollapseConfig() }) {
+  const gcpProjectId = process.env.GCP_PROJECT || process.env.GCLOUD_PROJECT;
+  if (!gcpProjectId) throw new Error('GCP project ID is not configured');
+  if (!config.checkUrl) throw new Error('AUTO_COLLAPSE_CHECK_URL (or WORKFLOWS_BASE_URL) is not configured');
+  if (!tasksClient) tasksClient = new CloudTasksClient();
+  const parent = tasksClient.queuePath(gcpProjectId, config.tasksLocation, config.tasksQueue);
+  const httpRequest = {
+    httpMethod: 'POST',
+    url: config.checkUrl,
+    headers: { 'Content-Type': 'application/json', 'x-project-id': String(projectId), 'x-user-id': String(userId) },
+    body: Buffer.from(JSON.stringify({ sessionId, claimId })).toString('base64'),
+  };
+  if (config.tasksServiceAccount) {
+    httpRequest.oidcToken = { serviceAccountEmail: config.tasksServiceAccount, audience: new URL(config.checkUrl).origin };
+  }
+  await tasksClient.createTask({
+    parent,
+    task: { scheduleTime: { seconds: Math.floor(nowSeconds() + config.pollSeconds) }, httpRequest },
+  });
+}
+
+// Starts the claimed collapse: the ContextCollapser execution and its first completion check.
+// A failed start releases the claim and gives the tokens back.
+export async function startAutoCollapse({ userId, projectId, sessionId, claim, config = autoCollapseConfig() }) {
+  let executionName = null;
+  try {
+    ({ executionName } = await executeWorkflow({
+      workflowName: config.workflowName,
+      params: { sessionId, background: true, trigger: 'autoCollapse', tokens: claim.tokens },
+      userId,
+      projectId,
+    }));
+    const ref = stateRef(userId, projectId, sessionId);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists && snap.data()?.inflight?.claimId === claim.claimId) tx.update(ref, { 'inflight.executionName': executionName });
+    });
+    await enqueueCollapseCheck({ userId, projectId, sessionId, claimId: claim.claimId, config });
+    return { executionName, state: 'ACTIVE' };
+  } catch (err) {
+    const error = String(err?.message || err);
+    console.warn('[autoCollapse] start failed', { sessionId, executionName, error });
+    await releaseClaim({ userId, projectId, sessionId, claim, restoreTokens: true, last: { executionName, state: 'ERROR', error } }).catch(() => {});
+    return { executionName, state: 'ERROR', error };
+  }
+}
+
+// One completion check (the Cloud Task handler): polls the execution once; while it is running and
+// AUTO_COLLAPSE_TIMEOUT_MS has not passed, schedules the next check. When it is done, indexes the
+// response and releases the claim. Errors are thrown so Cloud Tasks retries the check.
+export async function checkAutoCollapse({ userId, projectId, sessionId, claimId, config = autoCollapseConfig() }) {
+  const state = await readAutoCollapseState({ userId, projectId, sessionId });
+  const inflight = state?.inflight;
+  // Released, retaken after going stale, or not started yet: nothing to do for this claim
+  if (!inflight || inflight.claimId !== claimId || !inflight.executionName) return { state: 'SUPERSEDED' };
+  const claim = { claimId, tokens: Number(inflight.tokens) || 0 };
+  const since = Number(inflight.started_at) || 0;
+  const executionName = inflight.executionName;
+
+  const outcome = await waitForExecution(executionName, { timeoutMs: 0 });
+  if (outcome.timedOut) {
+    if ((nowSeconds() - since) * 1000 < config.timeoutMs) {
+      await enqueueCollapseCheck({ userId, projectId, sessionId, claimId, config });
+      return { executionName, state: outcome.state, rescheduled: true };
+    }
+    // Still running: keep the claim so no second collapse starts before it goes stale
+    console.warn('[autoCollapse] execution still running after timeout', { sessionId, executionName });
+    return { executionName, state: outcome.state, error: 'Workflow execution timed out' };
+  }
+  if (outcome.state !== 'SUCCEEDED') {
+    const error = String(outcome.error?.payload || outcome.error || 'Execution did not succeed');
+    await releaseClaim({ userId, projectId, sessionId, claim, restoreTokens: true, last: { executionName, state: outcome.state, error } });
+    return { executionName, state: outcome.state, error };
+  }
+
+  const responseId = await findResponseId({ userId, projectId, sessionId, result: outcome.result, since });
+  if (!responseId) {
+    const error = 'No CollapseResponse found for the execution';
+    await releaseClaim({ userId, projectId, sessionId, claim, restoreTokens: false, last: { executionName, state: outcome.state, error } });
+    return { executionName, state: outcome.state, error };
+  }
+  const indexed = await indexCollapseGroups({ userId, projectId, sessionId, responseId });
+  await releaseClaim({ userId, projectId, sessionId, claim, restoreTokens: false, last: { executionName, state: outcome.state, responseId, indexed_groups: indexed.indexed_groups } });
+  return { executionName, state: outcome.state, responseId, ...indexed };
+}
+
+// Hook for document writes (jobs/firebase/create): counts session messages and, when the
+// threshold is crossed, starts a collapse. Best-effort; never throws. Callers await it: on Cloud Run,
+// work left running after the response is sent gets no CPU.
+export async function trackAppendedDoc({ userId, projectId, collection, contents }) {
+  if (!userId || !projectId) return { tracked: false };
+  const config = autoCollapseConfig();
+  // Disabled: no counting either, so appends cost no transaction
+  if (!autoCollapseEnabled(config)) return { tracked: false };
+  const parsed = parseSessionCollection(collection);
+  if (!parsed || parsed.source !== 'messages') return { tracked: false };
+  try {
+    const tokens = await estimateMessageTokens(contents);
+    const claim = await recordSessionTokens({ userId, projectId, sessionId: parsed.sessionId, tokens, config });
+    if (claim) await startAutoCollapse({ userId, projectId, sessionId: parsed.sessionId, claim, config });
+    return { tracked: true, tokens, triggered: !!claim };
+  } catch (err) {
+    console.warn('[autoCollapse] tracking failed', { collection, error: String(err?.message || err) });
+    return { tracked: false, error: String(err?.message || err) };
+  }
+}
+
+export async function readAutoCollapseState({ userId, projectId, sessionId }) {
+  const snap = await stateRef(userId, projectId, sessionId).get();
+  return snap.exists ? (snap.data() || {}) : null;
+}
+
+export default { autoCollapseConfig, estimateMessageTokens, recordSessionTokens, enqueueCollapseCheck, startAutoCollapse, checkAutoCollapse, trackAppendedDoc, readAutoCollapseState };
@@ -0,0 +1,79 @@
+// Per-component token budgets (JS server-side)
+// Components may declare `budget` (normalized by modelDecoder to { tokens } or { percent }).
+// A budgeted component owns a pool; leaves without their own budget draw from the pool of their
+// nearest budgeted ancestor (children inherit from their parent group), and everything else
+// (intro, unbudgeted components, messages synthesized by filters) draws from the root pool.
+//
+// Percentages are relative to the parent pool's allocation (the root is sizeLimiter's maxTokens).
+// A pool's own capacity is its allocation minus what its budgeted descendants take.
+//
+// The router tags each rendered message with its pool key under BUDGET_KEY (a symbol: it survives
+// object spread in filters but is never serialized or counted as tokens) and passes the pools as
+// ctx.budgets; sizeLimiter trims within each pool, then hands unused budget to pools that still
+// overflow.
+
+export const BUDGET_KEY = Symbol.for('context.budgetKey');
+export const ROOT_POOL = '';
+
+// Returns { pools: [{ key, parentKey, label, budget }], keyOf: Map(leafComponent -> poolKey) },
+// or null when no component declares a budget.
+export function planBudgets(components = []) {
+  const pools = [];
+  const keyOf = new Map();
+  const visit = (c, path, poolKey) => {
+    let key = poolKey;
+    if (c?.budget) {
+      key = path.join('.');
+      pools.push({ key, parentKey: poolKey, label: c.name || c.kind, budget: c.budget });
+    }
+    const children = Array.isArray(c?.children) ? c.children : undefined;
+    if (children && children.length > 0) {
+      children.forEach((child, idx) => visit(child, [...path, String(idx)], key));
+    } else {
+      keyOf.set(c, key);
+    }
+  };
+  components.forEach((c, idx) => visit(c, [String(idx)], ROOT_POOL));
+  return pools.length ? { pools, keyOf } : null;
+}
+
+export function tagBudget(messages, key) {
+  for (const m of messages) {
+    if (m && typeof m === 'object') m[BUDGET_KEY] = key;
+  }
+  return messages;
+}
+
+export function budgetKeyOf(message) {
+  return message && typeof message === 'object' && typeof message[BUDGET_KEY] === 'string' ? message[BUDGET_KEY] : ROOT_POOL;
+}
+
+// Resolves pool capacities for a total budget. Sibling allocations that exceed their parent are
+// scaled down proportionally. Returns Map(poolKey -> { capacity, allocation, label }).
+export function allocateBudgets(pools = [], total) {
+  const byParent = new Map();
+  for (const p of pools) {
+    if (!byParent.has(p.parentKey)) byParent.set(p.parentKey, []);
+    byParent.get(p.parentKey).push(p);
+  }
+  const out = new Map();
+  const assign = (key, allocation, label) => {
+    const children = byParent.get(key) || [];
+    const wanted = children.map(p => (p.budget.percent !== undefined
+      ? Math.floor(allocation * p.budget.percent / 100)
+      : p.budget.tokens));
+    const sum = wanted.reduce((a, b) => a + b, 0);
+    const scale = sum > allocation && sum > 0 ? allocation / sum : 1;
+    let used = 0;
+    children.forEach((p, i) => {
+      const a = Math.floor(wanted[i] * scale);
+      used += a;
+      assign(p.key, a, p.label);
+    });
+    out.set(key, { allocation, capacity: Math.max(0, allocation - used), label });
+  };
+  assign(ROOT_POOL, Math.max(0, Math.floor(total)), 'unbudgeted');
+  return out;
+}
+
+export default { BUDGET_KEY, ROOT_POOL, planBudgets, tagBudget, budgetKeyOf, allocateBudgets };
@@ -0,0 +1,263 @@
+// Kala calendar (JS server-side)
+// Per-project configuration of the Kala hierarchy used by promotion (promoteKala) and Yoj log reads:
+//   users/{userId}/projects/{projectId}/context.kala/calendar
+//   {
+//     timezone: 'UTC' | IANA name,      // period boundaries fall on local midnight
+//     weekStartDay: 0..6,               // 0 = Sunday (legacy WEEK_ORIGIN 259200 is a Sunday, UTC)
+//     weekDays: number,                 // week length in days (default 7)
+//     sprint: null | { days, anchor },  // optional extra level between Week and Term
+//     term: null | { months } | { days, anchor },  // null = legacy quarters (QUARTER_SECONDS from 0)
+//     logNames: { session, week, sprint, term },   // log.{name}.{yoj} collection segments
+//     update_time?
+//   }
+// `anchor` is a local 'YYYY-MM-DD' on which a period starts (default: the first week start on or
+// after 1970-01-04, so sprints line up with weeks). The default calendar reproduces the legacy
+// hardcoded UTC behavior exactly.
+//
+// Periods are counted in local calendar days, so DST changes shift the boundary instant but never
+// the local day a period starts on.
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+import { pickDataAccess } from './dataAccess.js';
+
+export const CALENDAR_COLLECTION = 'context.kala';
+const CALENDAR_DOC = 'calendar';
+
+export const WEEK_SECONDS = 7 * 24 * 60 * 60;
+export const WEEK_ORIGIN = 259200; // aligns with Scala: 259200 seconds
+export const QUARTER_SECONDS = (365.230769 * 24 * 60 * 60) / 4;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEK_ORIGIN_DAY = WEEK_ORIGIN / 86400; // 1970-01-04, a Sunday
+
+export const DEFAULT_CALENDAR = Object.freeze({
+  timezone: 'UTC',
+  weekStartDay: 0,
+  weekDays: 7,
+  sprint: null,
+  term: null,
+  logNames: Object.freeze({ session: 'sessions', week: 'weekly', sprint: 'sprints', term: 'terms' }),
+});
+
+// -----------------------------------
+// Civil-day arithmetic (days since 1970-01-01, proleptic Gregorian)
+// -----------------------------------
+function daysFromCivil(y, m, d) {
+  const yy = m <= 2 ? y - 1 : y;
+  const era = Math.floor(yy / 400);
+  const yoe = yy - era * 400;
+  const doy = Math.floor((153 * (m + (m > 2 ? -3 : 9)) + 2) / 5) + d - 1;
+  const doe = yoe * 365 + Math.floor(yoe / 4) - Math.floor(yoe / 100) + doy;
+  return era * 146097 + doe - 719468;
+}
+
+function civilFromDays(z) {
+  const zz = z + 719468;
+  const era = Math.floor(zz / 146097);
+  const doe = zz - era * 146097;
+  const yoe = Math.floor((doe - Math.floor(doe / 1460) + Math.floor(doe / 36524) - Math.floor(doe / 146096)) / 365);
+  const doy = doe - (365 * yoe + Math.floor(yoe / 4) - Math.floor(yoe / 100));
+  const mp = Math.floor((5 * doy + 2) / 153);
+  const d = doy - Math.floor((153 * mp + 2) / 5) + 1;
+  const m = mp + (mp < 10 ? 3 : -9);
+  return { y: era * 400 + yoe + (m <= 2 ? 1 : 0), m, d };
+}
+
+const formatters = new Map();
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Local wall-clock fields of an instant (seconds) in a timezone
+function localParts(seconds, timezone) {
+  if (timezone === 'UTC') {
+    const dt = new Date(Math.floor(seconds) * 1000);
+    return { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate(), h: dt.getUTCHours(), mi: dt.getUTCMinutes(), s: dt.getUTCSeconds() };
+  }
+  const parts = {};
+  for (const p of formatterFor(timezone).formatToParts(new Date(Math.floor(seconds) * 1000))) parts[p.type] = Number(p.value);
+  return { y: parts.year, m: parts.month, d: parts.day, h: parts.hour, mi: parts.minute, s: parts.second };
+}
+
+function offsetSeconds(seconds, timezone) {
+  const p = localParts(seconds, timezone);
+  return daysFromCivil(p.y, p.m, p.d) * 86400 + p.h * 3600 + p.mi * 60 + p.s - Math.floor(seconds);
+}
+
+function localDay(seconds, timezone) {
+  const p = localParts(seconds, timezone);
+  return daysFromCivil(p.y, p.m, p.d);
+}
+
+// Instant of local midnight starting `day`
+function startOfDay(day, timezone) {
+  const guess = day * 86400;
+  if (timezone === 'UTC') return guess;
+  const off = offsetSeconds(guess, timezone);
+  let t = guess - off;
+  const off2 = offsetSeconds(t, timezone);
+  if (off2 !== off) t = guess - off2;
+  return t;
+}
+
+// [begin, end) of the `days`-long period (counted from local day `anchorDay`) containing `seconds`
+function dayPeriod(seconds, { days, anchorDay, timezone }) {
+  const idx = Math.floor((localDay(seconds, timezone) - anchorDay) / days);
+  return { begin: startOfDay(anchorDay + idx * days, timezone), end: startOfDay(anchorDay + (idx + 1) * days, timezone) };
+}
+
+function monthPeriod(seconds, { months, timezone }) {
+  const p = localParts(seconds, timezone);
+  const idx = Math.floor(((p.y - 1970) * 12 + (p.m - 1)) / months);
+  const dayOf = (k) => daysFromCivil(1970 + Math.floor((k * months) / 12), ((k * months) % 12) + 1, 1);
+  return { begin: startOfDay(dayOf(idx), timezone), end: startOfDay(dayOf(idx + 1), timezone) };
+}
+
+const weekAnchorDay = (calendar) => WEEK_ORIGIN_DAY + calendar.weekStartDay;
+
+// -----------------------------------
+// Periods per level
+// -----------------------------------
+export function weekBounds(seconds, calendar = DEFAULT_CALENDAR) {
+  return dayPeriod(seconds, { days: calendar.weekDays, anchorDay: weekAnchorDay(calendar), timezone: calendar.timezone });
+}
+
+const anchorDayOf = (period, calendar) => (period.anchor ? parseAnchor(period.anchor, 'anchor') : weekAnchorDay(calendar));
+
+export function sprintBounds(seconds, calendar = DEFAULT_CALENDAR) {
+  if (!calendar.sprint) return null;
+  const anchorDay = anchorDayOf(calendar.sprint, calendar);
+  return dayPeriod(seconds, { days: calendar.sprint.days, anchorDay, timezone: calendar.timezone });
+}
+
+export function termBounds(seconds, calendar = DEFAULT_CALENDAR) {
+  const term = calendar.term;
+  if (!term) {
+    const n = Math.floor(seconds / QUARTER_SECONDS);
+    return { begin: n * QUARTER_SECONDS, end: (n + 1) * QUARTER_SECONDS };
+  }
+  if (term.months) return monthPeriod(seconds, { months: term.months, timezone: calendar.timezone });
+  return dayPeriod(seconds, { days: term.days, anchorDay: anchorDayOf(term, calendar), timezone: calendar.timezone });
+}
+
+// Log collection for a level ('session' | 'week' | 'sprint' | 'term') and Yoj name
+export function logCollection(level, name, calendar = DEFAULT_CALENDAR) {
+  const segment = calendar.logNames?.[level] || DEFAULT_CALENDAR.logNames[level];
+  return `log.${segment}.${name}`;
+}
+
+// -----------------------------------
+// Validation and storage
+// -----------------------------------
+function parseAnchor(value, what) {
+  if (value === undefined || value === null) return undefined;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) throw new Error(`${what} must be a 'YYYY-MM-DD' date`);
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const day = daysFromCivil(y, mo, d);
+  const back = civilFromDays(day);
+  if (back.y !== y || back.m !== mo || back.d !== d) throw new Error(`${what} is not a valid date: ${value}`);
+  return day;
+}
+
+function intIn(value, min, max, what) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${what} must be an integer between ${min} and ${max}`);
+  return n;
+}
+
+function anchorString(day) {
+  const { y, m, d } = civilFromDays(day);
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Validates a calendar config (partial input is completed with defaults). Throws on invalid input.
+export function normalizeCalendar(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) throw new Error('calendar must be an object');
+  const out = { ...DEFAULT_CALENDAR, logNames: { ...DEFAULT_CALENDAR.logNames } };
+
+  if (input.timezone !== undefined) {
+    const tz = String(input.timezone);
+    try {
+      formatterFor(tz);
+    } catch (_) {
+      throw new Error(`Unknown timezone: ${tz}`);
+    }
+    out.timezone = tz === 'Etc/UTC' || tz === 'UTC' ? 'UTC' : tz;
+  }
+  if (input.weekStartDay !== undefined) {
+    const named = typeof input.weekStartDay === 'string' ? DAY_NAMES.indexOf(input.weekStartDay.toLowerCase()) : -1;
+    out.weekStartDay = named >= 0 ? named : intIn(input.weekStartDay, 0, 6, 'weekStartDay');
+  }
+  if (input.weekDays !== undefined) out.weekDays = intIn(input.weekDays, 1, 31, 'weekDays');
+
+  if (input.sprint) {
+    const days = intIn(input.sprint.days, 1, 120, 'sprint.days');
+    const anchorDay = parseAnchor(input.sprint.anchor, 'sprint.anchor');
+    out.sprint = anchorDay === undefined ? { days } : { days, anchor: anchorString(anchorDay) };
+  }
+
+  if (input.term) {
+    if (input.term.months !== undefined && input.term.days !== undefined) throw new Error('term takes either months or days, not both');
+    if (input.term.months !== undefined) {
+      out.term = { months: intIn(input.term.months, 1, 12, 'term.months') };
+    } else {
+      const days = intIn(input.term.days, 1, 732, 'term.days');
+      const anchorDay = parseAnchor(input.term.anchor, 'term.anchor');
+      out.term = anchorDay === undefined ? { days } : { days, anchor: anchorString(anchorDay) };
+    }
+  }
+
+  if (input.logNames !== undefined) {
+    if (!input.logNames || typeof input.logNames !== 'object') throw new Error('logNames must be an object');
+    for (const [level, segment] of Object.entries(input.logNames)) {
+      if (!(level in DEFAULT_CALENDAR.logNames)) throw new Error(`Unknown logNames level: ${level}`);
+      if (typeof segment !== 'string' || !/^[A-Za-z0-9_-]{1,40}$/.test(segment)) throw new Error(`logNames.${level} must match [A-Za-z0-9_-]{1,40}`);
+      out.logNames[level] = segment;
+    }
+  }
+  return out;
+}
+
+function calendarRef(userId, projectId) {
+  return getFirestore().collection(projectScopedCollectionPath(userId, projectId, CALENDAR_COLLECTION)).doc(CALENDAR_DOC);
+}
+
+// The project's calendar, or the default one when none is stored (or it no longer validates)
+export async function readKalaCalendar({ userId, projectId, data = pickDataAccess() }) {
+  if (!userId || !projectId) return DEFAULT_CALENDAR;
+  const stored = await data.readDoc(projectScopedCollectionPath(userId, projectId, CALENDAR_COLLECTION), CALENDAR_DOC);
+  if (!stored) return DEFAULT_CALENDAR;
+  const { update_time, ...fields } = stored;
+  try {
+    return { ...normalizeCalendar(fields), update_time };
+  } catch (err) {
+    console.warn('[calendar] stored calendar is invalid; using default', { projectId, error: err?.message });
+    return DEFAULT_CALENDAR;
+  }
+}
+
+export async function writeKalaCalendar({ userId, projectId, calendar }) {
+  const normalized = normalizeCalendar(calendar || {});
+  const record = { ...normalized, update_time: Date.now() / 1000 };
+  await calendarRef(userId, projectId).set(record);
+  return record;
+}
+
+export default {
+  CALENDAR_COLLECTION,
+  DEFAULT_CALENDAR,
+  weekBounds,
+  sprintBounds,
+  termBounds,
+  logCollection,
+  normalizeCalendar,
+  readKalaCalendar,
+  writeKalaCalendar,
+};
@@ -0,0 +1,181 @@
+// Multi-part message content (JS server-side)
+// ChatMessage.content is either a string or an OpenAI-style array of parts:
+//   { type: 'text', text }
+//   { type: 'image_url', image_url: { url, detail?: 'low' | 'high' | 'auto' }, width?, height? }
+//   { type: 'file', file: { filename?, file_data?, file_id? } }
+// Filters use these helpers so arrays are carried through unchanged unless a filter means to edit
+// them, and so token accounting does not count base64 payloads as text.
+//
+// Image tokens follow OpenAI's vision accounting: 'low' detail is a flat 85 tokens; otherwise the
+// image is fit within 2048x2048, its shortest side scaled down to 768, and each 512px tile costs 170
+// tokens on top of the base 85. Dimensions come from the part (width/height), or are read from the
+// header of a base64 data URL (PNG, JPEG, GIF, WebP); remote URLs of unknown size count as
+// DEFAULT_IMAGE_TOKENS.
+
+export const DEFAULT_IMAGE_TOKENS = 765; // a 1024x1024 image at high detail
+export const DEFAULT_FILE_TOKENS = 1000; // file parts referenced by file_id (size unknown)
+const HEADER_BASE64_CHARS = 88000; // ~64 KiB of decoded header, enough to reach a JPEG SOF marker
+
+export const isImagePart = (p) => Boolean(p && typeof p === 'object' && p.type === 'image_url');
+export const isFilePart = (p) => Boolean(p && typeof p === 'object' && p.type === 'file');
+export const isTextPart = (p) => Boolean(p && typeof p === 'object' && typeof p.text === 'string');
+
+// Text of a string or parts content (non-text parts are skipped)
+export function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(p => (isTextPart(p) ? p.text : '')).filter(Boolean).join('\n');
+  }
+  return '';
+}
+
+export function fileNameOf(part) {
+  const f = part?.file || {};
+  return f.filename || f.file_id || 'file';
+}
+
+// Short text stand-in for a non-text part, e.g. in transcripts or text-only roles
+export function describePart(part) {
+  if (isImagePart(part)) return '[image]';
+  if (isFilePart(part)) return `[file ${fileNameOf(part)}]`;
+  return `[${part?.type || 'part'}]`;
+}
+
+// Text of a content with a marker for each non-text part, in order
+export function renderContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map(p => (isTextPart(p) ? p.text : describePart(p))).filter(Boolean).join('\n');
+}
+
+// -----------------------------------
+// Image size from a data URL header
+// -----------------------------------
+function dataUrlBytes(url) {
+  const m = typeof url === 'string' ? /^data:[^;,]*;base64,/i.exec(url) : null;
+  if (!m) return null;
+  const b64 = url.slice(m[0].length, m[0].length + HEADER_BASE64_CHARS);
+  try {
+    return Buffer.from(b64.slice(0, b64.length - (b64.length % 4)), 'base64');
+  } catch (_) {
+    return null;
+  }
+}
+
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8X' && buf.length >= 30) return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  if (chunk === 'VP8 ' && buf.length >= 30) return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  if (chunk === 'VP8L' && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  return null;
+}
+
+export function imageDimensions(part) {
+  const width = Number(part?.width ?? part?.image_url?.width);
+  const height = Number(part?.height ?? part?.image_url?.height);
+  if (width > 0 && height > 0) return { width, height };
+  const buf = dataUrlBytes(part?.image_url?.url ?? part?.image_url);
+  if (!buf || buf.length < 24) return null;
+  try {
+    if (buf.readUInt32BE(0) === 0x89504e47) return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    if (buf.toString('ascii', 0, 3) === 'GIF') return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    if (buf[0] === 0xff && buf[1] === 0xd8) return jpegSize(buf);
+    if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return webpSize(buf);
+  } catch (_) {
+    // Truncated or malformed header: size unknown
+  }
+  return null;
+}
+
+// -----------------------------------
+// Token estimates for non-text parts
+// media: { imageTokens?: number, fileTokens?: number } fixed per-part overrides
+// -----------------------------------
+export function estimateImageTokens(part, media = {}) {
+  if (Number.isFinite(media.imageTokens)) return media.imageTokens;
+  if (part?.image_url?.detail === 'low') return 85;
+  const dims = imageDimensions(part);
+  if (!dims) return DEFAULT_IMAGE_TOKENS;
+  let { width, height } = dims;
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+  const shortest = Math.min(width, height);
+  if (shortest > 768) {
+    width *= 768 / shortest;
+    height *= 768 / shortest;
+  }
+  return 85 + 170 * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+export function estimateFileTokens(part, media = {}) {
+  if (Number.isFinite(media.fileTokens)) return media.fileTokens;
+  const data = part?.file?.file_data;
+  if (typeof data !== 'string' || !data) return DEFAULT_FILE_TOKENS;
+  // ~4 bytes of decoded content per token; base64 carries 3 bytes per 4 chars
+  const b64 = data.includes(',') ? data.slice(data.indexOf(',') + 1) : data;
+  return Math.ceil((b64.length * 3) / 16);
+}
+
+// Estimated tokens of every image/file part of a content (0 for strings)
+export function mediaTokens(content, media = {}) {
+  if (!Array.isArray(content)) return 0;
+  let n = 0;
+  for (const p of content) {
+    if (isImagePart(p)) n += estimateImageTokens(p, media);
+    else if (isFilePart(p)) n += estimateFileTokens(p, media);
+  }
+  return n;
+}
+
+// Content with image/file payloads replaced by their description, for counting the rest as text
+export function withoutMediaData(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map((p) => {
+    if (isImagePart(p)) return { type: 'image_url', image_url: { url: describePart(p) } };
+    if (isFilePart(p)) return { type: 'file', file: { filename: fileNameOf(p) } };
+    return p;
+  });
+}
+
+// Parts with every non-text part replaced by a text part (roles that only accept text)
+export function textOnlyParts(content) {
+  if (!Array.isArray(content) || content.every(p => !p || typeof p !== 'object' || p.type === 'text')) return content;
+  return content.map(p => (p && typeof p === 'object' && p.type !== 'text' ? { type: 'text', text: describePart(p) } : p));
+}
+
+export default {
+  DEFAULT_IMAGE_TOKENS,
+  DEFAULT_FILE_TOKENS,
+  isImagePart,
+  isFilePart,
+  isTextPart,
+  textOf,
+  fileNameOf,
+  describePart,
+  renderContent,
+  imageDimensions,
+  estimateImageTokens,
+  estimateFileTokens,
+  mediaTokens,
+  withoutMediaData,
+  textOnlyParts,
+};
@@ -0,0 +1,264 @@
+// Data access for the context library (JS server-side)
+// The builders (buildYojMessages, Ista, sessions), stored preset/calendar/allow list reads and the
+// filters read through this interface instead of a Firestore handle, so the whole topicContextYoj
+// pipeline can run against in-memory data in tests and offline development. Paths are full
+// collection paths (e.g. projectScopedCollectionPath(userId, projectId, 'convo.sessions/s1/messages')).
+//   listBetween(collectionPath, begin, end, { user_id? }) => Promise<Array<{ id, data }>>
+//       docs with begin < create_time <= end, ascending
+//   readDoc(collectionPath, id) => Promise<data | null>
+//   readDocs(collectionPath, ids) => Promise<Map<id, data>>          missing ids are absent
+//   latestDoc(collectionPath, { field = 'create_time', atOrBefore? }) => Promise<{ id, data } | null>
+//   listOrdered(collectionPath, { field, after?, atOrBefore?, order = 'desc', limit? }) => Promise<Array<{ id, data }>>
+//       docs with after < field <= atOrBefore (bounds optional), ordered by field; docs without it are left out
+//   listIds(collectionPath) => Promise<string[]>                      includes docs that only have subcollections
+//   findWhere(collectionPath, field, value) => Promise<Array<{ id, data }>>   equality match
+//   readCollapseIndex(sessionPath, index, ids) => Promise<Map<id, data>>
+//       index: 'messageToGroups' | 'groupToResponse' | 'groupToParent' | 'groupState'
+//   readCollapseResponses(sessionPath, responseIds) => Promise<Map<id, data>>
+//
+// Implementations:
+// - FirestoreDataAccess: firebase-admin, bound to getFirestore() on first use (not at import)
+// - MemoryDataAccess: documents keyed by full path; loadFixtures() fills one from JSON files
+// pickDataAccess() returns the process default: the fixtures at CONTEXT_DATA_FIXTURES (a JSON file
+// or a directory of them) when set, otherwise Firestore. Callers pass their own through ctx.data.
+//
+// Fixture files hold one object or an array of them:
+//   { "userId"?: "u1", "projectId"?: "p1", "docs": { "<path>": { ...data } } }
+// Paths are relative to users/{userId}/projects/{projectId} when both ids are given (to
+// users/{userId} with only userId), otherwise absolute. A file without "docs" is read as a plain
+// { "<absolute path>": data } map.
+
+import fs from 'fs';
+import path from 'path';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const GET_ALL_CHUNK = 100;
+
+const trimPath = (p) => String(p || '').replace(/^\/+|\/+$/g, '');
+
+// Collapse index reads are plain document reads under the session root (see collapseIndexer.js)
+class DataAccess {
+  async readCollapseIndex(sessionPath, index, ids) {
+    return this.readDocs(`${trimPath(sessionPath)}/indexes/collapsed/${index}`, ids);
+  }
+
+  async readCollapseResponses(sessionPath, responseIds) {
+    return this.readDocs(`${trimPath(sessionPath)}/collapsed`, responseIds);
+  }
+}
+
+export class FirestoreDataAccess extends DataAccess {
+  constructor(db) {
+    super();
+    this.kind = 'firestore';
+    this._db = db || null;
+  }
+
+  get db() {
+    if (!this._db) this._db = getFirestore();
+    return this._db;
+  }
+
+  async listBetween(collectionPath, begin, end, opts = {}) {
+    let ref = this.db.collection(collectionPath);
+    if (opts.user_id !== undefined && opts.user_id !== null && `${opts.user_id}`.length > 0) {
+      ref = ref.where('user_id', '==', opts.user_id);
+    }
+    const snapshot = await ref
+      .where('create_time', '>', begin)
+      .where('create_time', '<=', end)
+      .orderBy('create_time', 'asc')
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, data: doc.data() ?? {} }));
+  }
+
+  async readDoc(collectionPath, id) {
+    const snap = await this.db.collection(collectionPath).doc(String(id)).get();
+    return snap.exists ? (snap.data() ?? {}) : null;
+  }
+
+  async readDocs(collectionPath, ids = []) {
+    const out = new Map();
+    const coll = this.db.collection(collectionPath);
+    const unique = Array.from(new Set(ids.map(String)));
+    for (let i = 0; i < unique.length; i += GET_ALL_CHUNK) {
+      const chunk = unique.slice(i, i + GET_ALL_CHUNK);
+      const snaps = await this.db.getAll(...chunk.map((id) => coll.doc(id)));
+      for (const snap of snaps) if (snap.exists) out.set(snap.id, snap.data() ?? {});
+    }
+    return out;
+  }
+
+  async latestDoc(collectionPath, { field = 'create_time', atOrBefore } = {}) {
+    let q = this.db.collection(collectionPath);
+    if (atOrBefore !== undefined && atOrBefore !== null) q = q.where(field, '<=', atOrBefore);
+    const snap = await q.orderBy(field, 'desc').limit(1).get();
+    return snap.empty ? null : { id: snap.docs[0].id, data: snap.docs[0].data() ?? {} };
+  }
+
+  async listOrdered(collectionPath, { field, after, atOrBefore, order = 'desc', limit } = {}) {
+    let q = this.db.collection(collectionPath);
+    if (after !== undefined && after !== null) q = q.where(field, '>', after);
+    if (atOrBefore !== undefined && atOrBefore !== null) q = q.where(field, '<=', atOrBefore);
+    q = q.orderBy(field, order === 'asc' ? 'asc' : 'desc');
+    if (limit) q = q.limit(limit);
+    const snap = await q.get();
+    return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() ?? {} }));
+  }
+
+  async listIds(collectionPath) {
+    const refs = await this.db.collection(collectionPath).listDocuments();
+    return refs.map((r) => r.id);
+  }
+
+  async findWhere(collectionPath, field, value) {
+    const snap = await this.db.collection(collectionPath).where(field, '==', value).get();
+    return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() ?? {} }));
+  }
+}
+
+export class MemoryDataAccess extends DataAccess {
+  constructor(docs = {}) {
+    super();
+    this.kind = 'memory';
+    this.docs = new Map(); // full doc path -> data
+    for (const [p, data] of Object.entries(docs || {})) this.set(p, data);
+  }
+
+  set(docPath, data) {
+    this.docs.set(trimPath(docPath), data ?? {});
+    return this;
+  }
+
+  delete(docPath) {
+    this.docs.delete(trimPath(docPath));
+    return this;
+  }
+
+  // Docs directly inside collectionPath: [{ id, data }] in id order
+  children(collectionPath) {
+    const prefix = `${trimPath(collectionPath)}/`;
+    const out = [];
+    for (const [p, data] of this.docs.entries()) {
+      if (!p.startsWith(prefix)) continue;
+      const id = p.slice(prefix.length);
+      if (!id.includes('/')) out.push({ id, data });
+    }
+    return out.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  async listBetween(collectionPath, begin, end, opts = {}) {
+    const byUser = opts.user_id !== undefined && opts.user_id !== null && `${opts.user_id}`.length > 0;
+    return this.children(collectionPath)
+      .filter(({ data }) => typeof data?.create_time === 'number' && data.create_time > begin && data.create_time <= end)
+      .filter(({ data }) => !byUser || data.user_id === opts.user_id)
+      .sort((a, b) => a.data.create_time - b.data.create_time)
+      .map(({ id, data }) => ({ id, data }));
+  }
+
+  async readDoc(collectionPath, id) {
+    const data = this.docs.get(`${trimPath(collectionPath)}/${id}`);
+    return data === undefined ? null : data;
+  }
+
+  async readDocs(collectionPath, ids = []) {
+    const out = new Map();
+    for (const id of ids) {
+      const data = await this.readDoc(collectionPath, id);
+      if (data !== null) out.set(String(id), data);
+    }
+    return out;
+  }
+
+  async latestDoc(collectionPath, { field = 'create_time', atOrBefore } = {}) {
+    let best = null;
+    for (const doc of this.children(collectionPath)) {
+      const v = doc.data?.[field];
+      if (typeof v !== 'number') continue;
+      if (atOrBefore !== undefined && atOrBefore !== null && v > atOrBefore) continue;
+      if (!best || v > best.data[field]) best = doc;
+    }
+    return best;
+  }
+
+  async listOrdered(collectionPath, { field, after, atOrBefore, order = 'desc', limit } = {}) {
+    const sign = order === 'asc' ? 1 : -1;
+    const docs = this.children(collectionPath)
+      .filter(({ data }) => typeof data?.[field] === 'number')
+      .filter(({ data }) => after === undefined || after === null || data[field] > after)
+      .filter(({ data }) => atOrBefore === undefined || atOrBefore === null || data[field] <= atOrBefore)
+      .sort((a, b) => sign * (a.data[field] - b.data[field]));
+    return limit ? docs.slice(0, limit) : docs;
+  }
+
+  async listIds(collectionPath) {
+    const prefix = `${trimPath(collectionPath)}/`;
+    const ids = new Set();
+    for (const p of this.docs.keys()) {
+      if (p.startsWith(prefix)) ids.add(p.slice(prefix.length).split('/')[0]);
+    }
+    return Array.from(ids).sort();
+  }
+
+  async findWhere(collectionPath, field, value) {
+    return this.children(collectionPath).filter(({ data }) => data?.[field] === value);
+  }
+}
+
+// -----------------------------------
+// Fixtures
+// -----------------------------------
+function fixtureRoot({ userId, projectId }) {
+  if (userId && projectId) return `users/${userId}/projects/${projectId}`;
+  if (userId) return `users/${userId}`;
+  return '';
+}
+
+// Adds the documents of one parsed fixture file (object or array of objects) to a MemoryDataAccess
+export function addFixtures(store, fixture) {
+  const entries = Array.isArray(fixture) ? fixture : [fixture];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
+    if (entry.docs && typeof entry.docs === 'object') {
+      const root = fixtureRoot(entry);
+      for (const [p, data] of Object.entries(entry.docs)) store.set(root ? `${root}/${trimPath(p)}` : p, data);
+    } else {
+      for (const [p, data] of Object.entries(entry)) store.set(p, data);
+    }
+  }
+  return store;
+}
+
+// Loads a JSON fixture file, or every *.json file of a directory (in name order)
+export function loadFixtures(fileOrDir, store = new MemoryDataAccess()) {
+  const stat = fs.statSync(fileOrDir);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(fileOrDir).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(fileOrDir, f))
+    : [fileOrDir];
+  for (const file of files) {
+    try {
+      addFixtures(store, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      throw new Error(`Invalid context fixture ${file}: ${e.message}`);
+    }
+  }
+  return store;
+}
+
+let defaultDataAccess = null;
+
+export function pickDataAccess() {
+  if (!defaultDataAccess) {
+    const fixtures = process.env.CONTEXT_DATA_FIXTURES;
+    defaultDataAccess = fixtures ? loadFixtures(fixtures) : new FirestoreDataAccess();
+    if (fixtures) console.log('[context] reading from fixtures', { fixtures, docs: defaultDataAccess.docs.size });
+  }
+  return defaultDataAccess;
+}
+
+// The data access a filter/builder should use: the caller's (ctx.data), else the process default
+export function dataAccessOf(ctx) {
+  return ctx?.data || pickDataAccess();
+}
+
+export default { FirestoreDataAccess, MemoryDataAccess, addFixtures, loadFixtures, pickDataAccess, dataAccessOf };
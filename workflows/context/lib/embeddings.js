@@ -0,0 +1,73 @@
+// Embedding providers for context retrieval (JS server-side)
+// An embedder is { name, dimension, embed(texts: string[]) => Promise<number[][]> }.
+// - 'openai': text-embedding-3-small through the user's stored OpenAI credential (same path as jobs/llm.js)
+// - 'hash': deterministic, offline feature-hashing embedder for local development and tests
+// Selected with RETRIEVAL_EMBEDDER (default 'openai').
+
+import crypto from 'crypto';
+import { OpenAI } from 'openai';
+import { getOpenAIKeyForUser } from '../../../jobs/llm.js';
+
+const OPENAI_EMBEDDING_MODEL = process.env.RETRIEVAL_EMBEDDING_MODEL || 'text-embedding-3-small';
+const OPENAI_EMBEDDING_DIMENSION = Number(process.env.RETRIEVAL_EMBEDDING_DIMENSION || 1536);
+const HASH_DIMENSION = 256;
+const MAX_EMBED_CHARS = 8000;
+
+function clip(text) {
+  const s = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+  return s.length > MAX_EMBED_CHARS ? s.slice(0, MAX_EMBED_CHARS) : s;
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return vec.map(v => v / norm);
+}
+
+export function hashEmbed(text, dimension = HASH_DIMENSION) {
+  const vec = new Array(dimension).fill(0);
+  const tokens = String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || [];
+  for (const tok of tokens) {
+    const h = crypto.createHash('md5').update(tok).digest();
+    const idx = h.readUInt32BE(0) % dimension;
+    vec[idx] += (h[4] & 1) ? 1 : -1;
+  }
+  return normalize(vec);
+}
+
+const hashEmbedder = {
+  name: 'hash',
+  dimension: HASH_DIMENSION,
+  async embed(texts) {
+    return texts.map(t => hashEmbed(clip(t)));
+  },
+};
+
+async function openAIEmbedder(userId) {
+  const apiKey = await getOpenAIKeyForUser(userId);
+  if (!apiKey) return null;
+  const client = new OpenAI({ apiKey });
+  return {
+    name: `openai:${OPENAI_EMBEDDING_MODEL}`,
+    dimension: OPENAI_EMBEDDING_DIMENSION,
+    async embed(texts) {
+      if (!texts.length) return [];
+      const resp = await client.embeddings.create({
+        model: OPENAI_EMBEDDING_MODEL,
+        input: texts.map(clip),
+        dimensions: OPENAI_EMBEDDING_DIMENSION,
+      });
+      return (resp.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+    },
+  };
+}
+
+// Returns an embedder for the user, or null when none is available (e.g. no stored OpenAI key)
+export async function getEmbedder(userId) {
+  const kind = String(process.env.RETRIEVAL_EMBEDDER || 'openai').toLowerCase();
+  if (kind === 'hash') return hashEmbedder;
+  return openAIEmbedder(userId);
+}
+
+export default { getEmbedder, hashEmbed };
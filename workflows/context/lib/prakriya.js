@@ -1,10 +1,14 @@
 // Shared Prakriya/Yoj/Ista helpers (JS server-side)
 // Centralizes Firestore access, path builders, Kala promotion, and Yoj message building
 // so routers can remain thin and mirror the modular Scala structure.
+// Builders read through a data access (lib/dataAccess.js; `data`, default pickDataAccess()) so they
+// run against in-memory fixtures as well; writes (writeIsta) always go to Firestore.
 
 import { initializeApp, getApps } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import { projectScopedCollectionPath } from '../../userAuth.js';
+import { pickDataAccess } from './dataAccess.js';
+import { DEFAULT_CALENDAR, WEEK_SECONDS, WEEK_ORIGIN, QUARTER_SECONDS, weekBounds, sprintBounds, termBounds, logCollection } from './calendar.js';
 
 // Ensure Firebase Admin is initialized once
 if (!getApps().length) {
@@ -17,10 +21,18 @@ export const db = getFirestore();
 // Collection path helpers
 // -----------------------------------
 export const convoCollection = (sessionId, name) => `convo.sessions/${sessionId}/${name}`;
+// Log collections of the default calendar (configured names: calendar.js logCollection)
 export const logSessionsCollection = (name) => `log.sessions.${name}`;
 export const logWeeklyCollection = (name) => `log.weekly.${name}`;
 export const logTermsCollection = (name) => `log.terms.${name}`;
 
+// Ista (durable state snapshots). One current doc per name plus an append-only version history:
+//   session scope: convo.sessions/{sessionId}/ista/{name}, .../ista/{name}/versions/{version}
+//   project scope: ista.project/{name},                    ista.project/{name}/versions/{version}
+export const istaSessionCollection = (sessionId) => `convo.sessions/${sessionId}/ista`;
+export const istaProjectCollection = () => 'ista.project';
+export const istaCollection = (scope, sessionId) => (scope === 'project' ? istaProjectCollection() : istaSessionCollection(sessionId));
+
 // -----------------------------------
 // Generic Firestore readers
 // -----------------------------------
@@ -48,34 +60,67 @@ export async function listBetween(userId, projectId, collectionPath, begin, end,
   return { documents };
 }
 
-export async function listBetweenFlat(userId, projectId, collectionPath, begin, end, opts = {}) {
+export async function listBetweenFlat(userId, projectId, collectionPath, begin, end, opts = {}, data = pickDataAccess()) {
   // Variant that returns a flat array of { id, data }
-  let ref = db.collection(projectScopedCollectionPath(userId, projectId, collectionPath));
-  if (opts.user_id !== undefined && opts.user_id !== null && `${opts.user_id}`.length > 0) {
-    ref = ref.where('user_id', '==', opts.user_id);
-  }
-  const snapshot = await ref
-    .where('create_time', '>', begin)
-    .where('create_time', '<=', end)
-    .orderBy('create_time', 'asc')
-    .get();
+  return data.listBetween(projectScopedCollectionPath(userId, projectId, collectionPath), begin, end, opts);
+}
+
+export async function readDoc(userId, projectId, collectionPath, id, data = pickDataAccess()) {
+  return data.readDoc(projectScopedCollectionPath(userId, projectId, collectionPath), id);
+}
+
+// -----------------------------------
+// Ista snapshots
+// -----------------------------------
+function istaRef(userId, projectId, scope, sessionId, name) {
+  return db.collection(projectScopedCollectionPath(userId, projectId, istaCollection(scope, sessionId))).doc(String(name));
+}
+
+// Writes a new snapshot as the current state and appends it to the version history.
+// Returns { name, scope, sessionId, version, update_time }.
+export async function writeIsta({ userId, projectId, scope = 'session', sessionId, name, value, execId }) {
+  if (!name || typeof name !== 'string') throw new Error('name (string) is required');
+  if (scope !== 'session' && scope !== 'project') throw new Error(`scope must be 'session' or 'project', got ${JSON.stringify(scope)}`);
+  if (scope === 'session' && !sessionId) throw new Error('sessionId is required for session-scoped Ista');
+  if (value === undefined) throw new Error('value is required');
 
-  return snapshot.docs.map((doc) => ({ id: doc.id, data: doc.data() ?? {} }));
+  const ref = istaRef(userId, projectId, scope, sessionId, name);
+  const update_time = Date.now() / 1000;
+  const version = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const prev = snap.exists ? Number(snap.data()?.version || 0) : 0;
+    const next = prev + 1;
+    const record = { name, value, version: next, update_time, create_time: snap.exists ? (snap.data()?.create_time ?? update_time) : update_time };
+    if (execId) record.execId = String(execId);
+    tx.set(ref, record);
+    tx.set(ref.collection('versions').doc(String(next).padStart(10, '0')), { value, version: next, create_time: update_time, ...(execId ? { execId: String(execId) } : {}) });
+    return next;
+  });
+  return { name, scope, sessionId: scope === 'session' ? sessionId : undefined, version, update_time };
 }
 
-export async function readDoc(userId, projectId, collectionPath, id) {
-  const docRef = db.collection(projectScopedCollectionPath(userId, projectId, collectionPath)).doc(id);
-  const docSnap = await docRef.get();
-  if (!docSnap.exists) return null;
-  return docSnap.data();
+// Reads the latest snapshot at or before `asOf` (seconds). Without `asOf`, returns the current state.
+// Returns { id, data: { value, version, update_time, execId? } } or null.
+export async function readIstaSnapshot({ userId, projectId, scope = 'session', sessionId, name, asOf, data = pickDataAccess() }) {
+  if (scope === 'session' && !sessionId) return null;
+  const collectionPath = projectScopedCollectionPath(userId, projectId, istaCollection(scope, sessionId));
+  const current = await data.readDoc(collectionPath, String(name));
+  if (!current) return null;
+  if (asOf === undefined || asOf === null || Number(current.update_time) <= Number(asOf)) {
+    return { id: `${name}@${current.version}`, data: current };
+  }
+  const older = await data.latestDoc(`${collectionPath}/${name}/versions`, { field: 'create_time', atOrBefore: Number(asOf) });
+  if (!older) return null;
+  const v = older.data || {};
+  return { id: `${name}@${v.version}`, data: { ...v, update_time: v.create_time } };
 }
 
 // -----------------------------------
 // Kala utilities and promotion
+// Period boundaries come from the project's Kala calendar (lib/calendar.js); the default calendar
+// is the legacy UTC one (WEEK_ORIGIN, QUARTER_SECONDS).
 // -----------------------------------
-export const WEEK_SECONDS = 7 * 24 * 60 * 60;
-export const WEEK_ORIGIN = 259200; // aligns with Scala: 259200 seconds
-export const QUARTER_SECONDS = (365.230769 * 24 * 60 * 60) / 4;
+export { WEEK_SECONDS, WEEK_ORIGIN, QUARTER_SECONDS };
 
 export function kalaLabel(kala) {
   switch (kala?.kind) {
@@ -85,6 +130,8 @@ export function kalaLabel(kala) {
       return '(Session) ';
     case 'WeekKala':
       return '(Week) ';
+    case 'SprintKala':
+      return '(Sprint) ';
     case 'TermKala':
       return '(Term) ';
     default:
@@ -92,19 +139,23 @@ export function kalaLabel(kala) {
   }
 }
 
-export function toWeekEnd(endSeconds) {
-  const n = Math.floor((endSeconds - WEEK_ORIGIN) / WEEK_SECONDS);
-  return WEEK_ORIGIN + (n + 1) * WEEK_SECONDS;
+export function toWeekEnd(endSeconds, calendar = DEFAULT_CALENDAR) {
+  return weekBounds(endSeconds, calendar).end;
 }
 
-export function toTermBounds(endSeconds) {
-  const n = Math.floor((endSeconds - 0) / QUARTER_SECONDS);
-  const begin = 0 + n * QUARTER_SECONDS;
-  const end = 0 + (n + 1) * QUARTER_SECONDS;
-  return { begin, end };
+export function toTermBounds(endSeconds, calendar = DEFAULT_CALENDAR) {
+  return termBounds(endSeconds, calendar);
 }
 
-export function promoteKala(kala) {
+// Term enclosing a child period that ends at childEnd. Configured terms take the one holding the
+// child's last instant; legacy quarters keep their original rule (the one holding childEnd).
+function enclosingTerm(childEnd, calendar) {
+  const { begin, end } = toTermBounds(calendar.term ? childEnd - 1 : childEnd, calendar);
+  return { kind: 'TermKala', begin, end };
+}
+
+// Seg -> Session -> Week -> [Sprint, when the calendar defines one] -> Term
+export function promoteKala(kala, calendar = DEFAULT_CALENDAR) {
   if (!kala || !kala.kind) return null;
   switch (kala.kind) {
     case 'SegKala': {
@@ -114,14 +165,19 @@ export function promoteKala(kala) {
     }
     case 'SessionKala': {
       const { sessionEnd } = kala;
-      const weekEnd = toWeekEnd(sessionEnd);
+      const weekEnd = toWeekEnd(sessionEnd, calendar);
       return { kind: 'WeekKala', weekEnd };
     }
     case 'WeekKala': {
       const { weekEnd } = kala;
-      const { begin, end } = toTermBounds(weekEnd);
-      return { kind: 'TermKala', begin, end };
+      if (calendar.sprint) {
+        const { begin, end } = sprintBounds(weekEnd - 1, calendar);
+        return { kind: 'SprintKala', begin, end };
+      }
+      return enclosingTerm(weekEnd, calendar);
     }
+    case 'SprintKala':
+      return enclosingTerm(kala.end, calendar);
     case 'TermKala':
       return null; // terminal case
     default:
@@ -132,7 +188,7 @@ export function promoteKala(kala) {
 // -----------------------------------
 // Yoj builders (maps records -> ChatMessage-like {role, content} or raw payloads)
 // -----------------------------------
-export async function buildYojMessages({ name, kala, userId, projectId, framing = '', includeDocId = false }) {
+export async function buildYojMessages({ name, kala, userId, projectId, framing = '', includeDocId = false, calendar = DEFAULT_CALENDAR, data = pickDataAccess() }) {
   // Preserve prior behavior: omit raw chat message history for any Kala except SegKala
   if (name === 'messages' && kala?.kind !== 'SegKala') {
     return [];
@@ -144,14 +200,14 @@ export async function buildYojMessages({ name, kala, userId, projectId, framing
     case 'SegKala': {
       const { sessionId, end, windowSeconds } = kala;
       const begin = end - windowSeconds;
-      documents = await listBetweenFlat(userId, projectId, convoCollection(sessionId, name), begin, end);
+      documents = await listBetweenFlat(userId, projectId, convoCollection(sessionId, name), begin, end, {}, data);
       break;
     }
     case 'SessionKala': {
       const { sessionId, sessionEnd } = kala;
       const eightHours = sessionEnd - (60 * 60 * 8)
-      const sessions = await listBetweenFlat(userId, projectId, convoCollection(sessionId, name), eightHours, sessionEnd);
-      const weeklyDoc = await readDoc(userId, projectId, logSessionsCollection(name), sessionId);
+      const sessions = await listBetweenFlat(userId, projectId, convoCollection(sessionId, name), eightHours, sessionEnd, {}, data);
+      const weeklyDoc = await readDoc(userId, projectId, logCollection('session', name, calendar), sessionId, data);
 
       let weeklyDocuments = [];
       if (weeklyDoc) {
@@ -169,9 +225,15 @@ export async function buildYojMessages({ name, kala, userId, projectId, framing
       documents = [];
       break;
     }
+    case 'SprintKala': {
+      const { begin, end } = kala;
+      documents = await listBetweenFlat(userId, projectId, logCollection('week', name, calendar), begin, end, {}, data);
+      break;
+    }
     case 'TermKala': {
+      // Logs of the level below: sprints when the calendar has them, else weeks
       const { begin, end } = kala;
-      documents = await listBetweenFlat(userId, projectId, logWeeklyCollection(name), begin, end);
+      documents = await listBetweenFlat(userId, projectId, logCollection(calendar.sprint ? 'sprint' : 'week', name, calendar), begin, end, {}, data);
       break;
     }
     default:
@@ -257,3 +319,38 @@ export async function buildYojMessages({ name, kala, userId, projectId, framing
     return datum;
   });
 }
+
+// -----------------------------------
+// Ista builder: a single "current state" message rather than a time-windowed history
+// -----------------------------------
+export function kalaEnd(kala) {
+  switch (kala?.kind) {
+    case 'SegKala':
+      return kala.end;
+    case 'SessionKala':
+      return kala.sessionEnd;
+    case 'WeekKala':
+      return kala.weekEnd;
+    case 'SprintKala':
+    case 'TermKala':
+      return kala.end;
+    default:
+      return undefined;
+  }
+}
+
+export async function buildIstaMessages({ name, kala, userId, projectId, scope, framing = '', includeDocId = false, data = pickDataAccess() }) {
+  // Session-scoped state needs a session Kala; other Kalas read the project-scoped state
+  const sessionId = (kala?.kind === 'SegKala' || kala?.kind === 'SessionKala') ? kala.sessionId : undefined;
+  const resolvedScope = scope === 'project' || !sessionId ? 'project' : 'session';
+  const snapshot = await readIstaSnapshot({ userId, projectId, scope: resolvedScope, sessionId, name, asOf: kalaEnd(kala), data });
+  if (!snapshot) return [];
+
+  const datum = snapshot.data ?? {};
+  const value = datum.value;
+  const body = typeof value === 'string' ? value : JSON.stringify(value);
+  const msg = { role: 'system', content: `${framing}${body}` };
+  if (datum.execId !== undefined) msg.execId = datum.execId;
+  if (includeDocId) msg.docId = snapshot.id;
+  return [msg];
+}
@@ -0,0 +1,250 @@
+// Named context presets stored in Firestore (JS server-side)
+// A preset is a saved model ({ intro?, promoteUpstream?, components, filters }) that callers pick
+// with presetId instead of sending the model inline. One current doc per preset id plus an
+// append-only version history:
+//   project scope: users/{userId}/projects/{projectId}/context.presets/{presetId}[/versions/{version}]
+//   user scope:    users/{userId}/context.presets/{presetId}[/versions/{version}]
+// User-scoped presets are shared by all of the user's projects. Resolution order for a presetId is
+// project -> user -> builtin (modelDecoder.defaultPreset).
+//
+// Errors carry an HTTP-ish `status` (400 invalid, 404 missing, 409 conflict) for the router.
+
+import { db } from './prakriya.js';
+import { pickDataAccess } from './dataAccess.js';
+import { userScopedCollectionPath, projectScopedCollectionPath } from '../../userAuth.js';
+import { normalizeModel, BUILTIN_PRESET_IDS, MAX_NESTING_DEPTH, MAX_TOTAL_COMPONENTS } from '../modelDecoder.js';
+
+export const PRESETS_COLLECTION = 'context.presets';
+export const PRESET_SCOPES = ['project', 'user'];
+const PRESET_ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_DESCRIPTION_CHARS = 2000;
+
+function presetError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+const versionDocId = (version) => String(version).padStart(10, '0');
+
+export function presetsCollectionPath(userId, projectId, scope) {
+  if (scope === 'user') return userScopedCollectionPath(userId, PRESETS_COLLECTION);
+  return projectScopedCollectionPath(userId, projectId, PRESETS_COLLECTION);
+}
+
+function presetRef(userId, projectId, scope, presetId) {
+  return db.collection(presetsCollectionPath(userId, projectId, scope)).doc(presetId);
+}
+
+function checkPresetId(presetId) {
+  if (typeof presetId !== 'string' || !PRESET_ID_RE.test(presetId)) {
+    throw presetError(400, `presetId must match ${PRESET_ID_RE} (letters, digits, '_', '-', '.')`);
+  }
+}
+
+function checkScope(scope) {
+  if (!PRESET_SCOPES.includes(scope)) {
+    throw presetError(400, `scope must be one of ${JSON.stringify(PRESET_SCOPES)}, got ${JSON.stringify(scope)}`);
+  }
+}
+
+function componentStats(components) {
+  const stats = { components: 0, leaves: 0, depth: 0, kinds: {} };
+  const visit = (c, depth) => {
+    stats.components += 1;
+    stats.depth = Math.max(stats.depth, depth);
+    if (c.children && c.children.length) {
+      for (const child of c.children) visit(child, depth + 1);
+    } else {
+      stats.leaves += 1;
+      stats.kinds[c.kind] = (stats.kinds[c.kind] || 0) + 1;
+    }
+  };
+  for (const c of components) visit(c, 1);
+  return stats;
+}
+
+// Dry run: normalizes the model exactly like decodeContextModel would (including the nesting
+// depth and total component limits) without storing anything.
+// Returns { valid: true, model, stats, limits } or { valid: false, error, limits }.
+export function validatePresetModel(model) {
+  const limits = { maxNestingDepth: MAX_NESTING_DEPTH, maxTotalComponents: MAX_TOTAL_COMPONENTS };
+  try {
+    const normalized = normalizeModel(model);
+    // JSON round trip drops undefined fields, which Firestore rejects
+    const stored = JSON.parse(JSON.stringify(normalized));
+    return { valid: true, model: stored, stats: { ...componentStats(stored.components), filters: stored.filters.length }, limits };
+  } catch (err) {
+    return { valid: false, error: err?.message || String(err), limits };
+  }
+}
+
+function toPreset(scope, data) {
+  return {
+    id: data.id,
+    scope,
+    version: data.version,
+    description: data.description ?? null,
+    model: data.model,
+    sharedFrom: data.sharedFrom || undefined,
+    create_time: data.create_time,
+    update_time: data.update_time,
+  };
+}
+
+// Reads one preset. Without scope, looks in the project first, then the user scope.
+// With version, returns that historical version instead of the current one. Returns null if missing.
+export async function getPreset({ userId, projectId, presetId, scope, version, data = pickDataAccess() }) {
+  checkPresetId(presetId);
+  if (scope !== undefined) checkScope(scope);
+  const scopes = scope ? [scope] : PRESET_SCOPES;
+  for (const s of scopes) {
+    if (s === 'project' && !projectId) continue;
+    const collectionPath = presetsCollectionPath(userId, projectId, s);
+    const current = await data.readDoc(collectionPath, presetId);
+    if (!current) continue;
+    if (version === undefined || version === null || Number(version) === Number(current.version)) {
+      return toPreset(s, current);
+    }
+    const v = await data.readDoc(`${collectionPath}/${presetId}/versions`, versionDocId(Number(version)));
+    if (!v) return null;
+    return toPreset(s, { ...current, ...v, update_time: v.create_time });
+  }
+  return null;
+}
+
+// Stored preset for decodeContextModel, or null so the decoder falls back to builtins
+export async function resolveStoredPreset({ userId, projectId, presetId, presetVersion, data = pickDataAccess() }) {
+  if (typeof presetId !== 'string' || !PRESET_ID_RE.test(presetId)) return null;
+  const preset = await getPreset({ userId, projectId, presetId, version: presetVersion, data });
+  if (!preset && presetVersion !== undefined && presetVersion !== null) {
+    throw presetError(404, `Preset ${presetId} has no version ${presetVersion}`);
+  }
+  return preset;
+}
+
+export async function listPresets({ userId, projectId }) {
+  const presets = [];
+  for (const scope of PRESET_SCOPES) {
+    if (scope === 'project' && !projectId) continue;
+    const snap = await db.collection(presetsCollectionPath(userId, projectId, scope)).get();
+    for (const d of snap.docs) {
+      const { model, ...rest } = toPreset(scope, d.data() || {});
+      presets.push({ ...rest, components: Array.isArray(model?.components) ? model.components.length : 0 });
+    }
+  }
+  const builtins = BUILTIN_PRESET_IDS.map(id => ({ id, scope: 'builtin' }));
+  return { presets, builtins };
+}
+
+// Creates (mode 'create') or replaces (mode 'update') a preset, appending a version.
+// expectedVersion enables optimistic concurrency for updates.
+export async function savePreset({ userId, projectId, scope = 'project', presetId, description, model, mode = 'update', expectedVersion, sharedFrom }) {
+  checkPresetId(presetId);
+  checkScope(scope);
+  if (scope === 'project' && !projectId) throw presetError(400, 'projectId is required for project-scoped presets');
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_CHARS)) {
+    throw presetError(400, `description must be a string of at most ${MAX_DESCRIPTION_CHARS} characters`);
+  }
+  const checked = validatePresetModel(model);
+  if (!checked.valid) throw presetError(400, checked.error);
+
+  const ref = presetRef(userId, projectId, scope, presetId);
+  const now = Date.now() / 1000;
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (mode === 'create' && snap.exists) throw presetError(409, `Preset ${presetId} already exists in ${scope} scope`);
+    if (mode === 'update' && !snap.exists) throw presetError(404, `Preset ${presetId} not found in ${scope} scope`);
+    const prev = snap.exists ? (snap.data() || {}) : {};
+    const prevVersion = Number(prev.version || 0);
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== prevVersion) {
+      throw presetError(409, `Preset ${presetId} is at version ${prevVersion}, expected ${expectedVersion}`);
+    }
+    const version = prevVersion + 1;
+    const record = {
+      id: presetId,
+      description: description !== undefined ? (description ?? null) : (prev.description ?? null),
+      model: checked.model,
+      version,
+      create_time: prev.create_time ?? now,
+      update_time: now,
+    };
+    if (sharedFrom) record.sharedFrom = sharedFrom;
+    tx.set(ref, record);
+    tx.set(ref.collection('versions').doc(versionDocId(version)), {
+      model: checked.model,
+      description: record.description,
+      version,
+      create_time: now,
+      ...(sharedFrom ? { sharedFrom } : {}),
+    });
+    return toPreset(scope, record);
+  });
+}
+
+export async function listPresetVersions({ userId, projectId, scope, presetId }) {
+  checkPresetId(presetId);
+  checkScope(scope);
+  const ref = presetRef(userId, projectId, scope, presetId);
+  const snap = await ref.collection('versions').orderBy('version', 'desc').get();
+  return snap.docs.map(d => {
+    const { version, description, create_time, sharedFrom } = d.data() || {};
+    return { version, description: description ?? null, create_time, sharedFrom };
+  });
+}
+
+// Deletes the preset and its version history. Returns false when it did not exist.
+export async function deletePreset({ userId, projectId, scope, presetId }) {
+  checkPresetId(presetId);
+  checkScope(scope);
+  const ref = presetRef(userId, projectId, scope, presetId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  const versions = await ref.collection('versions').get();
+  const refs = [...versions.docs.map(d => d.ref), ref];
+  const BATCH = 400;
+  for (let i = 0; i < refs.length; i += BATCH) {
+    const batch = db.batch();
+    for (const r of refs.slice(i, i + BATCH)) batch.delete(r);
+    await batch.commit();
+  }
+  return true;
+}
+
+// Copies the current version of a preset into another scope (or another of the user's projects),
+// creating it there or appending a version when it already exists.
+export async function sharePreset({ userId, projectId, scope, presetId, toScope, toProjectId, toPresetId }) {
+  checkScope(toScope);
+  const source = await getPreset({ userId, projectId, presetId, scope });
+  if (!source) throw presetError(404, `Preset ${presetId} not found`);
+  const targetProjectId = toScope === 'project' ? (toProjectId || projectId) : undefined;
+  const targetId = toPresetId || presetId;
+  if (source.scope === toScope && (toScope === 'user' || targetProjectId === projectId) && targetId === presetId) {
+    throw presetError(400, 'Source and target are the same preset');
+  }
+  const existing = await getPreset({ userId, projectId: targetProjectId, presetId: targetId, scope: toScope });
+  return savePreset({
+    userId,
+    projectId: targetProjectId,
+    scope: toScope,
+    presetId: targetId,
+    description: source.description,
+    model: source.model,
+    mode: existing ? 'update' : 'create',
+    sharedFrom: { scope: source.scope, projectId: source.scope === 'project' ? projectId : null, presetId, version: source.version },
+  });
+}
+
+export default {
+  PRESETS_COLLECTION,
+  PRESET_SCOPES,
+  presetsCollectionPath,
+  validatePresetModel,
+  getPreset,
+  resolveStoredPreset,
+  listPresets,
+  savePreset,
+  listPresetVersions,
+  deletePreset,
+  sharePreset,
+};
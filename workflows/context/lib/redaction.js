@@ -0,0 +1,57 @@
+// Per-project allow list for the redactSecrets filter (JS server-side)
+// Values that look like secrets but are fine to send (public test keys, the project's own support
+// address, ...) are stored once per project and merged with the filter's `allow` option:
+//   users/{userId}/projects/{projectId}/context.redaction/allowlist
+//   { values: string[], patterns: string[], update_time }
+// `values` are exact matches; `patterns` are regular expression sources tested against each match.
+
+import { db } from './prakriya.js';
+import { pickDataAccess } from './dataAccess.js';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+
+export const REDACTION_COLLECTION = 'context.redaction';
+const ALLOWLIST_DOC = 'allowlist';
+const MAX_ENTRIES = 500;
+const MAX_ENTRY_CHARS = 500;
+
+function allowlistRef(userId, projectId) {
+  return db.collection(projectScopedCollectionPath(userId, projectId, REDACTION_COLLECTION)).doc(ALLOWLIST_DOC);
+}
+
+function cleanList(list, what) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list) || list.length > MAX_ENTRIES || list.some(v => typeof v !== 'string' || !v || v.length > MAX_ENTRY_CHARS)) {
+    throw new Error(`${what} must be an array of at most ${MAX_ENTRIES} non-empty strings of at most ${MAX_ENTRY_CHARS} characters`);
+  }
+  return Array.from(new Set(list));
+}
+
+export async function readAllowlist({ userId, projectId, data = pickDataAccess() }) {
+  if (!userId || !projectId) return { values: [], patterns: [] };
+  const stored = (await data.readDoc(projectScopedCollectionPath(userId, projectId, REDACTION_COLLECTION), ALLOWLIST_DOC)) || {};
+  return {
+    values: Array.isArray(stored.values) ? stored.values : [],
+    patterns: Array.isArray(stored.patterns) ? stored.patterns : [],
+    update_time: stored.update_time,
+  };
+}
+
+// Replaces the project's allow list. Patterns must compile.
+export async function writeAllowlist({ userId, projectId, values, patterns }) {
+  const record = {
+    values: cleanList(values, 'values'),
+    patterns: cleanList(patterns, 'patterns'),
+    update_time: Date.now() / 1000,
+  };
+  for (const p of record.patterns) {
+    try {
+      new RegExp(p);
+    } catch (e) {
+      throw new Error(`Invalid pattern ${JSON.stringify(p)}: ${e.message}`);
+    }
+  }
+  await allowlistRef(userId, projectId).set(record);
+  return record;
+}
+
+export default { REDACTION_COLLECTION, readAllowlist, writeAllowlist };
@@ -0,0 +1,169 @@
+// Semantic retrieval over past session messages and summaries (JS server-side)
+// - Index maintenance: writes to convo.sessions/{sessionId}/{messages|summaries} through the jobs
+//   Firestore API are embedded and upserted into the vector store (see indexWrittenDoc).
+//   RETRIEVAL_INDEX_ON_WRITE=0 turns it off (every indexed write is an embeddings call); existing
+//   sessions can be backfilled with reindexSession.
+// - Query: buildRetrieveMessages embeds the query, searches the store and renders the top-k hits
+//   as framed system messages for the 'retrieve' component kind.
+
+import { db, convoCollection, listBetweenFlat, kalaLabel } from './prakriya.js';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+import { getEmbedder } from './embeddings.js';
+import { pickVectorStore } from './vectorStores.js';
+import { textOf } from './contentParts.js';
+import { pickDataAccess } from './dataAccess.js';
+
+export const RETRIEVAL_SOURCES = ['messages', 'summaries'];
+const INDEXED_ROLES = new Set(['user', 'assistant']);
+
+// On unless RETRIEVAL_INDEX_ON_WRITE is 0/false/no/off
+function indexOnWriteEnabled() {
+  return !['0', 'false', 'no', 'off'].includes(String(process.env.RETRIEVAL_INDEX_ON_WRITE ?? '').trim().toLowerCase());
+}
+
+function itemId(sessionId, source, docId) {
+  // Firestore doc ids cannot contain '/'
+  return `${sessionId}__${source}__${docId}`.replace(/\//g, '_');
+}
+
+// Parses 'convo.sessions/{sessionId}/{source}' into { sessionId, source } for indexed sources
+export function parseSessionCollection(collection) {
+  const m = /^convo\.sessions\/([^/]+)\/([^/]+)$/.exec(String(collection || '').replace(/^\/+|\/+$/g, ''));
+  if (!m || !RETRIEVAL_SOURCES.includes(m[2])) return null;
+  return { sessionId: m[1], source: m[2] };
+}
+
+// Maps a stored Yoj document ({ create_time, value, ... }) to the text worth indexing
+export function extractIndexText(source, data) {
+  const datum = data && typeof data === 'object' ? data : {};
+  const value = 'value' in datum ? datum.value : datum;
+  const create_time = typeof datum.create_time === 'number' ? datum.create_time : undefined;
+  if (source === 'messages') {
+    if (!value || typeof value !== 'object' || !INDEXED_ROLES.has(value.role)) return null;
+    const text = textOf(value.content).trim();
+    return text ? { text, role: value.role, create_time } : null;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return text && text !== '""' ? { text, create_time } : null;
+}
+
+export async function indexSessionDocs({ userId, projectId, sessionId, source, docs = [] }) {
+  const candidates = [];
+  for (const doc of docs) {
+    const extracted = extractIndexText(source, doc?.data);
+    if (extracted) candidates.push({ docId: String(doc.id), ...extracted });
+  }
+  if (!candidates.length) return { indexed: 0 };
+
+  const embedder = await getEmbedder(userId);
+  if (!embedder) return { indexed: 0, skipped: 'no embedder available (missing OpenAI credential?)' };
+
+  const vectors = await embedder.embed(candidates.map(c => c.text));
+  const items = candidates.map((c, i) => ({
+    id: itemId(sessionId, source, c.docId),
+    vector: vectors[i],
+    text: c.text,
+    metadata: { sessionId, source, docId: c.docId, create_time: c.create_time ?? null, role: c.role ?? null, embedder: embedder.name },
+  }));
+  await pickVectorStore().upsert({ userId, projectId }, items);
+  return { indexed: items.length };
+}
+
+// Hook for Firestore writes (jobs/firebaseDbApi.js). Never throws; indexing is best-effort.
+// reread: index the stored document instead of contents (partial updates)
+export async function indexWrittenDoc({ userId, projectId, collection, id, contents, reread = false }) {
+  if (!indexOnWriteEnabled() || !userId || !projectId || !id) return { indexed: 0 };
+  const parsed = parseSessionCollection(collection);
+  if (!parsed) return { indexed: 0 };
+  try {
+    let data = contents;
+    if (reread) {
+      const snap = await db.collection(projectScopedCollectionPath(userId, projectId, collection)).doc(String(id)).get();
+      if (!snap.exists) return { indexed: 0 };
+      data = snap.data() ?? {};
+    }
+    return await indexSessionDocs({ userId, projectId, ...parsed, docs: [{ id, data }] });
+  } catch (err) {
+    console.warn('[retrieval] index on write failed', { collection, id, error: String(err?.message || err) });
+    return { indexed: 0, error: String(err?.message || err) };
+  }
+}
+
+// Backfill: index every doc of the given sources for one session
+export async function reindexSession({ userId, projectId, sessionId, sources = RETRIEVAL_SOURCES }) {
+  let indexed = 0;
+  for (const source of sources.filter(s => RETRIEVAL_SOURCES.includes(s))) {
+    const snap = await db.collection(projectScopedCollectionPath(userId, projectId, convoCollection(sessionId, source))).get();
+    const docs = snap.docs.map(d => ({ id: d.id, data: d.data() ?? {} }));
+    const res = await indexSessionDocs({ userId, projectId, sessionId, source, docs });
+    indexed += res.indexed;
+  }
+  return { indexed };
+}
+
+// Latest user message in the Kala's live window: the default query when none is given
+export async function latestUserQuery({ kala, userId, projectId, data = pickDataAccess() }) {
+  if (kala?.kind !== 'SegKala' || !kala.sessionId) return null;
+  const begin = kala.end - kala.windowSeconds;
+  const docs = await listBetweenFlat(userId, projectId, convoCollection(kala.sessionId, 'messages'), begin, kala.end, {}, data);
+  for (let i = docs.length - 1; i >= 0; i--) {
+    const v = docs[i]?.data?.value;
+    if (v && v.role === 'user') {
+      const text = textOf(v.content).trim();
+      if (text) return text;
+    }
+  }
+  return null;
+}
+
+// Renders the top-k hits for a 'retrieve' component.
+// component: { kind: 'retrieve', query?, topK, minScore, scope: 'project'|'session', sources, framing }
+export async function buildRetrieveMessages({ component, kala, userId, projectId, query, includeDocId = false }) {
+  const text = (component.query || query || '').trim();
+  if (!text) return [];
+
+  const embedder = await getEmbedder(userId);
+  if (!embedder) return [];
+  const [vector] = await embedder.embed([text]);
+
+  const sessionId = kala?.sessionId;
+  // Hits already inside the live SegKala window would duplicate messages in the context
+  const windowBegin = kala?.kind === 'SegKala' ? kala.end - kala.windowSeconds : null;
+  const sources = new Set(component.sources || RETRIEVAL_SOURCES);
+  const accept = (it) => {
+    const md = it.metadata || {};
+    if (!sources.has(md.source)) return false;
+    if (md.embedder && md.embedder !== embedder.name) return false;
+    if (windowBegin !== null && md.sessionId === sessionId && Number(md.create_time) > windowBegin) return false;
+    return true;
+  };
+
+  const hits = await pickVectorStore().query({ userId, projectId }, vector, {
+    topK: component.topK,
+    sessionId: component.scope === 'session' ? sessionId : undefined,
+    accept,
+  });
+
+  const label = kalaLabel(kala);
+  return hits
+    .filter(h => h.score >= component.minScore)
+    .map((h) => {
+      const md = h.metadata || {};
+      const when = Number.isFinite(Number(md.create_time)) && md.create_time !== null ? new Date(Number(md.create_time) * 1000).toISOString() : 'unknown time';
+      const header = `[${md.source}${md.role ? `/${md.role}` : ''} from session ${md.sessionId}, ${when}, score ${h.score.toFixed(3)}]\n`;
+      const msg = { role: 'system', content: `${label}${component.framing}${header}${h.text}` };
+      if (includeDocId && md.docId) msg.docId = md.docId;
+      return msg;
+    });
+}
+
+export default {
+  RETRIEVAL_SOURCES,
+  parseSessionCollection,
+  extractIndexText,
+  indexSessionDocs,
+  indexWrittenDoc,
+  reindexSession,
+  latestUserQuery,
+  buildRetrieveMessages,
+};
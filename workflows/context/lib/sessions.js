@@ -0,0 +1,206 @@
+// Cross-session context: 'sessions' components (JS server-side)
+// Picks sibling sessions of the project and renders what each of them left behind (the SessionKala
+// read of buildYojMessages: recent summaries/topicInfos plus the session log doc), one header
+// message per session followed by its records:
+//   select 'recent'  the project's sessions with the latest activity at or before the Kala end
+//   select 'agent'   the same, limited to sessions linked to one agent (agents/session.map.js);
+//                    defaults to the agent linked to the Kala's session
+//   select 'list'    the given sessionIds, in the given order
+// Activity is the newest convo.sessions/{sessionId}/messages create_time, or the session doc's
+// update_time when that is newer, as of the Kala end. Writes through jobs/firebase keep it on the
+// session doc as last_active (recordSessionActivity), so candidates are read in last_active order
+// with a limit; only sessions active after the Kala end, or not tracked yet, have their activity
+// looked up in messages, at most MAX_SCANNED_SESSIONS of them. The Kala's own session is skipped unless
+// includeCurrent is set. Sessions are emitted oldest first so the most recent one sits closest to
+// the live conversation. Reads go through the data access (`data`, lib/dataAccess.js).
+
+import { buildYojMessages, kalaEnd, db } from './prakriya.js';
+import { pickDataAccess } from './dataAccess.js';
+import { DEFAULT_CALENDAR } from './calendar.js';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+import { SESSION_MAP_COLLECTION } from '../../agents/common.js';
+
+export const SESSIONS_SELECT = ['recent', 'agent', 'list'];
+export const SESSIONS_NAMES = ['summaries', 'topicInfos'];
+export const MAX_SESSIONS = 20; // sessions rendered per component (limit / sessionIds)
+const MAX_SCANNED_SESSIONS = 500; // candidates whose activity is looked up in messages per request
+const LOOKUP_CONCURRENCY = 10;
+
+const sessionsPath = (userId, projectId) => projectScopedCollectionPath(userId, projectId, 'convo.sessions');
+
+const numberOrNull = (v) => (v !== null && v !== undefined && Number.isFinite(Number(v)) ? Number(v) : null);
+
+const has = (v) => v !== undefined && v !== null;
+
+// Raises convo.sessions/{sessionId}.last_active (seconds) to the activity of one jobs/firebase write:
+// the create_time of a session message, or the update_time of the session doc itself. Session docs
+// that do not exist are left alone (creating one here would make a later /create of it fail).
+// Best-effort, never throws.
+export async function recordSessionActivity({ userId, projectId, collection, id, contents }) {
+  if (!userId || !projectId) return { recorded: false };
+  const coll = String(collection || '').replace(/^\/+|\/+$/g, '');
+  const message = /^convo\.sessions\/([^/]+)\/messages$/.exec(coll);
+  const sessionId = message ? message[1] : coll === 'convo.sessions' ? id : null;
+  const at = numberOrNull(message ? contents?.create_time : contents?.update_time);
+  if (!sessionId || at === null) return { recorded: false };
+  const ref = db.collection(sessionsPath(userId, projectId)).doc(String(sessionId));
+  try {
+    const recorded = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return false;
+      const current = numberOrNull(snap.data()?.last_active);
+      if (current !== null && current >= at) return false;
+      tx.update(ref, { last_active: at });
+      return true;
+    });
+    return { recorded };
+  } catch (err) {
+    console.warn('[sessions] last_active update failed', { collection, error: String(err?.message || err) });
+    return { recorded: false, error: String(err?.message || err) };
+  }
+}
+
+// Runs fn over items with at most LOOKUP_CONCURRENCY calls in flight; keeps the input order
+async function mapBounded(items, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, items.length) }, worker));
+  return out;
+}
+
+// { sessionId, title?, lastActive: seconds | null } for each id, in input order
+async function describeSessions(userId, projectId, sessionIds, asOf, data) {
+  const root = sessionsPath(userId, projectId);
+  const docs = sessionIds.length ? await data.readDocs(root, sessionIds) : new Map();
+
+  return mapBounded(sessionIds, async (sessionId) => {
+    const latest = await data.latestDoc(`${root}/${sessionId}/messages`, { field: 'create_time', atOrBefore: asOf });
+    const fromMessages = latest ? numberOrNull(latest.data?.create_time) : null;
+
+    const doc = docs.get(sessionId);
+    let fromDoc = numberOrNull(doc?.update_time);
+    if (fromDoc !== null && asOf !== undefined && fromDoc > asOf) fromDoc = null;
+
+    const candidates = [fromMessages, fromDoc].filter((v) => v !== null);
+    const info = { sessionId, lastActive: candidates.length ? Math.max(...candidates) : null };
+    if (typeof doc?.title === 'string' && doc.title) info.title = doc.title;
+    return info;
+  });
+}
+
+// 'recent' candidates as [{ id, data: session doc }]: the newest `limit` sessions by last_active at or
+// before asOf, the sessions active since asOf (their activity as of asOf is looked up), and, only when
+// those do not fill the limit, the sessions without last_active (no write since it is tracked).
+async function recentCandidates(userId, projectId, asOf, limit, keep, data) {
+  const root = sessionsPath(userId, projectId);
+  // One extra row covers the current session when it is skipped
+  const settled = (await data.listOrdered(root, { field: 'last_active', atOrBefore: asOf, order: 'desc', limit: limit + 1 })).filter((d) => keep(d.id)).slice(0, limit);
+  const later = has(asOf) ? await data.listOrdered(root, { field: 'last_active', after: asOf, order: 'asc', limit: MAX_SCANNED_SESSIONS }) : [];
+  const candidates = [...settled, ...later.filter((d) => keep(d.id))];
+  if (settled.length >= limit) return candidates;
+
+  const seen = new Set(candidates.map((d) => d.id));
+  const rest = (await data.listIds(root)).filter((id) => keep(id) && !seen.has(id));
+  const docs = rest.length ? await data.readDocs(root, rest) : new Map();
+  for (const id of rest) {
+    if (numberOrNull(docs.get(id)?.last_active) === null) candidates.push({ id, data: docs.get(id) });
+  }
+  return candidates;
+}
+
+// [{ sessionId, title?, lastActive }] for candidates [{ id, data: session doc }]. A last_active at or
+// before asOf is the activity as is; the other candidates are looked up (describeSessions), the ones
+// closest to asOf first and untracked ones last, at most MAX_SCANNED_SESSIONS of them.
+async function rankSessions(userId, projectId, candidates, asOf, data) {
+  const settled = [];
+  let pending = [];
+  for (const { id, data: doc } of candidates) {
+    const lastActive = numberOrNull(doc?.last_active);
+    if (lastActive !== null && (!has(asOf) || lastActive <= asOf)) {
+      const info = { sessionId: id, lastActive };
+      if (typeof doc?.title === 'string' && doc.title) info.title = doc.title;
+      settled.push(info);
+    } else {
+      pending.push({ id, lastActive });
+    }
+  }
+  pending.sort((a, b) => (a.lastActive ?? Infinity) - (b.lastActive ?? Infinity));
+  if (pending.length > MAX_SCANNED_SESSIONS) {
+    console.warn('[sessions] too many sessions to look up; only the first are considered', { projectId, pending: pending.length, scanned: MAX_SCANNED_SESSIONS });
+    pending = pending.slice(0, MAX_SCANNED_SESSIONS);
+  }
+  const described = await describeSessions(userId, projectId, pending.map((p) => p.id), asOf, data);
+  return [...settled, ...described];
+}
+
+async function linkedAgentId(userId, projectId, sessionId, data) {
+  const doc = await data.readDoc(projectScopedCollectionPath(userId, projectId, SESSION_MAP_COLLECTION), sessionId);
+  return doc?.agentId || null;
+}
+
+// Resolves the component's selection to [{ sessionId, title?, lastActive, agentId? }] in render order.
+export async function selectSessions({ component, kala, userId, projectId, data = pickDataAccess() }) {
+  const asOf = kalaEnd(kala);
+  const currentSessionId = kala?.sessionId;
+
+  if (component.select === 'list') {
+    return describeSessions(userId, projectId, component.sessionIds, asOf, data);
+  }
+
+  const keep = (id) => component.includeCurrent || id !== currentSessionId;
+  let agentId = null;
+  let candidates;
+  if (component.select === 'agent') {
+    agentId = component.agentId || (currentSessionId ? await linkedAgentId(userId, projectId, currentSessionId, data) : null);
+    if (!agentId) return [];
+    const links = await data.findWhere(projectScopedCollectionPath(userId, projectId, SESSION_MAP_COLLECTION), 'agentId', agentId);
+    const ids = Array.from(new Set(links.map((d) => String(d.data?.sessionId || d.id)))).filter(keep);
+    const docs = ids.length ? await data.readDocs(sessionsPath(userId, projectId), ids) : new Map();
+    candidates = ids.map((id) => ({ id, data: docs.get(id) }));
+  } else {
+    candidates = await recentCandidates(userId, projectId, asOf, component.limit, keep, data);
+  }
+
+  const ranked = await rankSessions(userId, projectId, candidates, asOf, data);
+  return ranked
+    .filter((s) => s.lastActive !== null)
+    .sort((a, b) => b.lastActive - a.lastActive)
+    .slice(0, component.limit)
+    .reverse()
+    .map((s) => (agentId ? { ...s, agentId } : s));
+}
+
+function sessionHeader(session) {
+  const when = session.lastActive !== null ? new Date(session.lastActive * 1000).toISOString() : 'unknown time';
+  const title = session.title ? ` "${session.title}"` : '';
+  const agent = session.agentId ? `, agent ${session.agentId}` : '';
+  return `[session ${session.sessionId}${title}, last active ${when}${agent}]`;
+}
+
+// Renders a 'sessions' component.
+// component: { kind: 'sessions', select, sessionIds?, agentId?, limit, perSession, names, includeCurrent, framing }
+export async function buildSessionsMessages({ component, kala, userId, projectId, includeDocId = false, calendar = DEFAULT_CALENDAR, data = pickDataAccess() }) {
+  const sessions = await selectSessions({ component, kala, userId, projectId, data });
+  const fallbackEnd = kalaEnd(kala) ?? Date.now() / 1000;
+  const out = [];
+  for (const session of sessions) {
+    const sessionKala = { kind: 'SessionKala', sessionId: session.sessionId, sessionEnd: session.lastActive ?? fallbackEnd };
+    const records = [];
+    for (const name of component.names) {
+      const messages = await buildYojMessages({ name, kala: sessionKala, userId, projectId, includeDocId, calendar, data });
+      records.push(...messages.slice(-component.perSession));
+    }
+    // Sessions with nothing to show get no header either
+    if (!records.length) continue;
+    out.push({ role: 'system', content: `${component.framing}${sessionHeader(session)}` }, ...records);
+  }
+  return out;
+}
+
+export default { SESSIONS_SELECT, SESSIONS_NAMES, MAX_SESSIONS, recordSessionActivity, selectSessions, buildSessionsMessages };
@@ -0,0 +1,167 @@
+// Context snapshots (JS server-side)
+// An immutable record of what a topicContextYoj run produced, so a model run can be inspected
+// and compared later even though the live Yoj/Ista data keeps changing:
+//   users/{userId}/projects/{projectId}/context.snapshots/{snapshotId}
+//   { snapshotId, create_time, execId?, sessionId?, kala, request, preset?, model, tokens,
+//     messageCount, messages? | partCount }
+// `model` is the decoded model (components and filters with their options). Messages larger than
+// the Firestore document limit allows are stored as JSON chunks in parts/{index}.
+
+import crypto from 'crypto';
+import { db } from './prakriya.js';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+
+export const SNAPSHOTS_COLLECTION = 'context.snapshots';
+const INLINE_LIMIT_BYTES = 900 * 1024;
+const PART_CHARS = 300 * 1024; // UTF-16 units; <= ~900 KiB of UTF-8 even for 3-byte characters
+const MAX_DIFF_CELLS = 4_000_000;
+
+function snapshotsCollection(userId, projectId) {
+  return db.collection(projectScopedCollectionPath(userId, projectId, SNAPSHOTS_COLLECTION));
+}
+
+// Firestore rejects undefined values; symbols (e.g. budget tags) are dropped as well
+const plain = (v) => (v === undefined ? null : JSON.parse(JSON.stringify(v)));
+
+// request: the caller's knobs worth keeping (presetId, presetVersion, presetOptions, modelName, query, includeDocId)
+export async function writeSnapshot({ userId, projectId, execId, sessionId, kala, request, preset, model, tokens, messages }) {
+  const coll = snapshotsCollection(userId, projectId);
+  const ref = coll.doc();
+  const json = JSON.stringify(messages || []);
+  const record = {
+    snapshotId: ref.id,
+    create_time: Date.now() / 1000,
+    execId: execId ? String(execId) : null,
+    sessionId: sessionId || null,
+    kala: plain(kala),
+    request: plain(request || {}),
+    preset: plain(preset),
+    model: plain(model),
+    tokens: plain(tokens),
+    messageCount: Array.isArray(messages) ? messages.length : 0,
+  };
+
+  if (Buffer.byteLength(json, 'utf8') <= INLINE_LIMIT_BYTES) {
+    record.messages = JSON.parse(json);
+    // create() fails if the id exists: snapshots are never overwritten
+    await ref.create(record);
+    return { snapshotId: ref.id };
+  }
+
+  const parts = [];
+  for (let i = 0; i < json.length;) {
+    let end = Math.min(i + PART_CHARS, json.length);
+    // Never split a surrogate pair across parts
+    if (end < json.length && /[\uD800-\uDBFF]/.test(json[end - 1])) end -= 1;
+    parts.push(json.slice(i, end));
+    i = end;
+  }
+  record.partCount = parts.length;
+  // Parts first: a snapshot doc is only visible once all of its parts exist
+  for (let i = 0; i < parts.length; i += 20) {
+    const batch = db.batch();
+    parts.slice(i, i + 20).forEach((chunk, k) => batch.create(ref.collection('parts').doc(String(i + k).padStart(6, '0')), { index: i + k, json: chunk }));
+    await batch.commit();
+  }
+  await ref.create(record);
+  return { snapshotId: ref.id };
+}
+
+export async function readSnapshot({ userId, projectId, snapshotId }) {
+  if (!snapshotId || typeof snapshotId !== 'string' || snapshotId.includes('/')) return null;
+  const ref = snapshotsCollection(userId, projectId).doc(snapshotId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  const data = snap.data() || {};
+  if (Array.isArray(data.messages)) return data;
+  const parts = await ref.collection('parts').orderBy('index', 'asc').get();
+  const { partCount, ...rest } = data;
+  return { ...rest, messages: JSON.parse(parts.docs.map(d => d.data()?.json || '').join('')) };
+}
+
+// Summaries (no messages) of the snapshots of one exec or session, newest first
+export async function listSnapshots({ userId, projectId, execId, sessionId, limit = 20 }) {
+  let q = snapshotsCollection(userId, projectId);
+  if (execId) q = q.where('execId', '==', String(execId));
+  else if (sessionId) q = q.where('sessionId', '==', String(sessionId));
+  const snap = await q.orderBy('create_time', 'desc').limit(Math.min(Math.max(Number(limit) || 20, 1), 100)).select(
+    'snapshotId', 'create_time', 'execId', 'sessionId', 'preset', 'tokens', 'messageCount',
+  ).get();
+  return snap.docs.map(d => d.data());
+}
+
+function messageKey(m) {
+  if (m && typeof m === 'object' && (m.docId || m.docID)) return `doc:${m.docId || m.docID}`;
+  return `sha1:${crypto.createHash('sha1').update(JSON.stringify(m ?? null)).digest('hex')}`;
+}
+
+// Message-by-message diff of two message arrays. Messages are matched by docId (or by their full
+// content when they have none) along the longest common subsequence; a matched pair whose content
+// differs is 'changed'. Returns { ops: [{ op, from?, to?, docId?, before?, after? }], summary }.
+export function diffMessages(fromMessages = [], toMessages = []) {
+  const a = fromMessages.map(messageKey);
+  const b = toMessages.map(messageKey);
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) throw new Error(`Snapshots too large to diff (${n} x ${m} messages)`);
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const summary = { same: 0, changed: 0, added: 0, removed: 0 };
+  const docIdOf = (msg) => (msg && (msg.docId || msg.docID)) || undefined;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      const before = fromMessages[i];
+      const after = toMessages[j];
+      if (JSON.stringify(before) === JSON.stringify(after)) {
+        ops.push({ op: 'same', from: i, to: j, docId: docIdOf(after) });
+        summary.same++;
+      } else {
+        ops.push({ op: 'changed', from: i, to: j, docId: docIdOf(after), before, after });
+        summary.changed++;
+      }
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ op: 'removed', from: i, docId: docIdOf(fromMessages[i]), before: fromMessages[i] });
+      summary.removed++;
+      i++;
+    } else {
+      ops.push({ op: 'added', to: j, docId: docIdOf(toMessages[j]), after: toMessages[j] });
+      summary.added++;
+      j++;
+    }
+  }
+  return { ops, summary };
+}
+
+// Diff of two stored snapshots: messages plus what changed in the decoded model and token totals
+export function diffSnapshots(from, to) {
+  const same = (x, y) => JSON.stringify(x ?? null) === JSON.stringify(y ?? null);
+  const { ops, summary } = diffMessages(from.messages || [], to.messages || []);
+  return {
+    from: from.snapshotId,
+    to: to.snapshotId,
+    summary,
+    tokens: { from: from.tokens?.total ?? null, to: to.tokens?.total ?? null },
+    model: {
+      componentsChanged: !same(from.model?.components, to.model?.components),
+      filtersChanged: !same(from.model?.filters, to.model?.filters),
+      introChanged: !same(from.model?.intro, to.model?.intro),
+      kalaChanged: !same(from.kala, to.kala),
+    },
+    ops,
+  };
+}
+
+export default { SNAPSHOTS_COLLECTION, writeSnapshot, readSnapshot, listSnapshots, diffMessages, diffSnapshots };
@@ -0,0 +1,171 @@
+// Tokenizer registry for context budgeting (JS server-side)
+// Maps model names to offline BPE encodings (bundled with js-tiktoken) so filters can
+// count tokens exactly instead of relying on the chars/4 estimate.
+//
+// A tokenizer is { name, countText(text) => number, countMessage(msg) => number, perMessageOverhead }.
+// - 'approx' keeps the legacy behavior: chars/4 over the whole message JSON.
+// - BPE tokenizers count only what the provider sees (role, name, content, tool_calls,
+//   tool_call_id), mirroring OpenAI's chat accounting.
+// Encodings are loaded lazily on first use and cached for the process lifetime.
+// Multi-part content (lib/contentParts.js): text parts count as text; image and file parts count
+// their estimated tokens instead of their base64 payload. countMessage(msg, media) takes optional
+// fixed per-part overrides { imageTokens?, fileTokens? }.
+
+import { Tiktoken } from 'js-tiktoken/lite';
+import { mediaTokens, withoutMediaData } from './contentParts.js';
+
+export const DEFAULT_TOKENIZER = 'approx';
+
+// Model family -> encoding. Covers the families priced in jobs/llm.js (PRICING).
+// Longest prefix wins, so 'gpt-4o' is matched before 'gpt-4'.
+const MODEL_ENCODINGS = [
+  ['gpt-3.5-turbo', 'cl100k_base'],
+  ['gpt-4-turbo', 'cl100k_base'],
+  ['gpt-4-32k', 'cl100k_base'],
+  ['gpt-4o', 'o200k_base'],
+  ['chatgpt-4o', 'o200k_base'],
+  ['gpt-4.1', 'o200k_base'],
+  ['gpt-4.5', 'o200k_base'],
+  ['gpt-4', 'cl100k_base'],
+  ['gpt-5', 'o200k_base'],
+  ['o1', 'o200k_base'],
+  ['o3', 'o200k_base'],
+  ['o4', 'o200k_base'],
+].sort((a, b) => b[0].length - a[0].length);
+
+function approxCount(text) {
+  if (!text) return 0;
+  const s = typeof text === 'string' ? text : JSON.stringify(text);
+  // Approximate OpenAI-ish tokenization: ~4 chars/token
+  return Math.ceil(s.length / 4);
+}
+
+const approxTokenizer = {
+  name: 'approx',
+  perMessageOverhead: 8,
+  countText: approxCount,
+  // Count the whole message object (role, content, tool fields, etc.), not just content
+  countMessage: (msg, media) => {
+    if (!msg || typeof msg !== 'object' || !Array.isArray(msg.content)) return approxCount(msg ?? '');
+    return approxCount({ ...msg, content: withoutMediaData(msg.content) }) + mediaTokens(msg.content, media);
+  },
+};
+
+function makeBpeTokenizer(name, ranks) {
+  const enc = new Tiktoken(ranks);
+  const countText = (text) => {
+    if (text === undefined || text === null || text === '') return 0;
+    const s = typeof text === 'string' ? text : JSON.stringify(text);
+    return enc.encode(s).length;
+  };
+  const countContent = (content, media) => {
+    if (!Array.isArray(content)) return countText(content);
+    let n = mediaTokens(content, media);
+    for (const p of content) {
+      if (p && typeof p === 'object' && typeof p.text === 'string') n += countText(p.text);
+      else if (p && typeof p === 'object' && p.type !== 'image_url' && p.type !== 'file') n += countText(p);
+    }
+    return n;
+  };
+  const countMessage = (msg, media) => {
+    if (!msg || typeof msg !== 'object') return countText(msg);
+    let n = countText(msg.role) + countContent(msg.content, media);
+    if (msg.name) n += countText(msg.name) + 1;
+    if (msg.tool_call_id) n += countText(msg.tool_call_id);
+    if (Array.isArray(msg.tool_calls)) {
+      for (const tc of msg.tool_calls) {
+        n += countText(tc?.id) + countText(tc?.function?.name) + countText(tc?.function?.arguments);
+      }
+    }
+    return n;
+  };
+  return { name, perMessageOverhead: 3, countText, countMessage };
+}
+
+// name -> () => Promise<tokenizer>
+const loaders = new Map([
+  ['approx', async () => approxTokenizer],
+  ['cl100k_base', async () => makeBpeTokenizer('cl100k_base', (await import('js-tiktoken/ranks/cl100k_base')).default)],
+  ['o200k_base', async () => makeBpeTokenizer('o200k_base', (await import('js-tiktoken/ranks/o200k_base')).default)],
+]);
+
+const cache = new Map(); // name -> Promise<tokenizer>
+
+export function registerTokenizer(name, loader) {
+  if (!name || typeof loader !== 'function') return;
+  loaders.set(name, async () => loader());
+  cache.delete(name);
+}
+
+export function hasTokenizer(name) {
+  return typeof name === 'string' && loaders.has(name);
+}
+
+export function encodingForModel(model) {
+  if (!model || typeof model !== 'string') return null;
+  const m = model.trim().toLowerCase();
+  for (const [prefix, encoding] of MODEL_ENCODINGS) {
+    if (m.startsWith(prefix)) return encoding;
+  }
+  return null;
+}
+
+export async function getTokenizer(name) {
+  const key = hasTokenizer(name) ? name : DEFAULT_TOKENIZER;
+  if (!cache.has(key)) {
+    const pending = loaders.get(key)().catch((err) => {
+      cache.delete(key);
+      throw err;
+    });
+    cache.set(key, pending);
+  }
+  return cache.get(key);
+}
+
+// Resolve a tokenizer from (in priority order): a server-side function, an explicit
+// tokenizer/encoding name, or a model name. Falls back to the approximate estimator.
+export async function resolveTokenizer({ tokenizer, model } = {}) {
+  if (typeof tokenizer === 'function') {
+    return {
+      name: 'custom',
+      perMessageOverhead: 8,
+      countText: (text) => tokenizer(text ?? ''),
+      countMessage: (msg) => tokenizer(msg ?? ''),
+    };
+  }
+  if (hasTokenizer(tokenizer)) return getTokenizer(tokenizer);
+  if (typeof tokenizer === 'string' && tokenizer) {
+    const byModel = encodingForModel(tokenizer);
+    if (byModel) return getTokenizer(byModel);
+  }
+  const encoding = encodingForModel(model);
+  return getTokenizer(encoding || DEFAULT_TOKENIZER);
+}
+
+// True when the value names a registered tokenizer or a model family we can map
+export function isKnownTokenizer(value) {
+  return hasTokenizer(value) || Boolean(encodingForModel(value));
+}
+
+export function countMessageTokens(msg, tok, perMessageOverhead = tok.perMessageOverhead, media) {
+  return tok.countMessage(msg, media) + perMessageOverhead;
+}
+
+export function countMessagesTokens(messages, tok, perMessageOverhead = tok.perMessageOverhead) {
+  if (!Array.isArray(messages)) return 0;
+  let total = 0;
+  for (const m of messages) total += countMessageTokens(m, tok, perMessageOverhead);
+  return total;
+}
+
+export default {
+  DEFAULT_TOKENIZER,
+  registerTokenizer,
+  hasTokenizer,
+  encodingForModel,
+  getTokenizer,
+  resolveTokenizer,
+  isKnownTokenizer,
+  countMessageTokens,
+  countMessagesTokens,
+};
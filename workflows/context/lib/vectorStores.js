@@ -0,0 +1,150 @@
+// Vector stores for context retrieval (JS server-side)
+// A store indexes { id, vector, text, metadata } items per user/project scope and answers
+// nearest-neighbour queries:
+//   upsert({ userId, projectId }, items) => Promise<void>
+//   query({ userId, projectId }, vector, { topK, sessionId?, accept? }) => Promise<Array<{ id, score, text, metadata }>>
+//   remove({ userId, projectId }, ids) => Promise<void>
+// metadata: { sessionId, source, docId, create_time, role?, embedder }
+//
+// Implementations (selected with RETRIEVAL_STORE, default 'firestore'):
+// - 'memory': process-local flat index (cosine similarity, exact scan)
+// - 'file': same as memory, persisted as JSON at RETRIEVAL_STORE_FILE (default ./.retrieval-index.json)
+// - 'firestore': users/{userId}/projects/{projectId}/context.embeddings/{id} with a vector field
+//   queried through findNearest (see the vector index in firestore.indexes.json)
+
+import fs from 'fs';
+import path from 'path';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { projectScopedCollectionPath } from '../../userAuth.js';
+
+export const EMBEDDINGS_COLLECTION = 'context.embeddings';
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / ((Math.sqrt(na) * Math.sqrt(nb)) || 1);
+}
+
+const scopeKey = ({ userId, projectId }) => `${userId}/${projectId}`;
+
+export class MemoryVectorStore {
+  constructor({ file } = {}) {
+    this.kind = file ? 'file' : 'memory';
+    this.file = file || null;
+    this.scopes = new Map(); // scopeKey -> Map(id -> item)
+    if (this.file && fs.existsSync(this.file)) {
+      try {
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const [key, items] of Object.entries(raw || {})) {
+          this.scopes.set(key, new Map(items.map(it => [it.id, it])));
+        }
+      } catch (e) {
+        console.warn('[retrieval] failed to load vector index file; starting empty', { file: this.file, error: String(e?.message || e) });
+      }
+    }
+  }
+  ensureScope(scope) {
+    const key = scopeKey(scope);
+    let m = this.scopes.get(key);
+    if (!m) { m = new Map(); this.scopes.set(key, m); }
+    return m;
+  }
+  persist() {
+    if (!this.file) return;
+    const out = {};
+    for (const [key, items] of this.scopes.entries()) out[key] = Array.from(items.values());
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, this.file);
+  }
+  async upsert(scope, items = []) {
+    const m = this.ensureScope(scope);
+    for (const it of items) m.set(it.id, { id: it.id, vector: it.vector, text: it.text, metadata: it.metadata || {} });
+    this.persist();
+  }
+  async remove(scope, ids = []) {
+    const m = this.ensureScope(scope);
+    for (const id of ids) m.delete(id);
+    this.persist();
+  }
+  async query(scope, vector, { topK = 5, sessionId, accept } = {}) {
+    const m = this.ensureScope(scope);
+    const scored = [];
+    for (const it of m.values()) {
+      if (sessionId && it.metadata?.sessionId !== sessionId) continue;
+      if (accept && !accept(it)) continue;
+      scored.push({ id: it.id, score: cosine(vector, it.vector), text: it.text, metadata: it.metadata });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, topK);
+  }
+}
+
+export class FirestoreVectorStore {
+  constructor() {
+    this.kind = 'firestore';
+    this.db = getFirestore();
+  }
+  coll({ userId, projectId }) {
+    return this.db.collection(projectScopedCollectionPath(userId, projectId, EMBEDDINGS_COLLECTION));
+  }
+  async upsert(scope, items = []) {
+    const coll = this.coll(scope);
+    const BATCH = 400;
+    for (let i = 0; i < items.length; i += BATCH) {
+      const batch = this.db.batch();
+      for (const it of items.slice(i, i + BATCH)) {
+        batch.set(coll.doc(it.id), { ...(it.metadata || {}), text: it.text, embedding: FieldValue.vector(it.vector) });
+      }
+      await batch.commit();
+    }
+  }
+  async remove(scope, ids = []) {
+    const coll = this.coll(scope);
+    await Promise.all(ids.map(id => coll.doc(id).delete()));
+  }
+  async query(scope, vector, { topK = 5, sessionId, accept } = {}) {
+    let q = this.coll(scope);
+    if (sessionId) q = q.where('sessionId', '==', sessionId);
+    // Over-fetch so post-filtering (accept) can still return topK hits
+    const snap = await q.findNearest({
+      vectorField: 'embedding',
+      queryVector: vector,
+      limit: Math.min(topK * 4, 1000),
+      distanceMeasure: 'COSINE',
+      distanceResultField: 'vector_distance',
+    }).get();
+    const out = [];
+    for (const doc of snap.docs) {
+      const { embedding, vector_distance, text, ...metadata } = doc.data() || {};
+      const item = { id: doc.id, score: 1 - Number(vector_distance || 0), text, metadata };
+      if (accept && !accept(item)) continue;
+      out.push(item);
+      if (out.length >= topK) break;
+    }
+    return out;
+  }
+}
+
+let localStore = null;
+
+export function pickVectorStore() {
+  const kind = String(process.env.RETRIEVAL_STORE || 'firestore').toLowerCase();
+  if (kind === 'memory' || kind === 'file') {
+    if (!localStore || localStore.kind !== kind) {
+      localStore = new MemoryVectorStore(kind === 'file' ? { file: process.env.RETRIEVAL_STORE_FILE || '.retrieval-index.json' } : {});
+    }
+    return localStore;
+  }
+  return new FirestoreVectorStore();
+}
+
+export default { MemoryVectorStore, FirestoreVectorStore, pickVectorStore };
@@ -10,18 +10,43 @@
 //     intro?: { system?: string },
 //     promoteUpstream?: boolean, // optional; if true, also include promoted Kala context
 //     components: Array<{
-//       kind: 'yoj' | 'ista' | 'literal',
+//       kind: 'yoj' | 'ista' | 'literal' | 'retrieve' | 'sessions',
 //       name?: string,         // name of the Yoj/Ista to read when kind is 'yoj' or 'ista'
+//       scope?: 'session' | 'project', // for kind === 'ista' (default 'session'; project when the Kala has no session)
 //       framing?: string,      // optional prefix added to the content for each record
 //       value?: string,        // for kind === 'literal', a raw message body
+//       // for kind === 'retrieve' (semantic search over past session messages/summaries):
+//       query?: string,        // defaults to body.query, then the latest user message in the SegKala window
+//       topK?: number,         // default 5 (1..50)
+//       minScore?: number,     // default 0; cosine similarity threshold
+//       scope?: 'project' | 'session', // default 'project' (all sessions)
+//       sources?: Array<'messages' | 'summaries'>, // default both
+//       // for kind === 'sessions' (what earlier sessions of the project left behind, see lib/sessions.js):
+//       select?: 'recent' | 'agent' | 'list', // default 'recent' ('list' when sessionIds is given)
+//       sessionIds?: string[], // for select === 'list' (1..20, rendered in this order)
+//       agentId?: string,      // for select === 'agent'; defaults to the agent linked to the Kala's session
+//       limit?: number,        // sessions to include, default 3 (1..20)
+//       perSession?: number,   // records per session and name, default 5 (1..50)
+//       names?: Array<'summaries' | 'topicInfos'>, // default ['summaries']
+//       includeCurrent?: boolean, // default false; the Kala's own session is skipped
 //       children?: Array<...>  // NEW: optional nested components (grouping only)
 //     }>,
 //     // Optional filter pipeline to post-process the final message list
 //     // Each entry can be either a string (filter name) or an object { name, options }
 //     filters?: Array<string | { name: string, options?: Record<string, any> }>
 //   },
-//   presetId?: string // optional convenience, e.g. 'TopicContext'
+//   presetId?: string, // optional convenience, e.g. 'TopicContext'
+//   presetOptions?: { overflow?: 'drop' | 'summarize' }, // TopicContext: summarize overflow instead of dropping it
+//   modelName?: string, // optional LLM the window is built for (e.g. 'gpt-4o'); selects the tokenizer
+//   query?: string // optional current query for 'retrieve' components
 // }
+//
+// Filter options may include `tokenizer: string` (a registered encoding such as 'o200k_base' or a
+// model name); it overrides the tokenizer derived from `modelName`.
+
+import { isKnownTokenizer } from './lib/tokenizers.js';
+import { RETRIEVAL_SOURCES } from './lib/retrieval.js';
+import { SESSIONS_SELECT, SESSIONS_NAMES, MAX_SESSIONS } from './lib/sessions.js';
 
 export function validateKala(kala) {
   if (!kala || typeof kala !== 'object' || !kala.kind) {
@@ -37,7 +62,31 @@ const defaultFilters = [
   { name: 'toolCallBackfill' }
 ];
 
-function defaultPreset(presetId) {
+// Insert rollingSummarizer right before sizeLimiter so the overflow is condensed, not dropped
+function withOverflowSummary(filters) {
+  const idx = filters.findIndex(f => f.name === 'sizeLimiter');
+  const at = idx >= 0 ? idx : filters.length;
+  const maxTokens = filters[idx]?.options?.maxTokens;
+  const summarizer = { name: 'rollingSummarizer', options: Number.isFinite(maxTokens) ? { maxTokens } : {} };
+  return [...filters.slice(0, at), summarizer, ...filters.slice(at)];
+}
+
+function overflowMode(presetOptions = {}) {
+  const overflow = presetOptions?.overflow || 'drop';
+  if (overflow !== 'drop' && overflow !== 'summarize') {
+    throw new Error(`presetOptions.overflow must be 'drop' or 'summarize', got ${JSON.stringify(overflow)}`);
+  }
+  return overflow;
+}
+
+export const BUILTIN_PRESET_IDS = ['TopicContext'];
+
+export function isBuiltinPreset(presetId) {
+  return BUILTIN_PRESET_IDS.includes(presetId);
+}
+
+export function defaultPreset(presetId, presetOptions = {}) {
+  const overflow = overflowMode(presetOptions);
   switch (presetId) {
     case 'TopicContext':
       return {
@@ -48,7 +97,7 @@ function defaultPreset(presetId) {
           { kind: 'yoj', name: 'summaries', framing: 'Previous convo summaries:\r' },
           { kind: 'yoj', name: 'messages', framing: 'Summary of older conversation messages:\r' }
         ],
-        filters: defaultFilters
+        filters: overflow === 'summarize' ? withOverflowSummary(defaultFilters) : defaultFilters
       };
     default:
       return null;
@@ -60,6 +109,10 @@ function normalizeFilters(filters) {
   return filters.map((f, idx) => {
     if (typeof f === 'string') return { name: f };
     if (f && typeof f === 'object' && typeof f.name === 'string') {
+      const tokenizer = f.options && typeof f.options === 'object' ? f.options.tokenizer : undefined;
+      if (tokenizer !== undefined && !isKnownTokenizer(tokenizer)) {
+        throw new Error(`model.filters[${idx}].options.tokenizer is not a known tokenizer or model: ${JSON.stringify(tokenizer)}`);
+      }
       return { name: f.name, options: (f.options && typeof f.options === 'object') ? f.options : undefined };
     }
     throw new Error(`model.filters[${idx}] must be a string or an object { name, options? }`);
@@ -67,10 +120,42 @@ function normalizeFilters(filters) {
 }
 
 // Validation limits for nested components
-const MAX_NESTING_DEPTH = 6; // inclusive
-const MAX_TOTAL_COMPONENTS = 128; // total nodes, including non-leaf grouping nodes
+export const MAX_NESTING_DEPTH = 6; // inclusive
+export const MAX_TOTAL_COMPONENTS = 128; // total nodes, including non-leaf grouping nodes
+
+// budget: positive integer tokens, or a percentage string of the parent allocation ("25%").
+// The normalized forms { tokens } / { percent } are accepted too (stored presets are re-decoded).
+function normalizeBudget(budget, here) {
+  if (budget && typeof budget === 'object') {
+    if (budget.tokens !== undefined) return normalizeBudget(budget.tokens, here);
+    if (budget.percent !== undefined) return normalizeBudget(`${budget.percent}%`, here);
+  }
+  if (typeof budget === 'number') {
+    if (!Number.isInteger(budget) || budget <= 0) throw new Error(`${here}.budget must be a positive integer token count or a percentage string like "25%"`);
+    return { tokens: budget };
+  }
+  const m = typeof budget === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*%\s*$/.exec(budget) : null;
+  const percent = m ? Number(m[1]) : NaN;
+  if (!(percent > 0 && percent <= 100)) throw new Error(`${here}.budget must be a positive integer token count or a percentage string like "25%"`);
+  return { percent };
+}
+
+function checkSiblingBudgets(components, where) {
+  const percent = (components || []).reduce((sum, c) => sum + (c.budget?.percent || 0), 0);
+  if (percent > 100) throw new Error(`${where}: budget percentages of sibling components add up to ${percent}%, more than 100%`);
+}
 
 function normalizeComponent(c, path, depth, counter) {
+  const out = normalizeComponentFields(c, path, depth, counter);
+  if (c.budget !== undefined) {
+    const here = `model.components[${path.join('][')}]`;
+    out.budget = normalizeBudget(c.budget, here);
+  }
+  if (out.children) checkSiblingBudgets(out.children, `model.components[${path.join('][')}].children`);
+  return out;
+}
+
+function normalizeComponentFields(c, path, depth, counter) {
   const here = `model.components${path.length ? '[' + path.join('][') + ']' : ''}`;
   if (!c || typeof c !== 'object') {
     throw new Error(`${here} must be an object`);
@@ -98,7 +183,15 @@ function normalizeComponent(c, path, depth, counter) {
       throw new Error(`${here}.name is required for kind='${kind}'`);
     }
     const framing = typeof c.framing === 'string' ? c.framing : '';
-    return children ? { kind, name: c.name, framing, children } : { kind, name: c.name, framing };
+    const out = { kind, name: c.name, framing };
+    if (kind === 'ista' && c.scope !== undefined) {
+      if (c.scope !== 'session' && c.scope !== 'project') {
+        throw new Error(`${here}.scope must be 'session' or 'project' for kind='ista'`);
+      }
+      out.scope = c.scope;
+    }
+    if (children) out.children = children;
+    return out;
   } else if (kind === 'literal') {
     if (typeof c.value !== 'string') {
       throw new Error(`${here}.value must be a string for kind='literal'`);
@@ -108,29 +201,99 @@ function normalizeComponent(c, path, depth, counter) {
       throw new Error(`${here}: literal components cannot have children`);
     }
     return { kind, value: c.value };
+  } else if (kind === 'retrieve') {
+    if (hasChildrenArray) throw new Error(`${here}: retrieve components cannot have children`);
+    if (c.query !== undefined && typeof c.query !== 'string') throw new Error(`${here}.query must be a string`);
+    const topK = c.topK === undefined ? 5 : Number(c.topK);
+    if (!Number.isInteger(topK) || topK < 1 || topK > 50) throw new Error(`${here}.topK must be an integer between 1 and 50`);
+    const minScore = c.minScore === undefined ? 0 : Number(c.minScore);
+    if (!Number.isFinite(minScore)) throw new Error(`${here}.minScore must be a number`);
+    const scope = c.scope === undefined ? 'project' : c.scope;
+    if (scope !== 'project' && scope !== 'session') throw new Error(`${here}.scope must be 'project' or 'session' for kind='retrieve'`);
+    const sources = c.sources === undefined ? RETRIEVAL_SOURCES : c.sources;
+    if (!Array.isArray(sources) || !sources.length || sources.some(s => !RETRIEVAL_SOURCES.includes(s))) {
+      throw new Error(`${here}.sources must be a non-empty subset of ${JSON.stringify(RETRIEVAL_SOURCES)}`);
+    }
+    const framing = typeof c.framing === 'string' ? c.framing : 'Possibly relevant earlier context (retrieved):\r';
+    const out = { kind, topK, minScore, scope, sources, framing };
+    if (c.query) out.query = c.query;
+    return out;
+  } else if (kind === 'sessions') {
+    if (hasChildrenArray) throw new Error(`${here}: sessions components cannot have children`);
+    const select = c.select === undefined ? (c.sessionIds !== undefined ? 'list' : 'recent') : c.select;
+    if (!SESSIONS_SELECT.includes(select)) throw new Error(`${here}.select must be one of ${JSON.stringify(SESSIONS_SELECT)}`);
+    const out = { kind, select };
+    if (select === 'list') {
+      const ids = c.sessionIds;
+      if (!Array.isArray(ids) || !ids.length || ids.length > MAX_SESSIONS || ids.some(id => typeof id !== 'string' || !id || id.includes('/'))) {
+        throw new Error(`${here}.sessionIds must be a non-empty array of at most ${MAX_SESSIONS} session ids for select='list'`);
+      }
+      out.sessionIds = Array.from(new Set(ids));
+    } else if (c.sessionIds !== undefined) {
+      throw new Error(`${here}.sessionIds is only valid with select='list'`);
+    }
+    if (c.agentId !== undefined) {
+      if (select !== 'agent') throw new Error(`${here}.agentId is only valid with select='agent'`);
+      if (typeof c.agentId !== 'string' || !c.agentId.trim()) throw new Error(`${here}.agentId must be a non-empty string`);
+      out.agentId = c.agentId.trim();
+    }
+    const limit = c.limit === undefined ? 3 : Number(c.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSIONS) throw new Error(`${here}.limit must be an integer between 1 and ${MAX_SESSIONS}`);
+    const perSession = c.perSession === undefined ? 5 : Number(c.perSession);
+    if (!Number.isInteger(perSession) || perSession < 1 || perSession > 50) throw new Error(`${here}.perSession must be an integer between 1 and 50`);
+    const names = c.names === undefined ? ['summaries'] : c.names;
+    if (!Array.isArray(names) || !names.length || names.some(n => !SESSIONS_NAMES.includes(n))) {
+      throw new Error(`${here}.names must be a non-empty subset of ${JSON.stringify(SESSIONS_NAMES)}`);
+    }
+    if (c.includeCurrent !== undefined && typeof c.includeCurrent !== 'boolean') throw new Error(`${here}.includeCurrent must be a boolean`);
+    const framing = typeof c.framing === 'string' ? c.framing : 'From an earlier session of this project:\r';
+    return { ...out, limit, perSession, names: Array.from(new Set(names)), includeCurrent: c.includeCurrent === true, framing };
   }
   throw new Error(`Unsupported component kind: ${kind}`);
 }
 
-export function decodeContextModel(body) {
-  const { kala, model, presetId } = body || {};
+// Validates and normalizes a model object ({ intro?, promoteUpstream?, components?, filters? }).
+// Shared by request decoding and stored preset validation (see lib/presets.js).
+export function normalizeModel(model) {
+  if (!model || typeof model !== 'object' || Array.isArray(model)) throw new Error('model must be an object');
+  const components = Array.isArray(model.components) ? model.components : [];
+  const counter = { count: 0 };
+  const normalized = {
+    intro: model.intro && typeof model.intro === 'object' ? model.intro : undefined,
+    promoteUpstream: Boolean(model.promoteUpstream),
+    components: components.map((c, idx) => normalizeComponent(c, [String(idx)], 1, counter)),
+    filters: normalizeFilters(model.filters ?? defaultFilters)
+  };
+  checkSiblingBudgets(normalized.components, 'model.components');
+  return normalized;
+}
+
+// storedPreset: { id, scope, version, model } resolved by the caller (lib/presets.js) for body.presetId.
+// Stored presets win over builtins of the same id; without one, presetId must name a builtin.
+export function decodeContextModel(body, { storedPreset } = {}) {
+  const { kala, model, presetId, presetOptions, modelName, query } = body || {};
   validateKala(kala);
+  if (modelName !== undefined && typeof modelName !== 'string') {
+    throw new Error('modelName must be a string when provided');
+  }
+  if (query !== undefined && typeof query !== 'string') {
+    throw new Error('query must be a string when provided');
+  }
 
   let normalized = null;
+  let preset;
   if (model && typeof model === 'object') {
-    const components = Array.isArray(model.components) ? model.components : [];
-    const counter = { count: 0 };
     console.log("Filters: ", model.filters ?? defaultFilters);
-    normalized = {
-      intro: model.intro && typeof model.intro === 'object' ? model.intro : undefined,
-      promoteUpstream: Boolean(model.promoteUpstream),
-      components: components.map((c, idx) => normalizeComponent(c, [String(idx)], 1, counter)),
-      filters: normalizeFilters(model.filters ?? defaultFilters)
-    };
+    normalized = normalizeModel(model);
+  } else if (typeof presetId === 'string' && storedPreset) {
+    normalized = normalizeModel(storedPreset.model);
+    if (overflowMode(presetOptions) === 'summarize') normalized.filters = withOverflowSummary(normalized.filters);
+    preset = { id: presetId, source: 'stored', scope: storedPreset.scope, version: storedPreset.version };
   } else if (typeof presetId === 'string') {
-    const preset = defaultPreset(presetId);
-    if (!preset) throw new Error(`Unknown presetId: ${presetId}`);
-    normalized = preset;
+    const builtin = defaultPreset(presetId, presetOptions);
+    if (!builtin) throw new Error(`Unknown presetId: ${presetId}`);
+    normalized = builtin;
+    preset = { id: presetId, source: 'builtin' };
   } else {
     // Fallback: empty model with default filters
     normalized = {
@@ -146,5 +309,5 @@ export function decodeContextModel(body) {
 
   console.log("Model: ",  JSON.stringify(normalized, null, 2));
 
-  return { kala, model: normalized };
+  return { kala, model: normalized, modelName: modelName || undefined, query: query || undefined, preset };
 }
@@ -0,0 +1,139 @@
+// Context preset endpoints
+// CRUD, version history, sharing and dry-run validation for named presets (see lib/presets.js).
+// Mounted under /workflows/context and /jobs/context:
+//   GET    /context/presets                        -> { presets, builtins }
+//   POST   /context/presets/validate               -> dry run: { valid, model?, stats?, error?, limits }
+//   POST   /context/presets                        -> create
+//   GET    /context/presets/:presetId              -> current (or ?version=N), ?scope=project|user
+//   GET    /context/presets/:presetId/versions     -> version history, ?scope=project|user
+//   PUT    /context/presets/:presetId              -> replace model/description, appends a version
+//   DELETE /context/presets/:presetId?scope=       -> delete with history
+//   POST   /context/presets/:presetId/share        -> copy into another scope/project
+
+import express from 'express';
+import {
+  validatePresetModel,
+  getPreset,
+  listPresets,
+  savePreset,
+  listPresetVersions,
+  deletePreset,
+  sharePreset,
+} from './lib/presets.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+async function resolveUserId(req) {
+  const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
+
+function sendError(res, err, fallback) {
+  const status = Number.isInteger(err?.status) ? err.status : 500;
+  if (status >= 500) console.error(`[presets] ${fallback}`, err);
+  return res.status(status).json({ ok: false, error: status >= 500 ? fallback : err.message });
+}
+
+router.get('/presets', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const result = await listPresets({ userId, projectId: req.projectId });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'Failed to list presets');
+  }
+});
+
+// Body: { model } — nothing is stored
+router.post('/presets/validate', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const result = validatePresetModel(req.body?.model);
+    return res.status(result.valid ? 200 : 400).json({ ok: result.valid, ...result });
+  } catch (err) {
+    return sendError(res, err, 'Failed to validate preset');
+  }
+});
+
+// Body: { presetId: string, model: object, description?: string, scope?: 'project' | 'user' }
+router.post('/presets', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { presetId, model, description, scope = 'project' } = req.body || {};
+    const preset = await savePreset({ userId, projectId: req.projectId, scope, presetId, description, model, mode: 'create' });
+    return res.status(201).json({ ok: true, preset });
+  } catch (err) {
+    return sendError(res, err, 'Failed to create preset');
+  }
+});
+
+router.get('/presets/:presetId', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { scope, version } = req.query || {};
+    const preset = await getPreset({ userId, projectId: req.projectId, presetId: req.params.presetId, scope, version: version !== undefined ? Number(version) : undefined });
+    if (!preset) return res.status(404).json({ ok: false, error: 'Preset not found' });
+    return res.status(200).json({ ok: true, preset });
+  } catch (err) {
+    return sendError(res, err, 'Failed to get preset');
+  }
+});
+
+router.get('/presets/:presetId/versions', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const scope = req.query?.scope || 'project';
+    const versions = await listPresetVersions({ userId, projectId: req.projectId, scope, presetId: req.params.presetId });
+    if (!versions.length) return res.status(404).json({ ok: false, error: 'Preset not found' });
+    return res.status(200).json({ ok: true, presetId: req.params.presetId, scope, versions });
+  } catch (err) {
+    return sendError(res, err, 'Failed to list preset versions');
+  }
+});
+
+// Body: { model: object, description?: string, scope?: 'project' | 'user', expectedVersion?: number }
+router.put('/presets/:presetId', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { model, description, scope = 'project', expectedVersion } = req.body || {};
+    const preset = await savePreset({ userId, projectId: req.projectId, scope, presetId: req.params.presetId, description, model, mode: 'update', expectedVersion });
+    return res.status(200).json({ ok: true, preset });
+  } catch (err) {
+    return sendError(res, err, 'Failed to update preset');
+  }
+});
+
+router.delete('/presets/:presetId', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const scope = req.query?.scope || 'project';
+    const deleted = await deletePreset({ userId, projectId: req.projectId, scope, presetId: req.params.presetId });
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Preset not found' });
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    return sendError(res, err, 'Failed to delete preset');
+  }
+});
+
+// Body: { toScope: 'project' | 'user', scope?: 'project' | 'user', toProjectId?: string, toPresetId?: string }
+router.post('/presets/:presetId/share', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { scope, toScope, toProjectId, toPresetId } = req.body || {};
+    const preset = await sharePreset({ userId, projectId: req.projectId, scope, presetId: req.params.presetId, toScope, toProjectId, toPresetId });
+    return res.status(200).json({ ok: true, preset });
+  } catch (err) {
+    return sendError(res, err, 'Failed to share preset');
+  }
+});
+
+export default router;
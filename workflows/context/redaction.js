@@ -0,0 +1,44 @@
+// Redaction allow list endpoints (per project) for the redactSecrets filter
+// Mounted under /workflows/context and /jobs/context:
+//   GET /context/redaction/allowlist  -> { ok, values, patterns, update_time? }
+//   PUT /context/redaction/allowlist  -> replaces the list; body { values?: string[], patterns?: string[] }
+
+import express from 'express';
+import { readAllowlist, writeAllowlist } from './lib/redaction.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+async function resolveUserId(req) {
+  const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
+
+router.get('/redaction/allowlist', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    if (!req.projectId) return res.status(400).json({ ok: false, error: 'projectId is required' });
+    const list = await readAllowlist({ userId, projectId: req.projectId });
+    return res.status(200).json({ ok: true, ...list });
+  } catch (err) {
+    console.error('Error reading redaction allow list:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to read allow list' });
+  }
+});
+
+router.put('/redaction/allowlist', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    if (!req.projectId) return res.status(400).json({ ok: false, error: 'projectId is required' });
+    const { values, patterns } = req.body || {};
+    const list = await writeAllowlist({ userId, projectId: req.projectId, values, patterns });
+    return res.status(200).json({ ok: true, ...list });
+  } catch (err) {
+    console.error('Error writing redaction allow list:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to write allow list' });
+  }
+});
+
+export default router;
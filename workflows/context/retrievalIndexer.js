@@ -0,0 +1,32 @@
+// Retrieval indexer HTTP job
+// Backfills the embeddings index used by 'retrieve' components. New writes to
+// convo.sessions/{sessionId}/{messages|summaries} are indexed automatically (see lib/retrieval.js);
+// this endpoint covers sessions written before indexing existed or while it was disabled.
+// POST /context/retrieval/reindex (mounted under /workflows/context and /jobs/context)
+
+import express from 'express';
+import { reindexSession, RETRIEVAL_SOURCES } from './lib/retrieval.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+// Body: { sessionId: string, sources?: Array<'messages' | 'summaries'> }
+router.post('/retrieval/reindex', async (req, res) => {
+  try {
+    const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+    const userId = hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+
+    const { sessionId, sources } = req.body || {};
+    if (!sessionId || typeof sessionId !== 'string') {
+      return res.status(400).json({ ok: false, error: 'sessionId (string) is required' });
+    }
+    const result = await reindexSession({ userId, projectId: req.projectId, sessionId, sources: Array.isArray(sources) ? sources : RETRIEVAL_SOURCES });
+    return res.status(200).json({ ok: true, sessionId, ...result });
+  } catch (err) {
+    console.error('Error in retrieval reindex:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to reindex session' });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// Context snapshot endpoints
+// Snapshots are written by POST /context/topicContextYoj/run with { snapshot: true } (see lib/snapshots.js).
+// Mounted under /workflows/context and /jobs/context:
+//   GET /context/snapshots?execId=|sessionId=&limit=   -> { ok, snapshots: [summary] }
+//   GET /context/snapshots/diff?from=&to=              -> { ok, diff }
+//   GET /context/snapshots/:snapshotId                 -> { ok, snapshot }
+
+import express from 'express';
+import { readSnapshot, listSnapshots, diffSnapshots } from './lib/snapshots.js';
+import { getUserIdFromReq } from '../userAuth.js';
+
+const router = express.Router();
+
+async function resolveUserId(req) {
+  const hintedUserId = req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
+
+router.get('/snapshots', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { execId, sessionId, limit } = req.query || {};
+    const snapshots = await listSnapshots({ userId, projectId: req.projectId, execId, sessionId, limit });
+    return res.status(200).json({ ok: true, snapshots });
+  } catch (err) {
+    console.error('Error listing context snapshots:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to list snapshots' });
+  }
+});
+
+router.get('/snapshots/diff', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const { from, to } = req.query || {};
+    if (!from || !to) return res.status(400).json({ ok: false, error: 'from and to snapshot ids are required' });
+    const [a, b] = await Promise.all([
+      readSnapshot({ userId, projectId: req.projectId, snapshotId: String(from) }),
+      readSnapshot({ userId, projectId: req.projectId, snapshotId: String(to) }),
+    ]);
+    if (!a || !b) return res.status(404).json({ ok: false, error: `Snapshot not found: ${!a ? from : to}` });
+    return res.status(200).json({ ok: true, diff: diffSnapshots(a, b) });
+  } catch (err) {
+    console.error('Error diffing context snapshots:', err);
+    return res.status(400).json({ ok: false, error: err?.message || 'Failed to diff snapshots' });
+  }
+});
+
+router.get('/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized: missing or invalid user' });
+    const snapshot = await readSnapshot({ userId, projectId: req.projectId, snapshotId: req.params.snapshotId });
+    if (!snapshot) return res.status(404).json({ ok: false, error: 'Snapshot not found' });
+    return res.status(200).json({ ok: true, snapshot });
+  } catch (err) {
+    console.error('Error reading context snapshot:', err);
+    return res.status(500).json({ ok: false, error: 'Failed to read snapshot' });
+  }
+});
+
+export default router;
@@ -1,42 +1,63 @@
 // TopicContextYoj context endpoint (JS server-side)
 // Accepts a structured model definition describing which Yoj/Ista components
 // to assemble into the final ChatMessage list, mirroring Scala's modular DSL.
+// Every read goes through a data access (lib/dataAccess.js): Firestore, or the JSON fixtures at
+// CONTEXT_DATA_FIXTURES. runTopicContext() runs the whole pipeline against any data access.
 
 import express from 'express';
-import { promoteKala, buildYojMessages } from './lib/prakriya.js';
+import { promoteKala, buildYojMessages, buildIstaMessages } from './lib/prakriya.js';
 import { decodeContextModel } from './modelDecoder.js';
 import { applyFilters } from './filters/index.js';
+import { createExplainRecorder } from './filters/explain.js';
+import { buildRetrieveMessages, latestUserQuery } from './lib/retrieval.js';
+import { buildSessionsMessages } from './lib/sessions.js';
+import { resolveStoredPreset } from './lib/presets.js';
+import { planBudgets, tagBudget } from './lib/budgets.js';
+import { writeSnapshot } from './lib/snapshots.js';
+import { readKalaCalendar } from './lib/calendar.js';
+import { redactSecrets } from './filters/redactSecrets.js';
+import { resolveTokenizer, countMessagesTokens } from './lib/tokenizers.js';
+import { pickDataAccess } from './lib/dataAccess.js';
 import { getUserIdFromReq } from '../../jobs/userAuth.js';
 
 const router = express.Router();
 
-async function runUpstream({ name, kala, userId, projectId, framing, includeDocId = false }) {
-  const nextKala = promoteKala(kala);
+async function runUpstream({ name, kala, userId, projectId, framing, includeDocId = false, calendar, data }) {
+  const nextKala = promoteKala(kala, calendar);
   if (!nextKala) return [];
-  const upstreamYoj = await runUpstream({ name, kala: nextKala, userId, projectId, framing, includeDocId });
-  const promotedYoj = await buildYojMessages({ name, kala: nextKala, userId, projectId, framing, includeDocId });
+  const upstreamYoj = await runUpstream({ name, kala: nextKala, userId, projectId, framing, includeDocId, calendar, data });
+  const promotedYoj = await buildYojMessages({ name, kala: nextKala, userId, projectId, framing, includeDocId, calendar, data });
   return [...upstreamYoj, ...promotedYoj];
 }
 
-async function buildComponentMessages({ component, kala, userId, projectId, includeDocId = false }) {
+async function buildComponentMessages({ component, kala, userId, projectId, includeDocId = false, calendar, data }) {
   const { kind } = component;
   if (kind === 'yoj') {
     const { name, framing = '' } = component;
-    return await buildYojMessages({ name, kala, userId, projectId, framing, includeDocId });
+    return await buildYojMessages({ name, kala, userId, projectId, framing, includeDocId, calendar, data });
   }
   if (kind === 'ista') {
-    // For now, treat Ista like Yoj reads (same storage structure), if needed we can
-    // add separate pathing later.
-    const { name, framing = '' } = component;
-    return await buildYojMessages({ name, kala, userId, projectId, framing, includeDocId });
+    // Ista is durable state: inject the latest snapshot as of the Kala as a single message
+    const { name, framing = '', scope } = component;
+    return await buildIstaMessages({ name, kala, userId, projectId, scope, framing, includeDocId, data });
   }
   if (kind === 'literal') {
     const { value } = component;
     return [{ role: 'system', content: value }];
   }
+  if (kind === 'sessions') {
+    // Earlier sibling sessions, each under its own header (see lib/sessions.js)
+    return await buildSessionsMessages({ component, kala, userId, projectId, includeDocId, calendar, data });
+  }
   return [];
 }
 
+// Tokenizer used for the reported total: the last sizeLimiter's explicit choice, else the model's
+function reportTokenizerSpec(pipeline = [], modelName) {
+  const limiter = [...pipeline].reverse().find(f => f && typeof f === 'object' && f.name === 'sizeLimiter');
+  return { tokenizer: limiter?.options?.tokenizer, model: modelName };
+}
+
 function extractSessionId(kala) {
   if (!kala || !kala.kind) return undefined;
   if (kala.kind === 'SegKala' && kala.sessionId) return kala.sessionId;
@@ -59,57 +80,251 @@ function flattenComponents(components = []) {
   return out;
 }
 
-router.post('/topicContextYoj/run', async (req, res) => {
-  try {
-    // Prefer explicit userId for jobs endpoints, then fall back to token-based extraction
-    const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
-    const userId = hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
-    if (!userId) return res.status(401).json({ error: 'Unauthorized: missing or invalid user token' });
+// Resolves the user's preset (if any) and decodes the request body. Throws on invalid input.
+async function decodeRequest({ body, userId, projectId, data }) {
+  // Named presets: stored (project, then user scope) take precedence over builtins
+  const storedPreset = !body.model && typeof body.presetId === 'string'
+    ? await resolveStoredPreset({ userId, projectId, presetId: body.presetId, presetVersion: body.presetVersion, data })
+    : null;
+  return decodeContextModel(body, { storedPreset });
+}
+
+// Reads every component of a decoded model and returns the unfiltered window.
+// onComponent (optional) is called as soon as each leaf has been read, in read order:
+//   onComponent({ index, component, messages, ms })   index -1 is the intro
+async function assembleContext({ decoded, userId, projectId, includeDocId, data, onComponent }) {
+  const { kala, model, query } = decoded;
+  const report = async (index, component, messages, startedAt) => {
+    if (onComponent) await onComponent({ index, component, messages, ms: Date.now() - startedAt });
+  };
 
-    const projectId = req.projectId;
+  const messages = [];
 
-    const { kala, model } = decodeContextModel(req.body || {});
+  // Optional intro
+  if (model.intro?.system) {
+    messages.push({ role: 'system', content: model.intro.system });
+    await report(-1, { kind: 'intro' }, messages.slice(), Date.now());
+  }
 
-    // New optional flag: include document IDs alongside returned messages
-    const includeDocId = Boolean(req?.body?.includeDocId);
+  // Flatten components (DFS, left-to-right). Only leaves are rendered.
+  const leaves = flattenComponents(model.components);
 
-    const messages = [];
+  // The project's Kala calendar shapes promotion and log reads (Yoj and sessions leaves only)
+  const calendar = leaves.some(c => c.kind === 'yoj' || c.kind === 'sessions') ? await readKalaCalendar({ userId, projectId, data }) : undefined;
 
-    // Optional intro
-    if (model.intro?.system) {
-      messages.push({ role: 'system', content: model.intro.system });
+  // Retrieve leaves are rendered after the others (they may need the latest user message as
+  // their query), then spliced back into their position.
+  const segments = [];
+  for (const [index, component] of leaves.entries()) {
+    if (component.kind === 'retrieve') {
+      segments.push({ index, component, messages: [] });
+      continue;
+    }
+    const startedAt = Date.now();
+    const segment = [];
+    // Ista is a snapshot, not a log: there is no upstream history to promote
+    if (model.promoteUpstream && component.kind === 'yoj') {
+      // Include upstream context for promoted Kala(s)
+      const upstream = await runUpstream({ name: component.name, kala, userId, projectId, framing: component.framing || '', includeDocId, calendar, data });
+      segment.push(...upstream);
     }
 
-    // Flatten components (DFS, left-to-right). Only leaves are rendered.
-    const leaves = flattenComponents(model.components);
+    const local = await buildComponentMessages({ component, kala, userId, projectId, includeDocId, calendar, data });
+    segment.push(...local);
+    segments.push({ index, component, messages: segment });
+    await report(index, component, segment, startedAt);
+  }
 
-    for (const component of leaves) {
-      if (model.promoteUpstream && (component.kind === 'yoj' || component.kind === 'ista')) {
-        // Include upstream context for promoted Kala(s)
-        const upstream = await runUpstream({ name: component.name, kala, userId, projectId, framing: component.framing || '', includeDocId });
-        messages.push(...upstream);
+  const retrieveSegments = segments.filter(s => s.component.kind === 'retrieve');
+  if (retrieveSegments.length) {
+    const defaultQuery = query || (retrieveSegments.some(s => !s.component.query) ? await latestUserQuery({ kala, userId, projectId, data }) : null);
+    for (const s of retrieveSegments) {
+      const startedAt = Date.now();
+      try {
+        s.messages = await buildRetrieveMessages({ component: s.component, kala, userId, projectId, query: defaultQuery, includeDocId });
+      } catch (e) {
+        // Retrieval is an enhancement: fail open with no hits
+        console.error('[topicContextYoj] retrieve component failed', e?.message || e);
       }
+      await report(s.index, s.component, s.messages, startedAt);
+    }
+  }
+  // Per-component budgets: tag each message with its pool for sizeLimiter (see lib/budgets.js)
+  const budgetPlan = planBudgets(model.components);
+  for (const s of segments) {
+    if (budgetPlan) tagBudget(s.messages, budgetPlan.keyOf.get(s.component));
+    messages.push(...s.messages);
+  }
+  return { messages, budgetPlan };
+}
+
+// Runs the filter pipeline over the assembled window and builds the response object
+// ({ yoj, tokens, preset, snapshotId?, snapshotError?, explain? }).
+async function finishContext({ decoded, body, userId, projectId, includeDocId, explainRequested, data, messages, budgetPlan }) {
+  const { kala, model, modelName, query, preset } = decoded;
+
+  // Build filters (defaults handled in modelDecoder; fallback kept in sync with AGENT.md)
+  const pipeline = model.filters;
 
-      const local = await buildComponentMessages({ component, kala, userId, projectId, includeDocId });
-      messages.push(...local);
+  const ctx = { sessionId: extractSessionId(kala), userId, projectId, model: modelName, data };
+  if (budgetPlan) ctx.budgets = budgetPlan.pools;
+  if (explainRequested) {
+    ctx.explain = createExplainRecorder({ tokenizer: await resolveTokenizer({ model: modelName }) });
+  }
+
+  // Apply filter pipeline (note: now async to support Firestore lookups)
+  const filtered = await applyFilters(
+    messages,
+    pipeline,
+    ctx,
+  );
+
+  const tok = await resolveTokenizer(reportTokenizerSpec(pipeline, modelName));
+  const tokens = { total: countMessagesTokens(filtered, tok), tokenizer: tok.name };
+
+  const out = { yoj: filtered, tokens, preset };
+  // Optional immutable snapshot of exactly what was returned (see lib/snapshots.js)
+  if (body.snapshot === true) {
+    try {
+      const { snapshotId } = await writeSnapshot({
+        userId,
+        projectId,
+        execId: body.execId,
+        sessionId: ctx.sessionId,
+        kala,
+        request: {
+          presetId: body.presetId,
+          presetVersion: body.presetVersion,
+          presetOptions: body.presetOptions,
+          modelName,
+          query,
+          includeDocId,
+        },
+        preset,
+        model,
+        tokens,
+        messages: filtered,
+      });
+      out.snapshotId = snapshotId;
+    } catch (e) {
+      // The context itself is fine; report instead of failing the run
+      console.error('[topicContextYoj] snapshot write failed', e?.message || e);
+      out.snapshotError = String(e?.message || e);
     }
+  }
+  if (ctx.explain) out.explain = { tokenizer: ctx.explain.tokenizer, filters: ctx.explain.entries };
+  return out;
+}
+
+// Decodes, assembles and filters one request body: the /run response object.
+// data: the data access to read from (default: Firestore, or CONTEXT_DATA_FIXTURES when set)
+export async function runTopicContext({ body = {}, userId, projectId, data = pickDataAccess() }) {
+  const decoded = await decodeRequest({ body, userId, projectId, data });
+  // New optional flag: include document IDs alongside returned messages
+  const includeDocId = Boolean(body.includeDocId);
+  // Optional flag: return a per-filter trace next to yoj
+  const explainRequested = Boolean(body.explain);
 
-    // Build filters (defaults handled in modelDecoder; fallback kept in sync with AGENT.md)
-    const pipeline = model.filters;
+  const { messages, budgetPlan } = await assembleContext({ decoded, userId, projectId, includeDocId, data });
+  return finishContext({ decoded, body, userId, projectId, includeDocId, explainRequested, data, messages, budgetPlan });
+}
 
-    const ctx = { sessionId: extractSessionId(kala), userId, projectId };
+async function resolveUserId(req) {
+  // Prefer explicit userId for jobs endpoints, then fall back to token-based extraction
+  const hintedUserId = req?.body?.userId || req?.query?.userId || req?.headers?.['x-user-id'] || req?.userId;
+  return hintedUserId ? String(hintedUserId) : (await getUserIdFromReq(req));
+}
 
-    // Apply filter pipeline (note: now async to support Firestore lookups)
-    const filtered = await applyFilters(
-      messages,
-      pipeline,
-      ctx,
-    );
+router.post('/topicContextYoj/run', async (req, res) => {
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ error: 'Unauthorized: missing or invalid user token' });
 
-    return res.status(200).json({ yoj: filtered });
+    const out = await runTopicContext({ body: req.body || {}, userId, projectId: req.projectId });
+    return res.status(200).json(out);
   } catch (err) {
     console.error('Error in /context/topicContextYoj/run:', err);
-    return res.status(400).json({ error: err?.message || 'Failed to run TopicContextYoj' });
+    return res.status(Number.isInteger(err?.status) ? err.status : 400).json({ error: err?.message || 'Failed to run TopicContextYoj' });
+  }
+});
+
+// Streaming variant: same request body as /run, response is NDJSON (one JSON event per line):
+//   { type: 'start', components: [{ index, kind, name? }], preset? }
+//   { type: 'component', index, kind, name?, messages, count, ms, elapsedMs }   as each component is read
+//   { type: 'progress', stage: 'filters', ms, elapsedMs }
+//   { type: 'result', yoj, tokens, preset?, snapshotId?, snapshotError?, explain?, elapsedMs }
+//   { type: 'error', error }                                                    then the stream ends
+// Component messages are unfiltered (pre-pipeline); when the pipeline contains redactSecrets, they
+// are redacted with the same options before being sent. Request errors before the first event
+// (auth, decoding) are returned as regular JSON responses with a 4xx status.
+router.post('/topicContextYoj/stream', async (req, res) => {
+  let decoded;
+  let userId;
+  const body = req.body || {};
+  const data = pickDataAccess();
+  try {
+    userId = await resolveUserId(req);
+    if (!userId) return res.status(401).json({ error: 'Unauthorized: missing or invalid user token' });
+    decoded = await decodeRequest({ body, userId, projectId: req.projectId, data });
+  } catch (err) {
+    console.error('Error in /context/topicContextYoj/stream:', err);
+    return res.status(Number.isInteger(err?.status) ? err.status : 400).json({ error: err?.message || 'Failed to run TopicContextYoj' });
+  }
+
+  const projectId = req.projectId;
+  const includeDocId = Boolean(body.includeDocId);
+  const explainRequested = Boolean(body.explain);
+  const startedAt = Date.now();
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+  const send = (event) => {
+    if (closed) return;
+    try {
+      res.write(`${JSON.stringify(event)}\n`);
+    } catch (_) {
+      closed = true;
+    }
+  };
+
+  const redaction = decoded.model.filters.find(f => f?.name === 'redactSecrets');
+  const ctx = { sessionId: extractSessionId(decoded.kala), userId, projectId, model: decoded.modelName, data };
+  const describe = (component) => ({ kind: component.kind, ...(component.name ? { name: component.name } : {}) });
+
+  try {
+    send({
+      type: 'start',
+      components: flattenComponents(decoded.model.components).map((c, index) => ({ index, ...describe(c) })),
+      preset: decoded.preset,
+    });
+
+    const { messages, budgetPlan } = await assembleContext({
+      decoded,
+      userId,
+      projectId,
+      includeDocId,
+      data,
+      onComponent: async ({ index, component, messages: componentMessages, ms }) => {
+        const visible = redaction ? await redactSecrets(componentMessages, redaction.options || {}, ctx) : componentMessages;
+        send({ type: 'component', index, ...describe(component), messages: visible, count: visible.length, ms, elapsedMs: Date.now() - startedAt });
+      },
+    });
+    if (closed) return;
+
+    const filtersStartedAt = Date.now();
+    const out = await finishContext({ decoded, body, userId, projectId, includeDocId, explainRequested, data, messages, budgetPlan });
+    send({ type: 'progress', stage: 'filters', ms: Date.now() - filtersStartedAt, elapsedMs: Date.now() - startedAt });
+    send({ type: 'result', ...out, elapsedMs: Date.now() - startedAt });
+  } catch (err) {
+    console.error('Error in /context/topicContextYoj/stream:', err);
+    send({ type: 'error', error: err?.message || 'Failed to run TopicContextYoj' });
+  } finally {
+    try { res.end(); } catch (_) {}
   }
 });
 
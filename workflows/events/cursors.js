@@ -63,63 +63,76 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /events/cursors — save a project-wide and/or session-specific cursor
-// Body: { projectId? | workspaceId?, sessionId?, eventId, timestamp, target?: 'project'|'session'|'both' }
-router.post('/', async (req, res) => {
-  try {
-    const userId = req.userId;
-    if (!userId) return res.status(401).json({ error: 'Unauthorized: missing req.userId' });
-
-    const db = getFirestore();
-
-    const body = req.body || {};
-    const workspaceId = String(body.workspaceId || body.workspace_id || '').trim();
-    let projectId = String(body.projectId || body.project_id || '').trim();
-    let sessionId = String(body.sessionId || body.session_id || '').trim();
+function cursorError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Saves a project-wide and/or session-specific cursor (POST /events/cursors and WebSocket ack frames).
+// body: { projectId? | workspaceId?, sessionId?, eventId, timestamp, target?: 'project'|'session'|'both' }
+// Returns { ok, projectId, sessionId, updated }; throws with err.status on invalid input.
+export async function saveCursor({ userId, scopeProjectId, body = {} }) {
+  if (!userId) throw cursorError(401, 'Unauthorized: missing req.userId');
+
+  const db = getFirestore();
+
+  const workspaceId = String(body.workspaceId || body.workspace_id || '').trim();
+  let projectId = String(body.projectId || body.project_id || '').trim();
+  let sessionId = String(body.sessionId || body.session_id || '').trim();
+
+  if (workspaceId) {
+    const wsPath = projectScopedCollectionPath(userId, scopeProjectId, `workspaces/${workspaceId}`);
+    const wsSnap = await db.doc(wsPath).get();
+    if (!wsSnap.exists) throw cursorError(404, 'workspace not found');
+    const ws = wsSnap.data() || {};
+    if (!projectId) projectId = String(ws.projectId || '').trim();
+    if (!sessionId && typeof ws.sessionId === 'string') sessionId = String(ws.sessionId || '').trim();
+  }
 
-    if (workspaceId) {
-      const wsPath = projectScopedCollectionPath(userId, req.projectId, `workspaces/${workspaceId}`);
-      const wsSnap = await db.doc(wsPath).get();
-      if (!wsSnap.exists) return res.status(404).json({ error: 'workspace not found' });
-      const ws = wsSnap.data() || {};
-      if (!projectId) projectId = String(ws.projectId || '').trim();
-      if (!sessionId && typeof ws.sessionId === 'string') sessionId = String(ws.sessionId || '').trim();
-    }
+  if (!projectId) throw cursorError(400, 'projectId or workspaceId required');
 
-    if (!projectId) return res.status(400).json({ error: 'projectId or workspaceId required' });
+  const eventId = String(body.eventId || body.id || '').trim();
+  const timestampRaw = has(body.timestamp) ? body.timestamp : body.create_time || body.time;
+  const timestamp = typeof timestampRaw === 'number' ? String(timestampRaw) : String(timestampRaw || '').trim();
 
-    const eventId = String(body.eventId || body.id || '').trim();
-    const timestampRaw = has(body.timestamp) ? body.timestamp : body.create_time || body.time;
-    const timestamp = typeof timestampRaw === 'number' ? String(timestampRaw) : String(timestampRaw || '').trim();
+  if (!eventId) throw cursorError(400, 'eventId required');
+  if (!timestamp) throw cursorError(400, 'timestamp required');
 
-    if (!eventId) return res.status(400).json({ error: 'eventId required' });
-    if (!timestamp) return res.status(400).json({ error: 'timestamp required' });
+  const targetRaw = String(body.target || '').trim().toLowerCase();
+  let targets;
+  if (targetRaw === 'both') targets = ['project', 'session'];
+  else if (targetRaw === 'project') targets = ['project'];
+  else if (targetRaw === 'session') targets = ['session'];
+  else targets = sessionId ? ['session'] : ['project'];
 
-    const targetRaw = String(body.target || '').trim().toLowerCase();
-    let targets;
-    if (targetRaw === 'both') targets = ['project', 'session'];
-    else if (targetRaw === 'project') targets = ['project'];
-    else if (targetRaw === 'session') targets = ['session'];
-    else targets = sessionId ? ['session'] : ['project'];
+  if (targets.includes('session') && !sessionId) throw cursorError(400, 'sessionId required for session-target cursor');
 
-    if (targets.includes('session') && !sessionId) return res.status(400).json({ error: 'sessionId required for session-target cursor' });
+  const colPath = projectScopedCollectionPath(userId, scopeProjectId, `cursors`);
 
-    const colPath = projectScopedCollectionPath(userId, req.projectId, `cursors`);
+  const toWrite = [];
+  if (targets.includes('project')) {
+    const ref = db.doc(`${colPath}/project`);
+    toWrite.push(ref.set({ eventId, timestamp, updatedAt: FieldValue.serverTimestamp() }, { merge: true }));
+  }
+  if (targets.includes('session')) {
+    const ref = db.doc(`${colPath}/session:${sessionId}`);
+    toWrite.push(ref.set({ eventId, timestamp, sessionId, updatedAt: FieldValue.serverTimestamp() }, { merge: true }));
+  }
 
-    const toWrite = [];
-    if (targets.includes('project')) {
-      const ref = db.doc(`${colPath}/project`);
-      toWrite.push(ref.set({ eventId, timestamp, updatedAt: FieldValue.serverTimestamp() }, { merge: true }));
-    }
-    if (targets.includes('session')) {
-      const ref = db.doc(`${colPath}/session:${sessionId}`);
-      toWrite.push(ref.set({ eventId, timestamp, sessionId, updatedAt: FieldValue.serverTimestamp() }, { merge: true }));
-    }
+  await Promise.all(toWrite);
 
-    await Promise.all(toWrite);
+  return { ok: true, projectId, sessionId: sessionId || null, updated: targets };
+}
 
-    res.status(200).json({ ok: true, projectId, sessionId: sessionId || null, updated: targets });
+// POST /events/cursors — save a project-wide and/or session-specific cursor
+// Body: { projectId? | workspaceId?, sessionId?, eventId, timestamp, target?: 'project'|'session'|'both' }
+router.post('/', async (req, res) => {
+  try {
+    const result = await saveCursor({ userId: req.userId, scopeProjectId: req.projectId, body: req.body || {} });
+    res.status(200).json(result);
   } catch (err) {
+    if (err?.status) return res.status(err.status).json({ error: err.message });
     console.error('[events POST /cursors] error', err);
     res.status(400).json({ error: String(err?.message || err) });
   }
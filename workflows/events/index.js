@@ -1,10 +1,13 @@
 import express from 'express';
 import { normalizeEnvelope, parseBool, pickBackend } from './model.js';
 import { createSSEConnection } from './sse.js';
+import { isWebSocketUpgrade, acceptWebSocket, wsFrameError } from './ws.js';
 import { metrics, incCounter } from './metrics.js';
-import { getFirestore } from 'firebase-admin/firestore';
-import { projectScopedCollectionPath } from '../userAuth.js';
-import cursorsRouter from './cursors.js';
+import { resolveCursor, replayThenSubscribe } from './replay.js';
+import { parseStreamFilter } from './streamFilter.js';
+import { resolveStreamScope } from './scope.js';
+import cursorsRouter, { saveCursor } from './cursors.js';
+import { invokeCallback } from '../callbacks/index.js';
 
 const router = express.Router();
 router.use(express.json({ limit: process.env.RELAY_EVENT_MAX_BYTES || '64kb' }));
@@ -14,21 +17,6 @@ router.use('/cursors', cursorsRouter);
 
 // NOTE: Auth is applied at the workflows router level via shared clientAuth. This router assumes req.userId is already set when required.
 
-function has(v) { return v !== undefined && v !== null; }
-function parseTtlMs(q) {
-  const ttlMsParam = q.ttlMs ?? q.ttl_ms ?? q.ttlms;
-  const ttlSecParam = q.ttlSec ?? q.ttl_sec ?? q.ttl;
-  let ttlMs = undefined;
-  if (has(ttlMsParam)) ttlMs = Number(ttlMsParam);
-  if (!Number.isFinite(ttlMs) || ttlMs <= 0) {
-    const asSec = has(ttlSecParam) ? Number(ttlSecParam) : undefined;
-    if (Number.isFinite(asSec) && asSec > 0) ttlMs = asSec * 1000;
-  }
-  // Default TTL: 5 minutes
-  if (!Number.isFinite(ttlMs) || ttlMs <= 0) ttlMs = 5 * 60 * 1000;
-  return Math.floor(ttlMs);
-}
-
 // Health and metrics
 router.get('/health', (req, res) => {
   const b = pickBackend(req.userId, req.projectId);
@@ -93,161 +81,135 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /stream — Server-Sent Events stream
+// GET /stream — Server-Sent Events stream (workspace or session scoped, see scope.js)
 router.get('/stream', async (req, res) => {
+  const sendError = (status, error) => {
+    res.status(status).end(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+  };
   try {
-    const userId = req.userId;
-    const backend = pickBackend(userId, req.projectId);
+    const backend = pickBackend(req.userId, req.projectId);
     // SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('X-Accel-Buffering', 'no');
     res.setHeader('Connection', 'keep-alive');
 
-    const workspaceId = String(req.query.workspaceId || req.query.workspace_id || '').trim();
-    // const sessionIdLegacy = String(req.query.sessionId || '').trim();
-
     const heartbeatMs = Math.max(Number(req.query.heartbeat_ms || process.env.RELAY_HEARTBEAT_MS || 15000), 1000);
-    const lastEventId = req.get('Last-Event-ID');
-    const since_id = req.query.since_id ? String(req.query.since_id) : null;
-    const since_time = req.query.since_time ? String(req.query.since_time) : null;
-
-    console.log("[events/stream] Last event ID:", lastEventId);
+    // Resume cursor: Last-Event-ID, since_id or since_time (see replay.js)
+    const cursor = resolveCursor(req);
+    // Server-side filters (streamFilter.js) and the workspace or session to stream (scope.js)
+    let scope;
+    try {
+      const filter = parseStreamFilter(req.query || {});
+      scope = await resolveStreamScope(req, backend, filter);
+    } catch (e) {
+      if (!e?.status) throw e;
+      sendError(e.status, String(e.message));
+      return;
+    }
 
     const sse = createSSEConnection(res, { heartbeatMs });
-
-    // Workspace-scoped streaming (preferred)
-    if (workspaceId) {
-      if (!userId) {
-        res.status(401).end('event: error\ndata: {"error":"Unauthorized: missing req.userId"}\n\n');
-        return;
-      }
-
-      const db = getFirestore();
-      const wsPath = projectScopedCollectionPath(userId, req.projectId, `workspaces/${workspaceId}`);
-      const wsRef = db.doc(wsPath);
-      const wsSnap = await wsRef.get();
-      if (!wsSnap.exists) {
-        res.status(404).end('event: error\ndata: {"error":"workspace not found"}\n\n');
-        return;
-      }
-      const ws = wsSnap.data() || {};
-      const ttlMs = parseTtlMs(req.query || {});
-      const cutoff = Date.now() - ttlMs;
-      if (!ws.live_at || ws.live_at < cutoff) {
-        res.status(404).end('event: error\ndata: {"error":"workspace not live"}\n\n');
-        return;
-      }
-      // const projectId = String(ws.projectId || '').trim();
-      // if (!projectId) {
-      //   res.status(400).end('event: error\ndata: {"error":"workspace missing projectId"}\n\n');
-      //   return;
-      // }
-
-      // Service-driven heartbeat for live workspace while the stream is open (opt-out with ?heartbeat=none)
-      const heartbeatMode = String(req.query.heartbeat || '').trim().toLowerCase();
-      const enableHeartbeat = heartbeatMode !== 'none';
-      const heartbeatCadenceMs = Math.max(5000, Math.min(Math.floor(ttlMs / 3), 60000));
-      let hbTimer = null;
-      let lastHeartbeatWriteAt = 0;
-      const writeHeartbeat = async (reason = 'interval') => {
-        const now = Date.now();
-        // Rate-limit to ~cadence; skip if we already wrote recently
-        if (now - lastHeartbeatWriteAt < (heartbeatCadenceMs - 250)) return;
-        try {
-          await wsRef.update({ live_at: now });
-          lastHeartbeatWriteAt = now;
-          incCounter('relay_workspace_heartbeat_writes_total');
-        } catch (e) {
-          // Best-effort; log and continue
-          console.warn('[events stream] workspace heartbeat update failed', { workspaceId, reason, error: String(e?.message || e) });
-        }
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      try { sse.close(); } catch {}
+    });
+    const hbTimer = await scope.startHeartbeat();
+
+    // Replay from the client's cursor, then stream live events until the connection closes
+    let unsubscribe = null;
+    try {
+      ({ unsubscribe } = await replayThenSubscribe({ stream: scope.stream, sse, cursor, accept: scope.accept }));
+    } finally {
+      // Cleanup on connection close (or right away when the client left during replay)
+      const cleanup = () => {
+        try { unsubscribe && unsubscribe(); } catch {}
+        try { sse.close(); } catch {}
+        try { hbTimer && clearInterval(hbTimer); } catch {}
       };
+      if (closed || !unsubscribe) cleanup();
+      else res.on('close', cleanup);
+    }
+  } catch (err) {
+    console.error('[events stream] error', err);
+    try { res.end(); } catch {}
+  }
+});
 
-      if (enableHeartbeat) {
-        // On connect: bump live_at immediately
-        await writeHeartbeat('connect');
-        // While open: refresh on a fixed cadence
-        hbTimer = setInterval(() => { void writeHeartbeat('interval'); }, heartbeatCadenceMs);
-      }
-
-      // Determine filter mode based on workspace session binding
-      const sessionId = typeof ws.sessionId === 'string' && ws.sessionId.trim().length > 0 ? ws.sessionId.trim() : null;
-
-      // Prepare initial replay for project scope
-      let replayItems = [];
-      let lastSeenTime = null;
-      // These comma return logic are wrong!
-      if (lastEventId) {
-        replayItems, lastSeenTime = await backend.replayProjectByUlid(lastEventId, Number(process.env.RELAY_REPLAY_LIMIT || 500));
-      } else if (since_id) {
-        replayItems, lastSeenTime = await backend.replayProjectByUlid(since_id, Number(process.env.RELAY_REPLAY_LIMIT || 500));
-      } else if (since_time) {
-        replayItems, lastSeenTime = await backend.replayProjectByTime(since_time, Number(process.env.RELAY_REPLAY_LIMIT || 500));
-      }
+// GET /ws — WebSocket transport: the /stream scoping, filters and resume protocol, plus client frames
+// to commit cursors and post callback results (see ws.js). Upgrade requests reach this route through
+// routeUpgrades(app), so clientAuth and the project middleware run as for any other request.
+router.get('/ws', async (req, res) => {
+  if (!isWebSocketUpgrade(req)) {
+    return res.status(426).set('Upgrade', 'websocket').json({ error: 'WebSocket upgrade required' });
+  }
+  let conn = null;
+  try {
+    const backend = pickBackend(req.userId, req.projectId);
+    const heartbeatMs = Math.max(Number(req.query.heartbeat_ms || process.env.RELAY_HEARTBEAT_MS || 15000), 1000);
+    const cursor = resolveCursor(req);
+    let scope;
+    try {
+      const filter = parseStreamFilter(req.query || {});
+      scope = await resolveStreamScope(req, backend, filter);
+    } catch (e) {
+      // Rejects the handshake with a plain HTTP error
+      if (!e?.status) throw e;
+      return res.status(e.status).json({ error: String(e.message) });
+    }
 
-      console.log("[events/stream] Last seen time: ", lastSeenTime, ", since_id: ", since_id, ", since_time: ", since_time)
-      console.log("[events/stream] Replay items: ", JSON.stringify(replayItems))
-
-      if (sessionId) {
-        // Session-scoped workspace: include only that session's events. Background flag is ignored per new model.
-        for (const ev of replayItems) {
-          if (ev.sessionId !== sessionId) continue;
-          sse.sendEvent(ev);
-          lastSeenTime = ev.create_time;
-        }
-        if (replayItems?.length) incCounter('relay_events_replayed_total', replayItems.length);
-
-        const unsub = await backend.subscribeProject((ev) => {
-          if (ev.sessionId !== sessionId) return;
-          const ok = sse.sendEvent(ev);
-          if (!ok) {
-            incCounter('relay_events_dropped_total');
-            try { sse.close(); } catch {}
-          } else {
-            incCounter('relay_events_streamed_total');
-          }
-        }, { after_time: lastSeenTime });
-
-        req.on('close', () => {
-          try { unsub && unsub(); } catch {}
-          try { sse.close(); } catch {}
-          try { hbTimer && clearInterval(hbTimer); } catch {}
+    conn = acceptWebSocket(req, res, { heartbeatMs });
+    const hbTimer = await scope.startHeartbeat();
+
+    // Client frames: ack commits a cursor (as POST /cursors), callback invokes a stored callback
+    // (as POST /callbacks/:id); replies echo the frame's ref
+    conn.onFrame(async (frame) => {
+      if (frame.type === 'ack') {
+        const result = await saveCursor({
+          userId: req.userId,
+          scopeProjectId: req.projectId,
+          body: {
+            projectId: req.projectId,
+            workspaceId: scope.workspaceId || undefined,
+            sessionId: frame.sessionId || scope.sessionId || undefined,
+            eventId: frame.eventId,
+            timestamp: frame.timestamp,
+            target: frame.target,
+          },
         });
-      } else {
-        // Project-wide workspace: send *all* project events (no filtering by live sessions)
-        for (const ev of replayItems) {
-          sse.sendEvent(ev);
-          console.log("[events/stream] Sent event: ", JSON.stringify(ev));
-          lastSeenTime = ev.create_time;
-        }
-        if (replayItems?.length) incCounter('relay_events_replayed_total', replayItems.length);
-
-        // Subscribe to all future project events
-        const unsub = await backend.subscribeProject((ev) => {
-          console.log("[events/stream] Sending event: ", JSON.stringify(ev));
-          const ok = sse.sendEvent(ev);
-          if (!ok) {
-            incCounter('relay_events_dropped_total');
-            try { sse.close(); } catch {}
-          } else {
-            incCounter('relay_events_streamed_total');
-          }
-        }, { after_time: lastSeenTime });
-
-        // Cleanup on connection close
-        req.on('close', () => {
-          try { unsub && unsub(); } catch {}
-          try { sse.close(); } catch {}
-          try { hbTimer && clearInterval(hbTimer); } catch {}
+        return { type: 'ack_result', data: result };
+      }
+      if (frame.type === 'callback') {
+        const { status, body } = await invokeCallback({
+          userId: req.userId,
+          projectId: req.projectId,
+          id: frame.callbackId,
+          body: frame.body ?? {},
         });
+        return { type: 'callback_result', data: { callbackId: frame.callbackId, status, body } };
       }
-
-      return; // handled
+      throw wsFrameError(`unknown frame type: ${frame.type}`);
+    });
+
+    let unsubscribe = null;
+    try {
+      ({ unsubscribe } = await replayThenSubscribe({ stream: scope.stream, sse: conn, cursor, accept: scope.accept }));
+    } finally {
+      const cleanup = () => {
+        try { unsubscribe && unsubscribe(); } catch {}
+        try { conn.close(); } catch {}
+        try { hbTimer && clearInterval(hbTimer); } catch {}
+      };
+      if (conn.closed || !unsubscribe) cleanup();
+      else conn.onClose(cleanup);
     }
   } catch (err) {
-    console.error('[events stream] error', err);
-    try { res.end(); } catch {}
+    console.error('[events ws] error', err);
+    if (conn) {
+      try { conn.close(); } catch {}
+    } else if (!res.headersSent) {
+      try { res.status(500).json({ error: String(err?.message || err) }); } catch {}
+    }
   }
 });
 
@@ -17,6 +17,8 @@ export const metrics = {
       'relay_events_streamed_total',
       'relay_events_replayed_total',
       'relay_events_dropped_total',
+      'relay_events_filtered_total',
+      'relay_ws_frames_received_total',
     ];
     for (const name of known) {
       lines.push(`# TYPE ${name} counter`);
@@ -1,4 +1,4 @@
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
 import { projectScopedCollectionPath } from '../utils.js';
 
 function env(name, def) {
@@ -58,115 +58,330 @@ export function normalizeEnvelope(input) {
 
 // ----------------------
 // Backends
+// Every backend is scoped to one user's project (pickBackend(userId, projectId)) and implements:
+//   append(env)
+//   project stream: subscribeProject(onEvent, { after_time? }) => unsubscribe
+//                   replayProjectByUlid(since_id, limit), replayProjectByTime(since_time, limit), recentProject(limit)
+//   session stream: subscribe(sessionId, onEvent, { after_time? }) => unsubscribe
+//                   replayByUlid(sessionId, since_id, limit), replayByTime(sessionId, since_time, limit), recent(sessionId, limit)
+// Semantics shared by all backends (events are ordered by create_time, then id):
+//   - replay*ByUlid: up to limit events after since_id; the most recent limit when since_id is unknown (expired/evicted)
+//   - replay*ByTime: up to limit events with create_time >= since_time
+//   - recent*: the last limit events, oldest first
+//   - subscribe*: stored events with create_time > after_time (every stored event without it), then each new event
+// RELAY_BACKEND selects the backend: 'firestore' (default), 'memory' (process-local buffers) or 'pubsub'
+// (a Redis-style list + pub/sub client, see PubSubBackend).
 // ----------------------
 
-// class MemoryBackend {
-//   constructor() {
-//     this.kind = 'memory';
-//     // Separate buffers/subscribers for projects and sessions
-//     this.projectBuffers = new Map(); // projectId -> array
-//     this.projectSubs = new Map(); // projectId -> Set(callback)
-//     this.sessionBuffers = new Map(); // sessionId -> array
-//     this.sessionSubs = new Map(); // sessionId -> Set(callback)
-//     this.maxEvents = Number(env('RELAY_MEMORY_MAX_EVENTS', 1000));
-//     this.ttlSec = Number(env('RELAY_MEMORY_TTL_SECONDS', 3600));
-//   }
-//   ensureBuf(map, key) {
-//     let buf = map.get(key);
-//     if (!buf) { buf = []; map.set(key, buf); }
-//     return buf;
-//   }
-//   ensureSubs(map, key) {
-//     let s = map.get(key);
-//     if (!s) { s = new Set(); map.set(key, s); }
-//     return s;
-//   }
-//   prune(buf) {
-//     // size
-//     while (buf.length > this.maxEvents) buf.shift();
-//     // ttl
-//     const cutoff = Date.now() - this.ttlSec * 1000;
-//     while (buf.length && Date.parse(buf[0].create_time) < cutoff) buf.shift();
-//   }
-//   async append(env) {
-//     // Project-level write
-//     const pbuf = this.ensureBuf(this.projectBuffers, env.projectId);
-//     pbuf.push(env);
-//     this.prune(pbuf);
-//     for (const cb of this.ensureSubs(this.projectSubs, env.projectId)) {
-//       try { cb(env); } catch {}
-//     }
-//     // Session-level write (optional)
-//     if (env.sessionId) {
-//       const sbuf = this.ensureBuf(this.sessionBuffers, env.sessionId);
-//       sbuf.push(env);
-//       this.prune(sbuf);
-//       for (const cb of this.ensureSubs(this.sessionSubs, env.sessionId)) {
-//         try { cb(env); } catch {}
-//       }
-//     }
-//   }
-//   // Project subscriptions/replay
-//   async subscribeProject(projectId, onEvent, options = {}) {
-//     const subs = this.ensureSubs(this.projectSubs, projectId);
-//     subs.add(onEvent);
-//     return () => { try { subs.delete(onEvent); } catch {} };
-//   }
-//   async replayProjectByUlid(projectId, since_id, limit = 500) {
-//     const buf = this.ensureBuf(this.projectBuffers, projectId);
-//     let start = 0;
-//     if (since_id) {
-//       const idx = buf.findIndex(e => e.id === since_id);
-//       start = idx >= 0 ? idx + 1 : 0;
-//     }
-//     return buf.slice(start, start + limit);
-//   }
-//   async replayProjectByTime(projectId, since_time, limit = 500) {
-//     const buf = this.ensureBuf(this.projectBuffers, projectId);
-//     const t = Date.parse(since_time);
-//     const out = [];
-//     for (const e of buf) {
-//       if (Date.parse(e.create_time) >= t) out.push(e);
-//       if (out.length >= limit) break;
-//     }
-//     return out;
-//   }
-//   async recentProject(projectId, limit = 100) {
-//     const buf = this.ensureBuf(this.projectBuffers, projectId);
-//     if (buf.length <= limit) return [...buf];
-//     return buf.slice(buf.length - limit);
-//   }
-//   // Session subscriptions/replay (legacy)
-//   async subscribe(sessionId, onEvent /* cb */, options = {}) {
-//     const subs = this.ensureSubs(this.sessionSubs, sessionId);
-//     subs.add(onEvent);
-//     return () => { try { subs.delete(onEvent); } catch {} };
-//   }
-//   async replayByUlid(sessionId, since_id, limit = 500) {
-//     const buf = this.ensureBuf(this.sessionBuffers, sessionId);
-//     let start = 0;
-//     if (since_id) {
-//       const idx = buf.findIndex(e => e.id === since_id);
-//       start = idx >= 0 ? idx + 1 : 0;
-//     }
-//     return buf.slice(start, start + limit);
-//   }
-//   async replayByTime(sessionId, since_time, limit = 500) {
-//     const buf = this.ensureBuf(this.sessionBuffers, sessionId);
-//     const t = Date.parse(since_time);
-//     const out = [];
-//     for (const e of buf) {
-//       if (Date.parse(e.create_time) >= t) out.push(e);
-//       if (out.length >= limit) break;
-//     }
-//     return out;
-//   }
-//   async recent(sessionId, limit = 100) {
-//     const buf = this.ensureBuf(this.sessionBuffers, sessionId);
-//     if (buf.length <= limit) return [...buf];
-//     return buf.slice(buf.length - limit);
-//   }
-// }
+function compareEvents(a, b) {
+  const ta = String(a?.create_time ?? '');
+  const tb = String(b?.create_time ?? '');
+  if (ta !== tb) return ta < tb ? -1 : 1;
+  const ia = String(a?.id ?? '');
+  const ib = String(b?.id ?? '');
+  return ia < ib ? -1 : ia > ib ? 1 : 0;
+}
+
+// Replay helpers over a list of events sorted with compareEvents
+function sliceAfterId(events, since_id, limit) {
+  const idx = since_id ? events.findIndex(e => e.id === since_id) : -1;
+  if (idx < 0) return sliceRecent(events, limit);
+  return events.slice(idx + 1, idx + 1 + limit);
+}
+function sliceFromTime(events, since_time, limit) {
+  const t = String(since_time);
+  return events.filter(e => String(e.create_time) >= t).slice(0, limit);
+}
+function sliceRecent(events, limit) {
+  return events.length <= limit ? [...events] : events.slice(events.length - limit);
+}
+function afterTime(events, after_time) {
+  if (!after_time) return events;
+  const t = String(after_time);
+  return events.filter(e => String(e.create_time) > t);
+}
+
+function deliver(onEvent, ev) {
+  try { onEvent(ev); } catch {}
+}
+
+// Process-local buffers shared by every MemoryBackend of the same user/project
+const memoryScopes = new Map(); // `${userId}/${projectId}` -> { project, sessions, projectSubs, sessionSubs }
+
+function memoryScope(userId, projectId) {
+  const key = `${userId || ''}/${projectId || ''}`;
+  let scope = memoryScopes.get(key);
+  if (!scope) {
+    scope = { project: [], sessions: new Map(), projectSubs: new Set(), sessionSubs: new Map() };
+    memoryScopes.set(key, scope);
+  }
+  return scope;
+}
+
+// In-process backend for local development and tests: each buffer keeps at most
+// RELAY_MEMORY_MAX_EVENTS events (oldest evicted first) for RELAY_MEMORY_TTL_SECONDS after append.
+// Buffers live in this process only; use 'firestore' or 'pubsub' when several instances serve the relay.
+class MemoryBackend {
+  constructor(userId, projectId) {
+    this.userId = userId;
+    this.projectId = projectId;
+    this.kind = 'memory';
+    this.scope = memoryScope(userId, projectId);
+    this.maxEvents = Math.max(1, Number(env('RELAY_MEMORY_MAX_EVENTS', 1000)));
+    this.ttlSec = Number(env('RELAY_MEMORY_TTL_SECONDS', 3600));
+  }
+  prune(buf) {
+    // ttl (from append time), then size
+    const now = Date.now();
+    let kept = 0;
+    for (const entry of buf) if (entry.expiresAt > now) buf[kept++] = entry;
+    buf.length = kept;
+    if (buf.length > this.maxEvents) buf.splice(0, buf.length - this.maxEvents);
+    return buf;
+  }
+  insert(buf, ev) {
+    // Keep the buffer sorted; events normally arrive in order, so scan from the end
+    let i = buf.length;
+    while (i > 0 && compareEvents(buf[i - 1].ev, ev) > 0) i--;
+    buf.splice(i, 0, { ev, expiresAt: Date.now() + this.ttlSec * 1000 });
+    this.prune(buf);
+  }
+  events(buf) {
+    return buf ? this.prune(buf).map(entry => entry.ev) : [];
+  }
+  sessionEvents(sessionId) {
+    const buf = this.scope.sessions.get(sessionId);
+    const events = this.events(buf);
+    if (buf && !buf.length) this.scope.sessions.delete(sessionId);
+    return events;
+  }
+  async append(env) {
+    // Project-level write
+    this.insert(this.scope.project, env);
+    for (const cb of this.scope.projectSubs) deliver(cb, env);
+    // Session-level write (optional for legacy consumers)
+    if (env.sessionId) {
+      let buf = this.scope.sessions.get(env.sessionId);
+      if (!buf) { buf = []; this.scope.sessions.set(env.sessionId, buf); }
+      this.insert(buf, env);
+      for (const cb of this.scope.sessionSubs.get(env.sessionId) || []) deliver(cb, env);
+    }
+  }
+  // Project-level APIs
+  async subscribeProject(onEvent, options = {}) {
+    const { after_time = null } = options || {};
+    for (const ev of afterTime(this.events(this.scope.project), after_time)) deliver(onEvent, ev);
+    this.scope.projectSubs.add(onEvent);
+    return () => { this.scope.projectSubs.delete(onEvent); };
+  }
+  async replayProjectByUlid(since_id, limit = 500) {
+    return sliceAfterId(this.events(this.scope.project), since_id, limit);
+  }
+  async replayProjectByTime(since_time, limit = 500) {
+    return sliceFromTime(this.events(this.scope.project), since_time, limit);
+  }
+  async recentProject(limit = 100) {
+    return sliceRecent(this.events(this.scope.project), limit);
+  }
+  // Session-level APIs (legacy)
+  async subscribe(sessionId, onEvent, options = {}) {
+    const { after_time = null } = options || {};
+    for (const ev of afterTime(this.sessionEvents(sessionId), after_time)) deliver(onEvent, ev);
+    let subs = this.scope.sessionSubs.get(sessionId);
+    if (!subs) { subs = new Set(); this.scope.sessionSubs.set(sessionId, subs); }
+    subs.add(onEvent);
+    return () => {
+      subs.delete(onEvent);
+      if (!subs.size && this.scope.sessionSubs.get(sessionId) === subs) this.scope.sessionSubs.delete(sessionId);
+    };
+  }
+  async replayByUlid(sessionId, since_id, limit = 500) {
+    return sliceAfterId(this.sessionEvents(sessionId), since_id, limit);
+  }
+  async replayByTime(sessionId, since_time, limit = 500) {
+    return sliceFromTime(this.sessionEvents(sessionId), since_time, limit);
+  }
+  async recent(sessionId, limit = 100) {
+    return sliceRecent(this.sessionEvents(sessionId), limit);
+  }
+}
+
+// In-process stand-in for a Redis server, implementing the subset of commands PubSubBackend uses
+// (node-redis v4 method names). Lists and channels live in this process only.
+export class LocalPubSubClient {
+  constructor() {
+    this.lists = new Map(); // key -> { items: string[], expiresAt: number | null }
+    this.channels = new Map(); // channel -> Set(listener)
+  }
+  list(key) {
+    const entry = this.lists.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.lists.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  async rPush(key, value) {
+    let entry = this.list(key);
+    if (!entry) { entry = { items: [], expiresAt: null }; this.lists.set(key, entry); }
+    entry.items.push(String(value));
+    return entry.items.length;
+  }
+  // Redis index semantics: negative indexes count from the end, stop is inclusive
+  range(items, start, stop) {
+    const n = items.length;
+    const from = Math.max(0, start < 0 ? n + start : start);
+    const to = Math.min(n - 1, stop < 0 ? n + stop : stop);
+    return from > to ? [] : items.slice(from, to + 1);
+  }
+  async lTrim(key, start, stop) {
+    const entry = this.list(key);
+    if (entry) entry.items = this.range(entry.items, start, stop);
+    return 'OK';
+  }
+  async lRange(key, start, stop) {
+    const entry = this.list(key);
+    return entry ? this.range(entry.items, start, stop) : [];
+  }
+  async expire(key, seconds) {
+    const entry = this.list(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(seconds) * 1000;
+    return 1;
+  }
+  async publish(channel, message) {
+    const listeners = this.channels.get(channel);
+    if (!listeners) return 0;
+    for (const listener of [...listeners]) {
+      try { listener(String(message), channel); } catch {}
+    }
+    return listeners.size;
+  }
+  async subscribe(channel, listener) {
+    let listeners = this.channels.get(channel);
+    if (!listeners) { listeners = new Set(); this.channels.set(channel, listeners); }
+    listeners.add(listener);
+  }
+  async unsubscribe(channel, listener) {
+    const listeners = this.channels.get(channel);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (!listeners.size) this.channels.delete(channel);
+  }
+}
+
+let pubSubClient = null;
+
+// Installs the client used by PubSubBackend. It must provide (node-redis v4 style):
+//   rPush(key, value), lTrim(key, start, stop), lRange(key, start, stop), expire(key, seconds),
+//   publish(channel, message), subscribe(channel, listener(message)), unsubscribe(channel, listener)
+// With a real Redis client, route subscribe/unsubscribe to a dedicated connection (client.duplicate()).
+// Without one, RELAY_BACKEND=pubsub uses a process-local LocalPubSubClient.
+export function setPubSubClient(client) {
+  pubSubClient = client || null;
+}
+
+function getPubSubClient() {
+  if (!pubSubClient) {
+    console.warn('[relay] RELAY_BACKEND=pubsub without a client; using the process-local LocalPubSubClient');
+    pubSubClient = new LocalPubSubClient();
+  }
+  return pubSubClient;
+}
+
+// Backend over a Redis-style client: one capped list per stream (the replay buffer, RELAY_PUBSUB_MAX_EVENTS
+// items, expiring RELAY_PUBSUB_TTL_SECONDS after the last append) and one channel per stream for live events.
+//   {RELAY_PUBSUB_PREFIX}:{userId}:{projectId}:project
+//   {RELAY_PUBSUB_PREFIX}:{userId}:{projectId}:session:{sessionId}
+class PubSubBackend {
+  constructor(userId, projectId, client = getPubSubClient()) {
+    this.userId = userId;
+    this.projectId = projectId;
+    this.kind = 'pubsub';
+    this.client = client;
+    this.prefix = String(env('RELAY_PUBSUB_PREFIX', 'relay'));
+    this.maxEvents = Math.max(1, Number(env('RELAY_PUBSUB_MAX_EVENTS', 1000)));
+    this.ttlSec = Number(env('RELAY_PUBSUB_TTL_SECONDS', 86400));
+  }
+  keyProject() {
+    return `${this.prefix}:${this.userId}:${this.projectId}:project`;
+  }
+  keySession(sessionId) {
+    return `${this.prefix}:${this.userId}:${this.projectId}:session:${sessionId}`;
+  }
+  parse(message) {
+    try { return JSON.parse(message); } catch { return null; }
+  }
+  // Stored, unexpired events of a stream in compareEvents order
+  async read(key) {
+    const now = Date.now();
+    const items = await this.client.lRange(key, 0, -1);
+    return items
+      .map(m => this.parse(m))
+      .filter(item => item && !(item.expires_at <= now))
+      .map(({ expires_at, ...ev }) => ev)
+      .sort(compareEvents);
+  }
+  async push(key, env) {
+    const message = JSON.stringify({ ...env, expires_at: Date.now() + this.ttlSec * 1000 });
+    await this.client.rPush(key, message);
+    await this.client.lTrim(key, -this.maxEvents, -1);
+    await this.client.expire(key, this.ttlSec);
+    await this.client.publish(key, JSON.stringify(env));
+  }
+  async append(env) {
+    // Project-level write (required)
+    await this.push(this.keyProject(), env);
+    // Session-level write (optional for legacy consumers)
+    if (env.sessionId) await this.push(this.keySession(env.sessionId), env);
+  }
+  // Subscribes before reading the stored events, so nothing published in between is lost;
+  // live events that arrive meanwhile are queued and deduplicated by id.
+  async listen(key, onEvent, options = {}) {
+    const { after_time = null } = options || {};
+    let pending = [];
+    const listener = (message) => {
+      const ev = this.parse(message);
+      if (!ev) return;
+      if (pending) pending.push(ev);
+      else deliver(onEvent, ev);
+    };
+    await this.client.subscribe(key, listener);
+    const stored = afterTime(await this.read(key), after_time);
+    const seen = new Set(stored.map(ev => ev.id));
+    for (const ev of stored) deliver(onEvent, ev);
+    const queued = pending;
+    pending = null;
+    for (const ev of queued) if (!seen.has(ev.id)) deliver(onEvent, ev);
+    return () => { void this.client.unsubscribe(key, listener); };
+  }
+  // Project-level APIs
+  async subscribeProject(onEvent, options = {}) {
+    return this.listen(this.keyProject(), onEvent, options);
+  }
+  async replayProjectByUlid(since_id, limit = 500) {
+    return sliceAfterId(await this.read(this.keyProject()), since_id, limit);
+  }
+  async replayProjectByTime(since_time, limit = 500) {
+    return sliceFromTime(await this.read(this.keyProject()), since_time, limit);
+  }
+  async recentProject(limit = 100) {
+    return sliceRecent(await this.read(this.keyProject()), limit);
+  }
+  // Session-level APIs (legacy)
+  async subscribe(sessionId, onEvent, options = {}) {
+    return this.listen(this.keySession(sessionId), onEvent, options);
+  }
+  async replayByUlid(sessionId, since_id, limit = 500) {
+    return sliceAfterId(await this.read(this.keySession(sessionId)), since_id, limit);
+  }
+  async replayByTime(sessionId, since_time, limit = 500) {
+    return sliceFromTime(await this.read(this.keySession(sessionId)), since_time, limit);
+  }
+  async recent(sessionId, limit = 100) {
+    return sliceRecent(await this.read(this.keySession(sessionId)), limit);
+  }
+}
 
 class FirestoreBackend {
   constructor(userId, projectId) {
@@ -208,22 +423,24 @@ class FirestoreBackend {
     }, (err) => console.error('[relay fs subscribeProject] error', err));
     return unsub;
   }
+  // Replay queries order by (create_time, document id) so events stored at the same time are neither
+  // skipped nor repeated across pages
+  ordered(coll, dir = 'asc') {
+    return coll.orderBy('create_time', dir).orderBy(FieldPath.documentId(), dir);
+  }
   async replayProjectByUlid(since_id, limit = 500) {
     if (!since_id) return this.recentProject(limit);
     const d = await this.collProject().doc(since_id).get();
-    console.log("[events/stream] Event: ", JSON.stringify(d), ", exists: ", d.exists)
     if (!d.exists) return this.recentProject(limit);
-    const t = d.data().create_time;
-    return this.replayProjectByTime(t, limit), t;
+    const snap = await this.ordered(this.collProject()).startAfter(d.data().create_time, d.id).limit(limit).get();
+    return snap.docs.map(doc => doc.data());
   }
   async replayProjectByTime(since_time, limit = 500) {
-    let q = this.collProject().orderBy('create_time').startAfter(since_time).limit(limit);
-    const snap = await q.get();
-    console.log("[events/stream], Snap: ", JSON.stringify(snap))
-    return snap.docs.map(d => d.data()), since_time;
+    const snap = await this.ordered(this.collProject()).startAt(since_time).limit(limit).get();
+    return snap.docs.map(d => d.data());
   }
   async recentProject(limit = 100) {
-    const snap = await this.collProject().orderBy('create_time', 'desc').limit(limit).get();
+    const snap = await this.ordered(this.collProject(), 'desc').limit(limit).get();
     const items = snap.docs.map(d => d.data());
     return items.reverse();
   }
@@ -245,24 +462,32 @@ class FirestoreBackend {
     if (!since_id) return this.recent(sessionId, limit);
     const d = await this.collSession(sessionId).doc(since_id).get();
     if (!d.exists) return this.recent(sessionId, limit);
-    const t = d.data().create_time;
-    return this.replayByTime(sessionId, t, limit);
+    const snap = await this.ordered(this.collSession(sessionId)).startAfter(d.data().create_time, d.id).limit(limit).get();
+    return snap.docs.map(doc => doc.data());
   }
   async replayByTime(sessionId, since_time, limit = 500) {
-    let q = this.collSession(sessionId).orderBy('create_time').startAt(since_time).limit(limit);
-    const snap = await q.get();
+    const snap = await this.ordered(this.collSession(sessionId)).startAt(since_time).limit(limit).get();
     return snap.docs.map(d => d.data());
   }
   async recent(sessionId, limit = 100) {
-    const snap = await this.collSession(sessionId).orderBy('create_time', 'desc').limit(limit).get();
+    const snap = await this.ordered(this.collSession(sessionId), 'desc').limit(limit).get();
     const items = snap.docs.map(d => d.data());
     return items.reverse();
   }
 }
 
+export const RELAY_BACKENDS = ['firestore', 'memory', 'pubsub'];
+let warnedBackend = null;
+
 export function pickBackend(userId, projectId) {
-  // const kind = String(env('RELAY_BACKEND', 'memory')).toLowerCase();
-  // if (kind === 'firestore') return new FirestoreBackend();
-  // return new MemoryBackend();
+  const kind = String(env('RELAY_BACKEND', 'firestore')).trim().toLowerCase();
+  if (kind === 'memory') return new MemoryBackend(userId, projectId);
+  if (kind === 'pubsub') return new PubSubBackend(userId, projectId);
+  if (kind !== 'firestore' && warnedBackend !== kind) {
+    warnedBackend = kind;
+    console.warn('[relay] unknown RELAY_BACKEND; using firestore', { kind, known: RELAY_BACKENDS });
+  }
   return new FirestoreBackend(userId, projectId);
 }
+
+export { MemoryBackend, PubSubBackend, FirestoreBackend };
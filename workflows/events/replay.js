@@ -0,0 +1,128 @@
+// Resume protocol for event streams (SSE /events/stream, workspace or session scoped)
+// A client resumes from a cursor, in order of precedence: the Last-Event-ID header (sent by
+// EventSource on reconnect), ?since_id=<event id>, or ?since_time=<RFC 3339>. Without one, only new
+// events are sent.
+//
+// 1. The live subscription starts first, just before the newest stored event (the head), and its
+//    events are queued while the backlog is replayed.
+// 2. The backlog is replayed in pages of RELAY_REPLAY_LIMIT events: from the cursor (after since_id /
+//    at or after since_time), then after the last event of each full page, until a short page.
+//    An unknown since_id (expired/evicted) replays the most recent page instead.
+// 3. Queued live events are flushed, skipping ids already sent, then a synthetic event without an id
+//    (so it never becomes a Last-Event-ID) marks the handoff:
+//      event: replay_complete
+//      data: { replayed, lastEventId, live: true }
+//    lastEventId is the last event sent (or the cursor when nothing was). Every later event is live.
+// Each event is sent at most once per connection; accept(ev) filters both replayed and live events.
+
+import { incCounter } from './metrics.js';
+
+export const REPLAY_COMPLETE = 'replay_complete';
+
+export function replayPageSize() {
+  const n = Number(process.env.RELAY_REPLAY_LIMIT || 500);
+  return Number.isFinite(n) ? Math.min(Math.max(Math.floor(n), 1), 2000) : 500;
+}
+
+// { id } | { time } | null from Last-Event-ID, since_id or since_time
+export function resolveCursor(req) {
+  const lastEventId = String(req.get?.('Last-Event-ID') || '').trim();
+  if (lastEventId) return { id: lastEventId };
+  const since_id = String(req.query?.since_id || '').trim();
+  if (since_id) return { id: since_id };
+  const since_time = String(req.query?.since_time || '').trim();
+  if (since_time) return { time: since_time };
+  return null;
+}
+
+// The project stream of a backend (see model.js for the shared semantics)
+export function projectStream(backend) {
+  return {
+    recent: (limit) => backend.recentProject(limit),
+    byUlid: (id, limit) => backend.replayProjectByUlid(id, limit),
+    byTime: (time, limit) => backend.replayProjectByTime(time, limit),
+    subscribe: (onEvent, options) => backend.subscribeProject(onEvent, options),
+  };
+}
+
+// One session's stream of a backend (the session-level subscribe/replay APIs)
+export function sessionStream(backend, sessionId) {
+  return {
+    recent: (limit) => backend.recent(sessionId, limit),
+    byUlid: (id, limit) => backend.replayByUlid(sessionId, id, limit),
+    byTime: (time, limit) => backend.replayByTime(sessionId, time, limit),
+    subscribe: (onEvent, options) => backend.subscribe(sessionId, onEvent, options),
+  };
+}
+
+// One millisecond before an RFC 3339 time, so the subscription also sees events stored at that time
+function justBefore(time) {
+  const ms = Date.parse(time);
+  return Number.isFinite(ms) ? new Date(ms - 1).toISOString() : time;
+}
+
+// Replays from cursor, then hands off to the live subscription (see the protocol above).
+// sse: createSSEConnection(); returns { unsubscribe, replayed, lastEventId }.
+export async function replayThenSubscribe({ stream, sse, cursor, accept = () => true, pageSize = replayPageSize() }) {
+  const sent = new Set(); // ids already delivered (or deliberately skipped) on this connection
+  let queue = [];
+
+  // Live delivery: a connection that cannot keep up is closed (the client resumes from its cursor)
+  const forward = (ev) => {
+    if (!ev?.id || sent.has(ev.id)) return false;
+    sent.add(ev.id);
+    if (!accept(ev)) return false;
+    const ok = sse.sendEvent(ev);
+    if (!ok) {
+      incCounter('relay_events_dropped_total');
+      try { sse.close(); } catch {}
+      return false;
+    }
+    incCounter('relay_events_streamed_total');
+    return true;
+  };
+
+  const [head] = await stream.recent(1);
+  // Without a cursor, the stored history (including the head) is not sent
+  if (head && !cursor) sent.add(head.id);
+  const unsubscribe = await stream.subscribe((ev) => {
+    if (queue) queue.push(ev);
+    else forward(ev);
+  }, { after_time: head ? justBefore(head.create_time) : null });
+
+  let replayed = 0;
+  let lastEventId = cursor?.id || null;
+  try {
+    let page = cursor ? (cursor.id ? await stream.byUlid(cursor.id, pageSize) : await stream.byTime(cursor.time, pageSize)) : [];
+    while (page.length && !sse.closed) {
+      let fresh = 0;
+      for (const ev of page) {
+        if (!ev?.id || sent.has(ev.id)) continue;
+        sent.add(ev.id);
+        fresh++;
+        if (!accept(ev)) continue;
+        // Replay waits for the socket to drain instead of dropping the connection
+        if (!sse.sendEvent(ev)) await sse.drain();
+        replayed++;
+        lastEventId = ev.id;
+      }
+      // A short page is the end of the backlog; a page with nothing new means the cursor fell back
+      if (page.length < pageSize || fresh === 0) break;
+      page = await stream.byUlid(page[page.length - 1].id, pageSize);
+    }
+  } catch (err) {
+    try { unsubscribe && unsubscribe(); } catch {}
+    throw err;
+  }
+  if (replayed) incCounter('relay_events_replayed_total', replayed);
+
+  const queued = queue;
+  queue = null;
+  for (const ev of queued) {
+    if (forward(ev)) lastEventId = ev.id;
+  }
+  sse.sendEvent({ type: REPLAY_COMPLETE, data: { replayed, lastEventId, live: true } });
+  return { unsubscribe, replayed, lastEventId };
+}
+
+export default { REPLAY_COMPLETE, replayPageSize, resolveCursor, projectStream, sessionStream, replayThenSubscribe };
@@ -0,0 +1,99 @@
+// Stream scoping shared by the SSE (/stream) and WebSocket (/ws) transports
+//   ?workspaceId=  a live workspace: project events (only its session's when the workspace is bound to
+//                  one). 404 when missing or not live within the TTL; live_at is refreshed while open.
+//   ?sessionId=    one session without a workspace (read-only observers); workspaceId wins when both are given
+// Errors carry err.status (400, 401, 404) for the transport to report.
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { projectScopedCollectionPath } from '../userAuth.js';
+import { incCounter } from './metrics.js';
+import { projectStream, sessionStream } from './replay.js';
+
+function has(v) { return v !== undefined && v !== null; }
+
+export function parseTtlMs(q) {
+  const ttlMsParam = q.ttlMs ?? q.ttl_ms ?? q.ttlms;
+  const ttlSecParam = q.ttlSec ?? q.ttl_sec ?? q.ttl;
+  let ttlMs = undefined;
+  if (has(ttlMsParam)) ttlMs = Number(ttlMsParam);
+  if (!Number.isFinite(ttlMs) || ttlMs <= 0) {
+    const asSec = has(ttlSecParam) ? Number(ttlSecParam) : undefined;
+    if (Number.isFinite(asSec) && asSec > 0) ttlMs = asSec * 1000;
+  }
+  // Default TTL: 5 minutes
+  if (!Number.isFinite(ttlMs) || ttlMs <= 0) ttlMs = 5 * 60 * 1000;
+  return Math.floor(ttlMs);
+}
+
+function scopeError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Resolves the stream a request asks for. filter: parseStreamFilter() of the same request.
+// Returns { workspaceId, sessionId, stream, accept, startHeartbeat() }; startHeartbeat resolves to a
+// timer to clear on close (null for session scope or ?heartbeat=none).
+export async function resolveStreamScope(req, backend, filter) {
+  const userId = req.userId;
+  const query = req.query || {};
+  const workspaceId = String(query.workspaceId || query.workspace_id || '').trim();
+  const sessionOnlyId = String(query.sessionId || query.session_id || '').trim();
+  if (!workspaceId && !sessionOnlyId) throw scopeError(400, 'workspaceId or sessionId required');
+  if (!userId) throw scopeError(401, 'Unauthorized: missing req.userId');
+
+  // Session-scoped streaming: no workspace registration or live_at heartbeat
+  if (!workspaceId) {
+    return {
+      workspaceId: null,
+      sessionId: sessionOnlyId,
+      stream: sessionStream(backend, sessionOnlyId),
+      accept: filter.accept,
+      startHeartbeat: async () => null,
+    };
+  }
+
+  const db = getFirestore();
+  const wsPath = projectScopedCollectionPath(userId, req.projectId, `workspaces/${workspaceId}`);
+  const wsRef = db.doc(wsPath);
+  const wsSnap = await wsRef.get();
+  if (!wsSnap.exists) throw scopeError(404, 'workspace not found');
+  const ws = wsSnap.data() || {};
+  const ttlMs = parseTtlMs(query);
+  const cutoff = Date.now() - ttlMs;
+  if (!ws.live_at || ws.live_at < cutoff) throw scopeError(404, 'workspace not live');
+
+  // Service-driven heartbeat for live workspace while the stream is open (opt-out with ?heartbeat=none)
+  const heartbeatMode = String(query.heartbeat || '').trim().toLowerCase();
+  const enableHeartbeat = heartbeatMode !== 'none';
+  const heartbeatCadenceMs = Math.max(5000, Math.min(Math.floor(ttlMs / 3), 60000));
+  let lastHeartbeatWriteAt = 0;
+  const writeHeartbeat = async (reason = 'interval') => {
+    const now = Date.now();
+    // Rate-limit to ~cadence; skip if we already wrote recently
+    if (now - lastHeartbeatWriteAt < (heartbeatCadenceMs - 250)) return;
+    try {
+      await wsRef.update({ live_at: now });
+      lastHeartbeatWriteAt = now;
+      incCounter('relay_workspace_heartbeat_writes_total');
+    } catch (e) {
+      // Best-effort; log and continue
+      console.warn('[events stream] workspace heartbeat update failed', { workspaceId, reason, error: String(e?.message || e) });
+    }
+  };
+  const startHeartbeat = async () => {
+    if (!enableHeartbeat) return null;
+    // On connect: bump live_at immediately
+    await writeHeartbeat('connect');
+    // While open: refresh on a fixed cadence
+    return setInterval(() => { void writeHeartbeat('interval'); }, heartbeatCadenceMs);
+  };
+
+  // A session-bound workspace only receives that session's events; query filters apply on top
+  const sessionId = typeof ws.sessionId === 'string' && ws.sessionId.trim().length > 0 ? ws.sessionId.trim() : null;
+  const accept = sessionId ? (ev) => ev.sessionId === sessionId && filter.accept(ev) : filter.accept;
+
+  return { workspaceId, sessionId, stream: projectStream(backend), accept, startHeartbeat };
+}
+
+export default { parseTtlMs, resolveStreamScope };
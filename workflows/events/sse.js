@@ -28,6 +28,20 @@ export function createSSEConnection(res, options = {}) {
     }
   }
 
+  // Resolves once buffered frames are flushed (or the connection is gone)
+  function drain() {
+    if (closed || !res.writableNeedDrain) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.once('drain', done);
+      res.once('close', done);
+    });
+  }
+
   function close() {
     if (closed) return;
     closed = true;
@@ -35,5 +49,10 @@ export function createSSEConnection(res, options = {}) {
     try { res.end(); } catch {}
   }
 
-  return { sendEvent, close };
+  return {
+    sendEvent,
+    drain,
+    close,
+    get closed() { return closed; },
+  };
 }
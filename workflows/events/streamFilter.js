@@ -0,0 +1,78 @@
+// Server-side event filters for /events/stream (query parameters)
+//   types=a,b           only these event types
+//   exclude_types=a,b   drop these event types
+//   source=a,b          only events from these sources
+//   background=only|exclude   only background events / no background events (default: both)
+//   sessionIds=s1,s2    only events of these sessions (events without a session are dropped)
+// List parameters take comma-separated values and may be repeated. The filter applies to replayed
+// and live events alike; dropped events are counted in relay_events_filtered_total.
+
+import { incCounter } from './metrics.js';
+
+export const BACKGROUND_MODES = ['only', 'exclude'];
+
+function listParam(query, ...names) {
+  const values = [];
+  for (const name of names) {
+    const raw = query?.[name];
+    for (const v of Array.isArray(raw) ? raw : [raw]) {
+      if (v === undefined || v === null) continue;
+      for (const part of String(v).split(',')) {
+        const s = part.trim();
+        if (s) values.push(s);
+      }
+    }
+  }
+  return values.length ? new Set(values) : null;
+}
+
+function filterError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Parses the filter parameters; throws (status 400) on invalid values.
+// Returns { active, spec, accept(ev) }; accept counts what it drops.
+export function parseStreamFilter(query = {}) {
+  const types = listParam(query, 'types', 'type');
+  const excludeTypes = listParam(query, 'exclude_types', 'excludeTypes');
+  const sources = listParam(query, 'source', 'sources');
+  const sessionIds = listParam(query, 'sessionIds', 'session_ids');
+  const backgroundRaw = String(query.background ?? '').trim().toLowerCase();
+  if (backgroundRaw && !BACKGROUND_MODES.includes(backgroundRaw)) {
+    throw filterError(`background must be one of: ${BACKGROUND_MODES.join(', ')}`);
+  }
+  const background = backgroundRaw || null;
+
+  const spec = {
+    ...(types ? { types: [...types] } : {}),
+    ...(excludeTypes ? { exclude_types: [...excludeTypes] } : {}),
+    ...(sources ? { source: [...sources] } : {}),
+    ...(background ? { background } : {}),
+    ...(sessionIds ? { sessionIds: [...sessionIds] } : {}),
+  };
+  const active = Object.keys(spec).length > 0;
+
+  const matches = (ev) => {
+    const type = ev?.type || 'message';
+    if (types && !types.has(type)) return false;
+    if (excludeTypes && excludeTypes.has(type)) return false;
+    if (sources && !sources.has(String(ev?.source ?? ''))) return false;
+    if (background === 'only' && !ev?.background) return false;
+    if (background === 'exclude' && ev?.background) return false;
+    if (sessionIds && !(ev?.sessionId && sessionIds.has(ev.sessionId))) return false;
+    return true;
+  };
+
+  const accept = (ev) => {
+    if (!active) return true;
+    const ok = matches(ev);
+    if (!ok) incCounter('relay_events_filtered_total');
+    return ok;
+  };
+
+  return { active, spec, accept };
+}
+
+export default { BACKGROUND_MODES, parseStreamFilter };
@@ -0,0 +1,45 @@
+// Runs the same append/replay/subscribe scenario on the memory and pubsub backends (no Firestore)
+// and prints whether they agree, then exercises memory eviction (max size and TTL).
+import { normalizeEnvelope, MemoryBackend, PubSubBackend, LocalPubSubClient } from './model.js';
+
+const base = Date.parse('2025-10-01T12:00:00.000Z');
+const events = Array.from({ length: 8 }, (_, i) => normalizeEnvelope({
+  id: `0000000${i}`,
+  create_time: new Date(base + i * 1000).toISOString(),
+  projectId: 'p1',
+  sessionId: i % 2 ? 's1' : 's2',
+  type: i === 5 ? 'tool_call' : 'message',
+  data: { n: i },
+}));
+
+async function scenario(backend) {
+  const live = [];
+  for (const ev of events.slice(0, 6)) await backend.append(ev);
+  const unsub = await backend.subscribeProject((ev) => live.push(ev.id), { after_time: events[3].create_time });
+  for (const ev of events.slice(6)) await backend.append(ev);
+  unsub();
+  const ids = (list) => list.map(e => e.id);
+  return {
+    byUlid: ids(await backend.replayProjectByUlid(events[2].id, 3)),
+    byUnknownUlid: ids(await backend.replayProjectByUlid('missing', 2)),
+    byTime: ids(await backend.replayProjectByTime(events[6].create_time, 10)),
+    recent: ids(await backend.recentProject(2)),
+    sessionByUlid: ids(await backend.replayByUlid('s1', events[1].id, 10)),
+    sessionByTime: ids(await backend.replayByTime('s2', events[4].create_time, 10)),
+    live,
+  };
+}
+
+const memory = await scenario(new MemoryBackend('u1', 'p1'));
+const pubsub = await scenario(new PubSubBackend('u1', 'p1', new LocalPubSubClient()));
+console.log('memory:', JSON.stringify(memory, null, 2));
+console.log(`\npubsub identical: ${JSON.stringify(memory) === JSON.stringify(pubsub)}`);
+
+// Eviction: at most 3 events per buffer, each kept 200ms after append
+process.env.RELAY_MEMORY_MAX_EVENTS = '3';
+process.env.RELAY_MEMORY_TTL_SECONDS = '0.2';
+const small = new MemoryBackend('u1', 'p2');
+for (const ev of events) await small.append({ ...ev, projectId: 'p2' });
+console.log(`\nmax size: ${(await small.recentProject(10)).map(e => e.id).join(',')}`);
+await new Promise(r => setTimeout(r, 250));
+console.log(`after ttl: ${(await small.recentProject(10)).length} events`);
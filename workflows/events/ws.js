@@ -0,0 +1,156 @@
+// WebSocket transport for the events relay (GET /events/ws)
+// Server frames are JSON text messages:
+//   events   { id, type, data }   as the SSE id/event/data fields; replay_complete has no id
+//   replies  { type: 'ack_result' | 'callback_result' | 'error', ref?, data }
+// Ping frames are sent every heartbeat_ms so routers and proxies do not idle the connection out.
+// Client frames (JSON text; ref is optional and echoed in the reply):
+//   { type: 'ack', eventId, timestamp, target?, sessionId?, ref? }   commit a cursor (POST /cursors)
+//   { type: 'callback', callbackId, body, ref? }                    post a callback result (POST /callbacks/:id)
+// Express does not route upgrade requests: servers install routeUpgrades(app) on their 'upgrade' event.
+
+import http from 'http';
+import WebSocket from 'faye-websocket';
+import { incCounter } from './metrics.js';
+
+function maxFrameBytes() {
+  const n = Number(process.env.RELAY_WS_MAX_FRAME_BYTES || 1024 * 1024);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 1024 * 1024;
+}
+
+export function wsFrameError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Passes WebSocket upgrade requests through the Express app, so they are authenticated and routed like
+// any other request. A route accepts with acceptWebSocket(); any HTTP response (401, 404, ...) rejects
+// the handshake and ends the connection.
+//   const server = app.listen(PORT); server.on('upgrade', routeUpgrades(app));
+export function routeUpgrades(app) {
+  return (req, socket, head) => {
+    socket.on('error', (err) => {
+      console.warn('[events ws] socket error', String(err?.message || err));
+    });
+    if (!WebSocket.isWebSocket(req)) {
+      socket.destroy();
+      return;
+    }
+    req.upgradeSocket = socket;
+    req.upgradeHead = head;
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => { try { socket.end(); } catch {} });
+    app(req, res);
+  };
+}
+
+export function isWebSocketUpgrade(req) {
+  return Boolean(req.upgradeSocket) && WebSocket.isWebSocket(req);
+}
+
+// Completes the handshake of a request routed by routeUpgrades(); returns the connection
+export function acceptWebSocket(req, res, options = {}) {
+  const socket = req.upgradeSocket;
+  res.detachSocket(socket);
+  const ws = new WebSocket(req, socket, req.upgradeHead, [], { maxLength: maxFrameBytes() });
+  return createWSConnection(ws, socket, options);
+}
+
+// Same interface as createSSEConnection (sendEvent, drain, close, closed), so replay.js drives both,
+// plus onFrame(handler) for client frames and onClose(fn)
+export function createWSConnection(ws, socket, options = {}) {
+  const heartbeatMs = Math.max(Number(options.heartbeatMs || 15000), 1000);
+  let closed = false;
+  const closeHandlers = [];
+
+  const timer = setInterval(() => {
+    if (closed) return;
+    try { ws.ping(); } catch {}
+  }, heartbeatMs);
+
+  function markClosed() {
+    if (closed) return;
+    closed = true;
+    try { clearInterval(timer); } catch {}
+    for (const fn of closeHandlers.splice(0)) {
+      try { fn(); } catch {}
+    }
+  }
+  ws.on('close', markClosed);
+
+  // false when the frame was not sent or the socket buffer is full (see drain)
+  function send(frame) {
+    if (closed) return false;
+    try {
+      if (ws.send(JSON.stringify(frame)) === false) return false;
+      return !socket.writableNeedDrain;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function sendEvent(ev = {}) {
+    return send({ ...(ev?.id ? { id: ev.id } : {}), type: ev?.type || 'message', data: ev?.data ?? {} });
+  }
+
+  // Resolves once buffered frames are flushed (or the connection is gone)
+  function drain() {
+    if (closed || !socket.writableNeedDrain) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        socket.off('drain', done);
+        socket.off('close', done);
+        resolve();
+      };
+      socket.once('drain', done);
+      socket.once('close', done);
+    });
+  }
+
+  // handler(frame) resolves to the reply { type, data }; a thrown error is replied as an error frame
+  function onFrame(handler) {
+    ws.on('message', async (message) => {
+      let frame = null;
+      try {
+        if (typeof message.data !== 'string') throw wsFrameError('frames must be JSON text');
+        try {
+          frame = JSON.parse(message.data);
+        } catch {
+          throw wsFrameError('invalid JSON frame');
+        }
+        if (!frame || typeof frame !== 'object' || typeof frame.type !== 'string') throw wsFrameError('frame type required');
+        incCounter('relay_ws_frames_received_total');
+        const reply = await handler(frame);
+        if (reply) send({ ...reply, ...(frame.ref !== undefined ? { ref: frame.ref } : {}) });
+      } catch (err) {
+        if (!err?.status) console.error('[events ws] frame error', err);
+        const ref = frame && frame.ref !== undefined ? { ref: frame.ref } : {};
+        send({ type: 'error', ...ref, data: { error: String(err?.message || err), status: err?.status || 500 } });
+      }
+    });
+  }
+
+  function onClose(fn) {
+    if (closed) fn();
+    else closeHandlers.push(fn);
+  }
+
+  function close() {
+    if (closed) return;
+    markClosed();
+    try { ws.close(); } catch {}
+  }
+
+  return {
+    sendEvent,
+    drain,
+    close,
+    onFrame,
+    onClose,
+    get closed() { return closed; },
+  };
+}
+
+export default { routeUpgrades, isWebSocketUpgrade, acceptWebSocket, createWSConnection, wsFrameError };
@@ -49,12 +49,103 @@ router.get('/list', async (req, res) => {
   }
 });
 
-// POST /workflows/execute
-// Executes a Workflow with user-scoped params. Requires authenticate middleware.
-// Supports both positional (array) params and named (object) params.
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Starts a Workflow execution with user-scoped params and returns { executionName }.
+// Shared by POST /workflows/execute and server-side triggers (e.g. automatic context collapse).
 // New payload convention: standard env params are grouped under `env`.
 // - If params is an array, the workflow argument will be [ env, ...params ]
 // - If params is an object, the workflow argument will be { env, ...params }
+export async function executeWorkflow({ workflowName, params, location, userId, projectId }) {
+  const gcpProjectId = process.env.GCP_PROJECT || process.env.GCLOUD_PROJECT;
+  if (!gcpProjectId) {
+    throw httpError(500, 'GCP project ID is not configured');
+  }
+
+  const region = location || process.env.WORKFLOWS_LOCATION || 'us-central1';
+  const workflowWithEnv = `${workflowName}${process.env.WORKFLOW_ENV || ''}`;
+
+  // Resolve BASE_URL from environment
+  const baseUrl = process.env.BASE_URL || process.env.WORKFLOWS_BASE_URL || process.env.PUBLIC_BASE_URL;
+  if (!baseUrl) {
+    throw httpError(500, 'WORKFLOWS_BASE_URL is not configured in environment');
+  }
+
+  const { model, background, sessionId } = (params && !Array.isArray(params)) ? params : {};
+
+  // Build the argument, grouping standard env params under `env`
+  // Array params => positional: [ { env }, ...params ]
+  // Object params => named: { env, ...params }
+  const env = {
+    BASE_URL: baseUrl,
+    userId,
+    ...(model === undefined ? {} : { model }),
+    ...(background === undefined ? {} : { background }),
+    ...(projectId === undefined ? {} : { projectId }),
+    ...(sessionId === undefined ? {} : { sessionId }),
+  };
+
+  let argumentPayload;
+  if (Array.isArray(params)) {
+    argumentPayload = [{ env }, ...params];
+  } else if (params && typeof params === 'object') {
+    argumentPayload = { env, ...params };
+  } else {
+    // No params provided: default to named shape to include env explicitly
+    argumentPayload = { env };
+  }
+
+  const client = new ExecutionsClient();
+  const parent = client.workflowPath(gcpProjectId, region, workflowWithEnv);
+
+  const [execution] = await client.createExecution({
+    parent,
+    execution: {
+      // Inside your Workflow, access either positional args (args[0] is { env }, args[1], ...)
+      // or named args (args.env, args.kala, ...), depending on the shape sent.
+      argument: JSON.stringify(argumentPayload),
+    },
+  });
+
+  return { executionName: execution.name };
+}
+
+// Polls an execution until it leaves ACTIVE or the timeout passes.
+// Returns { state, result? } on SUCCEEDED, { state, error } on FAILED/CANCELLED, { state, timedOut: true } otherwise.
+export async function waitForExecution(executionName, { timeoutMs = Number(process.env.WORKFLOWS_SYNC_TIMEOUT_MS) || 60000 } = {}) {
+  const client = new ExecutionsClient();
+  const deadline = Date.now() + timeoutMs;
+  let backoffMs = 500;
+
+  while (true) {
+    const [current] = await client.getExecution({ name: executionName });
+
+    if (current.state === 'SUCCEEDED') {
+      let result = current.result;
+      try { result = JSON.parse(result); } catch (_) {}
+      return { state: current.state, result };
+    }
+
+    if (current.state === 'FAILED' || current.state === 'CANCELLED') {
+      return { state: current.state, error: current.error || 'Execution did not succeed' };
+    }
+
+    if (Date.now() > deadline) {
+      return { state: current.state, timedOut: true };
+    }
+
+    await new Promise((r) => setTimeout(r, backoffMs));
+    backoffMs = Math.min(backoffMs * 1.5, 2000);
+  }
+}
+
+// POST /workflows/execute
+// Executes a Workflow with user-scoped params. Requires authenticate middleware.
+// Supports both positional (array) params and named (object) params (see executeWorkflow).
 // - If sync is true, the server returns the executionName immediately after creation, without waiting.
 router.post('/execute', async (req, res) => {
   try {
@@ -74,60 +165,14 @@ router.post('/execute', async (req, res) => {
       return res.status(400).json({ error: 'params must be an array or object if provided' });
     }
 
-    const gcpProjectId = process.env.GCP_PROJECT || process.env.GCLOUD_PROJECT;
-    if (!gcpProjectId) {
-      return res.status(500).json({ error: 'GCP project ID is not configured' });
-    }
-
-    const region = location || process.env.WORKFLOWS_LOCATION || 'us-central1';
-    const workflowWithEnv = `${workflowName}${process.env.WORKFLOW_ENV || ''}`;
-
-    // Resolve BASE_URL from environment
-    const baseUrl = process.env.BASE_URL || process.env.WORKFLOWS_BASE_URL || process.env.PUBLIC_BASE_URL;
-    if (!baseUrl) {
-      return res.status(500).json({ error: 'WORKFLOWS_BASE_URL is not configured in environment' });
-    }
-
-    const { model, background, sessionId } = params;
-    const projectId = req.projectId;
-
-
-    // Build the argument, grouping standard env params under `env`
-    // Array params => positional: [ { env }, ...params ]
-    // Object params => named: { env, ...params }
-    const env = {
-      BASE_URL: baseUrl,
-      userId,
-      ...(model === undefined ? {} : { model }),
-      ...(background === undefined ? {} : { background }),
-      ...(projectId === undefined ? {} : { projectId }),
-      ...(sessionId === undefined ? {} : { sessionId }),
-    };
-
-    let argumentPayload;
-    if (Array.isArray(params)) {
-      argumentPayload = [{ env }, ...params];
-    } else if (params && typeof params === 'object') {
-      argumentPayload = { env, ...params };
-    } else {
-      // No params provided: default to named shape to include env explicitly
-      argumentPayload = { env };
+    let executionName;
+    try {
+      ({ executionName } = await executeWorkflow({ workflowName, params, location, userId, projectId: req.projectId }));
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
     }
 
-    const client = new ExecutionsClient();
-    const parent = client.workflowPath(gcpProjectId, region, workflowWithEnv);
-
-    const [execution] = await client.createExecution({
-      parent,
-      execution: {
-        // Inside your Workflow, access either positional args (args[0] is { env }, args[1], ...)
-        // or named args (args.env, args.kala, ...), depending on the shape sent.
-        argument: JSON.stringify(argumentPayload),
-      },
-    });
-
-    const executionName = execution.name;
-
     // If sync is truthy, return immediately with the execution name (no polling)
     const syncRequested = sync === true || sync === 'true' || sync === 1 || sync === '1';
     if (syncRequested) {
@@ -135,30 +180,14 @@ router.post('/execute', async (req, res) => {
     }
 
     // Poll for completion (up to WORKFLOWS_SYNC_TIMEOUT_MS or 60s)
-    const timeoutMs = Number(process.env.WORKFLOWS_SYNC_TIMEOUT_MS) || 60000;
-    const deadline = Date.now() + timeoutMs;
-    let backoffMs = 500;
-
-    while (true) {
-      const [current] = await client.getExecution({ name: executionName });
-
-      if (current.state === 'SUCCEEDED') {
-        let result = current.result;
-        try { result = JSON.parse(result); } catch (_) {}
-        return res.status(200).json({ executionName, state: current.state, result });
-      }
-
-      if (current.state === 'FAILED' || current.state === 'CANCELLED') {
-        return res.status(500).json({ executionName, state: current.state, error: current.error || 'Execution did not succeed' });
-      }
-
-      if (Date.now() > deadline) {
-        return res.status(504).json({ executionName, state: current.state, error: 'Workflow execution timed out' });
-      }
-
-      await new Promise((r) => setTimeout(r, backoffMs));
-      backoffMs = Math.min(backoffMs * 1.5, 2000);
+    const outcome = await waitForExecution(executionName);
+    if (outcome.state === 'SUCCEEDED') {
+      return res.status(200).json({ executionName, state: outcome.state, result: outcome.result });
+    }
+    if (outcome.timedOut) {
+      return res.status(504).json({ executionName, state: outcome.state, error: 'Workflow execution timed out' });
     }
+    return res.status(500).json({ executionName, state: outcome.state, error: outcome.error });
   } catch (err) {
     console.error('Workflow invocation error:', err?.response?.data || err?.message || err);
     return res.status(500).json({ error: 'Internal Server Error' });